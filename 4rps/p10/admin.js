@@ -0,0 +1,233 @@
+// House administration console, shown only when the connected account is the contract owner
+
+let houseRounds = [];
+let houseForfeits = [];
+let houseScannedFrom;
+let houseScannedTo;
+let houseLoading = false;
+
+// DOM Elements
+const admin_div = document.getElementById('admin-section');
+const adminBody = document.getElementById('admin-body');
+const adminAmount_input = document.getElementById('admin-amount');
+const adminStatus_p = document.getElementById('admin-status');
+const depositBtn = document.getElementById('deposit-btn');
+const withdrawBtn = document.getElementById('withdraw-btn');
+const refreshHouseBtn = document.getElementById('refresh-house-btn');
+
+// Show the console if the connected account owns the contract
+async function initAdminConsole() {
+    try {
+        const owner = await contract.owner();
+        if (owner.toLowerCase() !== userAddress.toLowerCase()) return;
+
+        admin_div.style.display = '';
+        await refreshAdminConsole();
+    } catch (error) {
+        console.error('Error checking contract owner:', error);
+    }
+}
+
+// Hide the console and forget the house statistics
+function hideAdminConsole() {
+    admin_div.style.display = 'none';
+    houseRounds = [];
+    houseForfeits = [];
+    houseScannedFrom = undefined;
+    houseScannedTo = undefined;
+    adminStatus_p.innerText = '';
+}
+
+// Reload the bankroll and scan new round logs for the house P&L
+async function refreshAdminConsole() {
+    try {
+        await refreshBalances();
+        await loadHouseRounds();
+        await renderAdminConsole();
+    } catch (error) {
+        console.error('Error refreshing admin console:', error);
+    }
+}
+
+// Collect every player's rounds and forfeited commitments: first the blocks since the last scan,
+// then up to HISTORY_PAGES_PER_LOAD older ranges going back towards the deployment block, like
+// the player's history. Each refresh extends the statistics further into the past.
+async function loadHouseRounds() {
+    if (!client || houseLoading) return;
+
+    houseLoading = true;
+    refreshHouseBtn.disabled = true;
+    const activeClient = client;
+    const { deploymentBlock } = deployment;
+
+    try {
+        const latestBlock = await activeClient.provider.getBlockNumber();
+        if (houseScannedTo === undefined) {
+            houseScannedTo = latestBlock;
+            houseScannedFrom = latestBlock + 1;
+        }
+
+        for (let start = houseScannedTo + 1; start <= latestBlock; start += LOG_BLOCK_RANGE) {
+            const end = Math.min(latestBlock, start + LOG_BLOCK_RANGE - 1);
+            if (!await scanHouseRange(activeClient, start, end)) return;
+            houseScannedTo = end;
+        }
+
+        for (let page = 0; page < HISTORY_PAGES_PER_LOAD && houseScannedFrom > deploymentBlock; page++) {
+            const end = houseScannedFrom - 1;
+            const start = Math.max(deploymentBlock, end - LOG_BLOCK_RANGE + 1);
+            if (!await scanHouseRange(activeClient, start, end)) return;
+            houseScannedFrom = start;
+        }
+
+        adminStatus_p.innerText = houseScannedFrom <= deploymentBlock
+            ? t('rps.admin.statsUpTo', { block: latestBlock })
+            : t('rps.admin.statsPartial', { from: houseScannedFrom, to: latestBlock });
+    } catch (error) {
+        if (client !== activeClient) return;
+        console.error('Error loading house rounds:', error);
+        adminStatus_p.innerText = t('rps.admin.loadFailed', { error: error.message });
+    } finally {
+        houseLoading = false;
+        refreshHouseBtn.disabled = false;
+    }
+}
+
+// Add the rounds and forfeits of one block range; false if the client changed meanwhile
+async function scanHouseRange(activeClient, start, end) {
+    adminStatus_p.innerText = t('rps.scanningBlocks', { from: start, to: end });
+
+    const [rounds, forfeits] = await Promise.all([
+        activeClient.getRounds(start, end),
+        activeClient.getForfeits(start, end)
+    ]);
+    if (client !== activeClient) return false;
+
+    houseRounds.push(...rounds);
+    houseForfeits.push(...forfeits);
+    return true;
+}
+
+// Render bankroll, exposure and house P&L
+async function renderAdminConsole() {
+    const maxBet = await contract.maxBet();
+    const zero = ethers.BigNumber.from(0);
+    const wagered = houseRounds.reduce((sum, round) => sum.add(round.bet), zero);
+    const paidOut = houseRounds.reduce((sum, round) => sum.add(round.amountWon), zero);
+    // Bets of unrevealed commitments, kept by the house
+    const forfeited = houseForfeits.reduce((sum, forfeit) => sum.add(forfeit.bet), zero);
+    const houseNet = wagered.add(forfeited).sub(paidOut);
+
+    // play() requires balance (bankroll + bet) - lockedFunds >= 2 * bet, so the bankroll not
+    // reserved for open commitments must cover one bet
+    const freeBankroll = getFreeBankroll();
+    const coveredWins = maxBet.isZero() ? '-' : freeBankroll.div(maxBet).toString();
+    const exposure = freeBankroll.gte(maxBet)
+        ? t('rps.admin.coversMaxBet')
+        : t('rps.admin.betsRevertAbove', { amount: formatCurrency(freeBankroll) });
+
+    const rows = [
+        [t('rps.admin.bankroll'), formatCurrency(contractBalance)],
+        [t('rps.admin.lockedFunds'), formatCurrency(lockedFunds)],
+        [t('rps.admin.freeBankroll'), formatCurrency(freeBankroll)],
+        [t('rps.admin.maxBet'), formatCurrency(maxBet)],
+        [t('rps.admin.coveredWins'), coveredWins],
+        [t('rps.admin.exposure'), exposure],
+        [t('rps.admin.roundsPlayed'), I18n.formatNumber(houseRounds.length)],
+        [t('rps.admin.totalWagered'), formatCurrency(wagered)],
+        [t('rps.admin.totalPaidOut'), formatCurrency(paidOut)],
+        [t('rps.admin.forfeited'), t('rps.admin.forfeitedValue', { count: houseForfeits.length, amount: formatCurrency(forfeited) })],
+        [t('rps.admin.housePnl'), `<span class="${houseNet.isNegative() ? 'pnl-negative' : 'pnl-positive'}">${formatCurrency(houseNet)}</span>`]
+    ];
+
+    adminBody.innerHTML = rows.map(([label, value]) => `
+        <tr>
+            <td>${label}</td>
+            <td>${value}</td>
+        </tr>
+    `).join('');
+}
+
+// Bankroll not reserved for open commitments: what pays new bets, and all the owner can withdraw
+function getFreeBankroll() {
+    const free = contractBalance.sub(lockedFunds);
+    return free.isNegative() ? ethers.BigNumber.from(0) : free;
+}
+
+// Read the amount field as wei, or null if it is not a positive number
+function getAdminAmount() {
+    const value = adminAmount_input.value;
+    if (!value || parseFloat(value) <= 0) return null;
+    return ethers.utils.parseEther(value);
+}
+
+// Send funds to the contract's receive() to grow the bankroll
+async function depositBankroll() {
+    const amount = getAdminAmount();
+    if (!amount) {
+        adminStatus_p.innerText = t('rps.admin.invalidAmount');
+        return;
+    }
+
+    const transaction = trackTransaction('deposit');
+    try {
+        adminStatus_p.innerText = t('rps.admin.depositWaiting');
+        transaction.signing();
+        const tx = await signer.sendTransaction({ to: contract.address, value: amount });
+        transaction.submitted(tx.hash);
+        await tx.wait(deployment.confirmations);
+        transaction.confirmed();
+
+        adminStatus_p.innerText = t('rps.admin.deposited', { amount: formatCurrency(amount) });
+        await refreshAdminConsole();
+    } catch (error) {
+        console.error('Deposit error:', error);
+        adminStatus_p.innerText = RpsClient.isUserRejection(error)
+            ? t('rps.admin.depositRejected')
+            : t('rps.admin.depositFailed', { error: error.message });
+        transaction.failed(RpsClient.isUserRejection(error) ? t('rps.error.rejected') : error.message);
+    }
+}
+
+// Withdraw part of the bankroll to the owner
+async function withdrawBankroll() {
+    const amount = getAdminAmount();
+    if (!amount) {
+        adminStatus_p.innerText = t('rps.admin.invalidAmount');
+        return;
+    }
+
+    // Same check as withdraw(): amount <= balance - lockedFunds
+    await refreshBalances();
+    if (amount.gt(getFreeBankroll())) {
+        adminStatus_p.innerText = t('rps.admin.withdrawTooMuch', { amount: formatCurrency(getFreeBankroll()) });
+        return;
+    }
+
+    const transaction = trackTransaction('withdraw');
+    try {
+        adminStatus_p.innerText = t('rps.admin.withdrawWaiting');
+        transaction.signing();
+        const tx = await contract.withdraw(amount);
+        transaction.submitted(tx.hash);
+        await tx.wait(deployment.confirmations);
+        transaction.confirmed();
+
+        adminStatus_p.innerText = t('rps.admin.withdrew', { amount: formatCurrency(amount) });
+        await refreshAdminConsole();
+    } catch (error) {
+        console.error('Withdraw error:', error);
+        const reason = getRevertMessage(error) || error.message;
+        adminStatus_p.innerText = RpsClient.isUserRejection(error)
+            ? t('rps.admin.withdrawRejected')
+            : t('rps.admin.withdrawFailed', { error: reason });
+        transaction.failed(RpsClient.isUserRejection(error) ? t('rps.error.rejected') : reason);
+    }
+}
+
+depositBtn.addEventListener('click', depositBankroll);
+withdrawBtn.addEventListener('click', withdrawBankroll);
+refreshHouseBtn.addEventListener('click', refreshAdminConsole);
+I18n.onChange(() => {
+    if (admin_div.style.display !== 'none' && contract) renderAdminConsole().catch(error => console.error('Error rendering admin console:', error));
+});
@@ -1,16 +1,35 @@
 // Smart Contract Configuration is now in config.js
-const contractAddress = CONTRACT_ADDRESS;
 const contractABI = CONTRACT_ABI;
 
+// Game logic lives in the headless client (rps-client.js); this file is the page around it
+const { convertToMove, convertMoveToLetter, getRoundOutcome } = RpsClient;
+
+// Page text comes from the shared message catalog (shared/i18n.js)
+const t = I18n.t;
+
+let deployment;
+let currencySymbol = DEPLOYMENTS[DEFAULT_CHAIN_ID].currencySymbol;
+let awaitingNetwork = false;
+
 let userScore = 0;
 let computerScore = 0;
+let client;
 let provider;
 let signer;
 let contract;
 let userAddress;
 let minBetAmount;
 let maxBetAmount;
+let maxBetReason;
 let contractBalance;
+let lockedFunds;
+let userBalance;
+let gameHistory = [];
+let historyLoading = false;
+let feedRounds = [];
+let feedSeen = new Set();
+let isConnecting = false;
+let betTransaction = null;
 
 // DOM Elements
 const userScore_span = document.getElementById('user-score');
@@ -26,226 +45,664 @@ const maxBetBtn = document.getElementById('max-bet-btn');
 const betInfo_p = document.getElementById('bet-info');
 const contractBalance_span = document.getElementById('contract-balance');
 const userBalance_span = document.getElementById('user-balance');
+const betUnit_span = document.querySelector('.bet-unit');
+const historyBody = document.getElementById('history-body');
+const historyStatus_p = document.getElementById('history-status');
+const loadHistoryBtn = document.getElementById('load-history-btn');
+const feedList = document.getElementById('feed-list');
+const feedStats_p = document.getElementById('feed-stats');
+
+I18n.init(document.getElementById('language-select'));
+
+// "user"/"comp" tag after a move in the result line; screen readers skip it
+function ownerTag(owner) {
+    return `<sub class="choice-owner" aria-hidden="true">${t(`rps.result.${owner}`)}</sub>`;
+}
 
 // Convert choice letter to word
 function convertToWord(letter) {
-    if (letter === 'r') return "Rock";
-    if (letter === 'p') return "Paper";
-    return "Scissors";
+    return t(`rps.move.${letter}`);
 }
 
-// Convert choice letter to smart contract Move enum (0=Rock, 1=Paper, 2=Scissors)
-function convertToMove(letter) {
-    if (letter === 'r') return 0;
-    if (letter === 'p') return 1;
-    if (letter === 's') return 2;
+// Format a wei amount in the native currency for the current language; all decimals unless fractionDigits is given
+function formatAmount(amount, fractionDigits) {
+    return I18n.formatAmount(ethers.utils.formatEther(amount), currencySymbol, fractionDigits);
 }
 
-// Convert smart contract Move enum to letter
-function convertMoveToLetter(move) {
-    if (move === 0) return 'r';
-    if (move === 1) return 'p';
-    if (move === 2) return 's';
+// Which limit caps the max bet ('contract max bet', 'house bankroll', ...), in the current language
+function formatLimitReason(reason) {
+    return t(`rps.limit.${reason}`);
 }
 
-// Update contract balance display
-async function updateContractBalance() {
-    try {
-        const balance = await contract.getBalance();
-        contractBalance = balance;
-        contractBalance_span.innerText = `${ethers.utils.formatEther(balance)} BNB`;
-        
-        // Update max bet (contract balance)
-        maxBetAmount = balance;
-        return balance;
-    } catch (error) {
-        console.error('Error getting contract balance:', error);
-    }
+// Shorten an address for display
+function formatAddress(address) {
+    return `${address.substring(0, 6)}...${address.substring(38)}`;
+}
+
+// Deployment registered for a chain id, or null when the game is not deployed there
+function getDeployment(chainId) {
+    const entry = DEPLOYMENTS[chainId];
+    return entry && entry.contractAddress ? { chainId, ...entry } : null;
+}
+
+// Block explorer link for a transaction on the connected network
+function getTxUrl(hash) {
+    return `${deployment.explorerUrl}/tx/${hash}`;
+}
+
+// Toast following a transaction from the wallet prompt to its outcome; kind names it in the catalog (rps.tx.*)
+function trackTransaction(kind) {
+    return Notify.transaction(t(`rps.tx.${kind}`), { txUrl: getTxUrl });
+}
+
+// Shorten a transaction hash for display
+function formatTxHash(hash) {
+    return `${hash.substring(0, 10)}...${hash.substring(60)}`;
+}
+
+// Readable message for a contract revert, or null if the error is not a known revert.
+// REVERT_MESSAGES holds the English texts; other languages translate them in the catalog.
+function getRevertMessage(error) {
+    const messages = {};
+    Object.keys(REVERT_MESSAGES).forEach(reason => {
+        const key = `rps.revert.${reason}`;
+        messages[reason] = I18n.has(key) ? t(key) : REVERT_MESSAGES[reason];
+    });
+    return RpsClient.getRevertMessage(error, messages);
 }
 
-// Update user balance display
-async function updateUserBalance() {
+// Re-read balances and bet limits; the 'limits' listener shows them
+async function refreshBalances() {
     try {
-        const balance = await provider.getBalance(userAddress);
-        userBalance_span.innerText = `${parseFloat(ethers.utils.formatEther(balance)).toFixed(4)} BNB`;
+        await client.refreshLimits();
     } catch (error) {
-        console.error('Error getting user balance:', error);
+        console.error('Error refreshing balances:', error);
     }
 }
 
-// Update bet info
-async function updateBetInfo() {
-    const minBet = await contract.minBet();
-    minBetAmount = minBet;
-    const minBetFormatted = ethers.utils.formatEther(minBet);
-    const maxBetFormatted = ethers.utils.formatEther(maxBetAmount);
+// Show balances and the bet range
+function renderLimits(limits) {
+    minBetAmount = limits.minBet;
+    maxBetAmount = limits.maxBet;
+    maxBetReason = limits.maxBetReason;
+    contractBalance = limits.contractBalance;
+    lockedFunds = limits.lockedFunds;
+    userBalance = limits.userBalance;
+
+    contractBalance_span.innerText = formatAmount(contractBalance);
+    userBalance_span.innerText = formatAmount(userBalance, 4);
+
+    const min = formatAmount(minBetAmount);
+    const reason = formatLimitReason(maxBetReason);
     
-    betInfo_p.innerText = `Min: ${minBetFormatted} BNB | Max: ${maxBetFormatted} BNB`;
-    betAmount_input.min = minBetFormatted;
-    betAmount_input.max = maxBetFormatted;
+    if (maxBetAmount.lt(minBetAmount)) {
+        betInfo_p.innerText = t('rps.bet.unavailable', { min, reason });
+    } else {
+        betInfo_p.innerText = t('rps.bet.limits', { min, max: formatAmount(maxBetAmount), reason });
+    }
+    betAmount_input.min = ethers.utils.formatEther(minBetAmount);
+    betAmount_input.max = ethers.utils.formatEther(maxBetAmount);
 }
 
 // Set max bet
 function setMaxBet() {
-    if (maxBetAmount) {
+    if (maxBetAmount && maxBetAmount.gte(minBetAmount)) {
         betAmount_input.value = ethers.utils.formatEther(maxBetAmount);
     }
 }
 
+// Show the configured currency symbol in the static parts of the page
+function applyCurrencySymbol() {
+    const zero = formatAmount(0);
+    betUnit_span.innerText = currencySymbol;
+    contractBalance_span.innerText = zero;
+    userBalance_span.innerText = zero;
+    betInfo_p.innerText = t('rps.bet.idle', { min: zero, max: zero });
+}
+
+// Chain id MetaMask is currently on
+async function getWalletChainId() {
+    return parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+}
+
+// Ask MetaMask to switch to a registered network, adding it first if it is unknown
+async function switchNetwork(chainId) {
+    const network = DEPLOYMENTS[chainId];
+    const hexChainId = ethers.utils.hexValue(chainId);
+    try {
+        await window.ethereum.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: hexChainId }]
+        });
+    } catch (error) {
+        // 4902: MetaMask does not know this network yet
+        if (error.code !== 4902) throw error;
+
+        await window.ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: hexChainId,
+                chainName: network.chainName,
+                nativeCurrency: { name: network.currencySymbol, symbol: network.currencySymbol, decimals: 18 },
+                rpcUrls: [network.rpcUrl],
+                blockExplorerUrls: [network.explorerUrl]
+            }]
+        });
+    }
+}
+
+// The connected chain has no deployment: say so and offer to switch
+function showNotDeployed(chainId) {
+    awaitingNetwork = true;
+    result_p.innerHTML = t('rps.notDeployed', { chainId, network: DEPLOYMENTS[DEFAULT_CHAIN_ID].chainName });
+    connectBtn.innerText = t('rps.wallet.switchNetwork');
+    connectBtn.disabled = false;
+}
+
+// Drop provider, contract and all per-account state so nothing stale stays on screen
+function resetState() {
+    if (client) client.destroy();
+    hideAdminConsole();
+    hideCommitReveal();
+    hidePvp();
+    resetSeries();
+    if (provider) provider.removeAllListeners();
+
+    deployment = undefined;
+    awaitingNetwork = false;
+    client = undefined;
+    provider = undefined;
+    signer = undefined;
+    contract = undefined;
+    userAddress = undefined;
+    minBetAmount = undefined;
+    maxBetAmount = undefined;
+    contractBalance = undefined;
+    lockedFunds = undefined;
+
+    gameHistory = [];
+    feedRounds = [];
+    feedSeen = new Set();
+
+    walletAddress_p.innerText = '';
+    loadHistoryBtn.style.display = 'none';
+
+    renderIdleTexts();
+    renderHistory();
+    updateScoreboard();
+    renderFeed();
+    renderPnl();
+}
+
+// Texts shown while no wallet is connected
+function renderIdleTexts() {
+    connectBtn.innerText = t('rps.wallet.connect');
+    connectBtn.disabled = false;
+    result_p.innerHTML = t('rps.result.connect');
+    historyStatus_p.innerText = t('rps.history.connect');
+    applyCurrencySymbol();
+}
+
+// Language switched: re-render the texts this file owns (the other scripts listen too)
+function onLocaleChange() {
+    if (contract) {
+        connectBtn.innerText = t('rps.wallet.connected');
+        if (client.limits) renderLimits(client.limits);
+        if (!historyLoading) renderHistoryStatus();
+    } else if (awaitingNetwork) {
+        connectBtn.innerText = t('rps.wallet.switchNetwork');
+    } else {
+        renderIdleTexts();
+    }
+    renderHistory();
+    renderFeed();
+}
+
+// Network switched in MetaMask: the old provider is bound to the previous chain
+function handleChainChanged() {
+    if (isConnecting) return;
+
+    const wasConnected = !!contract || awaitingNetwork;
+    resetState();
+    if (wasConnected) connectWallet();
+}
+
+// Account switched or wallet disconnected in MetaMask
+function handleAccountsChanged(accounts) {
+    if (isConnecting) return;
+
+    const wasConnected = !!contract || awaitingNetwork;
+    resetState();
+    if (wasConnected && accounts.length > 0) connectWallet();
+}
+
 // Connect Wallet Function
 async function connectWallet() {
     if (typeof window.ethereum === 'undefined') {
-        alert('Please install MetaMask!');
+        Notify.error(t('rps.error.installMetaMask'));
         return;
     }
 
+    isConnecting = true;
+
     try {
         // Request account access
         await window.ethereum.request({ method: 'eth_requestAccounts' });
         
+        // Pick the deployment for the connected chain, offering a switch if there is none
+        let chainId = await getWalletChainId();
+        if (!getDeployment(chainId)) {
+            try {
+                await switchNetwork(DEFAULT_CHAIN_ID);
+            } catch (error) {
+                console.error('Network switch failed:', error);
+            }
+            // chainChanged is ignored while connecting, so read the chain again
+            chainId = await getWalletChainId();
+        }
+        
+        deployment = getDeployment(chainId);
+        if (!deployment) {
+            showNotDeployed(chainId);
+            return;
+        }
+        awaitingNetwork = false;
+        currencySymbol = deployment.currencySymbol;
+        applyCurrencySymbol();
+        
         provider = new ethers.providers.Web3Provider(window.ethereum);
         signer = provider.getSigner();
-        userAddress = await signer.getAddress();
         
-        // Create contract instance
-        contract = new ethers.Contract(contractAddress, contractABI, signer);
+        // Create the game client and its contract instance
+        client = await RpsClient.connect({
+            signer,
+            deployment,
+            abi: contractABI,
+            gasMargin: PLAY_GAS_MARGIN,
+            gasFallback: PLAY_GAS_FALLBACK,
+            logBlockRange: LOG_BLOCK_RANGE,
+            activityBackfillBlocks: FEED_BACKFILL_BLOCKS
+        });
+        contract = client.contract;
+        userAddress = client.address;
+        gameHistory = client.history;
+        
+        client.on('limits', renderLimits);
+        client.on('status', showBetStatus);
+        client.on('sent', rememberPendingPlay);
+        client.on('round', onRound);
+        client.on('history', onHistoryPage);
+        client.on('activity', addFeedRound);
         
         // Update UI
-        connectBtn.innerText = 'Connected ✓';
+        connectBtn.innerText = t('rps.wallet.connected');
         connectBtn.disabled = true;
-        walletAddress_p.innerText = `${userAddress.substring(0, 6)}...${userAddress.substring(38)}`;
-        result_p.innerHTML = 'Choose your move and place your bet!';
+        walletAddress_p.innerText = formatAddress(userAddress);
+        result_p.innerHTML = t('rps.result.choose');
         
         // Update balances and bet info
-        await updateContractBalance();
-        await updateUserBalance();
-        await updateBetInfo();
+        await refreshBalances();
+        
+        // Rebuild history and scoreboard from past round logs
+        loadGameHistory();
+        startActivityFeed();
+        initAdminConsole();
+        initCommitReveal();
+        initPvp();
+        resumePendingPlays();
+        initSeries();
         
         console.log('Connected to:', userAddress);
         console.log('Contract:', contract);
         
     } catch (error) {
         console.error('Connection error:', error);
-        alert('Failed to connect: ' + error.message);
+        Notify.error(t('rps.error.connectFailed', { error: error.message }));
+    } finally {
+        isConnecting = false;
+    }
+}
+
+// A round of this player settled: refresh the views it appears in
+function onRound(round) {
+    renderHistory();
+    updateScoreboard();
+    renderPnl();
+    addFeedRound(round);
+    recordSeriesRounds([round]);
+}
+
+// A page of past rounds was loaded into the history
+function onHistoryPage(page) {
+    historyStatus_p.innerText = t('rps.scannedBlocks', { from: page.fromBlock, to: page.toBlock });
+    renderHistory();
+    updateScoreboard();
+    renderPnl();
+}
+
+// Rebuild the scoreboard from on-chain rounds
+function updateScoreboard() {
+    userScore = gameHistory.filter(round => getRoundOutcome(round) === 'win').length;
+    computerScore = gameHistory.filter(round => getRoundOutcome(round) === 'lose').length;
+    userScore_span.innerHTML = userScore;
+    computerScore_span.innerHTML = computerScore;
+}
+
+// Render the history table
+function renderHistory() {
+    if (gameHistory.length === 0) {
+        historyBody.innerHTML = `<tr><td colspan="7" class="history-empty">${t('rps.history.empty')}</td></tr>`;
+        return;
+    }
+
+    historyBody.innerHTML = gameHistory.map(round => {
+        const outcome = getRoundOutcome(round);
+        return `
+            <tr class="history-${outcome}">
+                <td>${I18n.formatDate(new Date(round.timestamp * 1000))}</td>
+                <td>${convertToWord(convertMoveToLetter(round.playerMove))}</td>
+                <td>${convertToWord(convertMoveToLetter(round.contractMove))}</td>
+                <td>${formatAmount(round.bet)}</td>
+                <td>${formatAmount(round.amountWon)}</td>
+                <td>${t(`rps.outcome.${outcome}`)}</td>
+                <td><a href="${getTxUrl(round.txHash)}" target="_blank" rel="noopener" title="${round.txHash}">${formatTxHash(round.txHash)}</a></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Load the player's past rounds, scanning backwards in LOG_BLOCK_RANGE pages
+async function loadGameHistory() {
+    if (!client || historyLoading) return;
+
+    historyLoading = true;
+    loadHistoryBtn.disabled = true;
+    const activeClient = client;
+
+    try {
+        historyStatus_p.innerText = t('rps.history.scanning');
+        const fullyScanned = await activeClient.loadHistory(HISTORY_PAGES_PER_LOAD);
+        // Account or network changed while scanning
+        if (client !== activeClient) return;
+
+        renderHistoryStatus();
+        loadHistoryBtn.style.display = fullyScanned ? 'none' : '';
+    } catch (error) {
+        if (client !== activeClient) return;
+        console.error('Error loading game history:', error);
+        historyStatus_p.innerText = t('rps.history.loadFailed', { error: error.message });
+    } finally {
+        historyLoading = false;
+        loadHistoryBtn.disabled = false;
+    }
+}
+
+// How much of the history is loaded
+function renderHistoryStatus() {
+    const count = gameHistory.length;
+    historyStatus_p.innerText = client.isHistoryComplete()
+        ? t('rps.history.played', { count })
+        : t('rps.history.foundSince', { count, block: client.historyScannedFrom });
+}
+
+// Add a round to the live feed; rounds seen via both the subscription and
+// the player's own receipt are recorded once
+function addFeedRound(round) {
+    const key = `${round.txHash}:${round.logIndex}`;
+    if (feedSeen.has(key)) return;
+    feedSeen.add(key);
+
+    feedRounds.push(round);
+    feedRounds.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+
+    renderFeed();
+}
+
+// Render the rolling feed and the aggregates over all observed rounds
+function renderFeed() {
+    if (feedRounds.length === 0) {
+        const message = contract ? t('rps.feed.waiting') : t('rps.feed.connect');
+        feedList.innerHTML = `<li class="feed-empty">${message}</li>`;
+    } else {
+        feedList.innerHTML = feedRounds.slice(0, FEED_MAX_ITEMS).map(round => {
+            const outcome = getRoundOutcome(round);
+            const who = round.player.toLowerCase() === userAddress.toLowerCase() ? t('rps.feed.you') : formatAddress(round.player);
+            const moves = t('rps.feed.moves', {
+                player: convertToWord(convertMoveToLetter(round.playerMove)),
+                contract: convertToWord(convertMoveToLetter(round.contractMove))
+            });
+            let amount;
+            if (outcome === 'win') amount = t('rps.feed.won', { amount: formatAmount(round.amountWon) });
+            else if (outcome === 'lose') amount = t('rps.feed.lost', { amount: formatAmount(round.bet) });
+            else if (round.amountWon.isZero()) amount = t('rps.feed.drewKept', { amount: formatAmount(round.bet) });
+            else amount = t('rps.feed.drewReturned', { amount: formatAmount(round.amountWon) });
+
+            return `<li class="feed-item feed-${outcome}"><strong>${who}</strong> ${moves} &mdash; ${amount} ` +
+                `<a href="${getTxUrl(round.txHash)}" target="_blank" rel="noopener">${t('rps.feed.tx')}</a></li>`;
+        }).join('');
+    }
+
+    const wagered = feedRounds.reduce((sum, round) => sum.add(round.bet), ethers.BigNumber.from(0));
+    const paidOut = feedRounds.reduce((sum, round) => sum.add(round.amountWon), ethers.BigNumber.from(0));
+    const houseEdge = wagered.isZero()
+        ? 0
+        : parseFloat(ethers.utils.formatEther(wagered.sub(paidOut))) / parseFloat(ethers.utils.formatEther(wagered));
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const biggestWin = feedRounds
+        .filter(round => round.timestamp * 1000 >= startOfDay.getTime() && getRoundOutcome(round) === 'win')
+        .reduce((best, round) => (!best || round.amountWon.gt(best.amountWon) ? round : best), null);
+
+    feedStats_p.innerText = t('rps.feed.stats', {
+        rounds: I18n.formatNumber(feedRounds.length),
+        wagered: formatAmount(wagered),
+        edge: I18n.formatNumber(houseEdge, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+        biggestWin: biggestWin
+            ? t('rps.feed.biggestWin', { amount: formatAmount(biggestWin.amountWon), player: formatAddress(biggestWin.player) })
+            : '-'
+    });
+}
+
+// Backfill and subscribe to rounds from all players
+async function startActivityFeed() {
+    const activeClient = client;
+    try {
+        await activeClient.watchActivity();
+    } catch (error) {
+        console.error('Error backfilling activity feed:', error);
     }
+    if (client === activeClient) renderFeed();
+}
+
+// Re-subscribe and catch up after the connection comes back
+async function resumeActivityFeed() {
+    if (!client || document.visibilityState === 'hidden') return;
+    await startActivityFeed();
 }
 
-// Display result after game
-function displayResult(userChoice, computerChoice, playerWon) {
+// Display result after game, with the amount the contract paid back
+function displayResult(round) {
+    const userChoice = convertMoveToLetter(round.playerMove);
+    const computerChoice = convertMoveToLetter(round.contractMove);
     const userChoice_div = document.getElementById(userChoice);
-    const smallUserWord = "user".fontsize(3).sub();
-    const smallCompWord = "comp".fontsize(3).sub();
+    const player = `${convertToWord(userChoice)}${ownerTag('user')}`;
+    const contract = `${convertToWord(computerChoice)}${ownerTag('comp')}`;
+    const outcome = getRoundOutcome(round);
     
-    if (playerWon === null) {
-        // Draw
-        result_p.innerHTML = `${convertToWord(userChoice)}${smallUserWord} equals ${convertToWord(computerChoice)}${smallCompWord}. It's a draw.`;
-        userChoice_div.classList.add('gray-glow');
-        setTimeout(() => userChoice_div.classList.remove('gray-glow'), 300);
-    } else if (playerWon) {
+    if (outcome === 'draw') {
+        // Draw: refunded by current contracts, kept by deployments from before the refund
+        const refund = round.amountWon.isZero()
+            ? t('rps.result.drawKept')
+            : t('rps.result.drawReturned', { amount: formatAmount(round.amountWon) });
+        result_p.innerHTML = t('rps.result.draw', { player, contract, refund });
+        flashChoice(userChoice_div, 'gray-glow');
+    } else if (outcome === 'win') {
         // Win
-        userScore++;
-        userScore_span.innerHTML = userScore;
-        result_p.innerHTML = `${convertToWord(userChoice)}${smallUserWord} beats ${convertToWord(computerChoice)}${smallCompWord}. You win!`;
-        userChoice_div.classList.add('green-glow');
-        setTimeout(() => userChoice_div.classList.remove('green-glow'), 300);
+        result_p.innerHTML = t('rps.result.win', { player, contract, amount: formatAmount(round.amountWon) });
+        flashChoice(userChoice_div, 'green-glow');
     } else {
         // Lose
-        computerScore++;
-        computerScore_span.innerHTML = computerScore;
-        result_p.innerHTML = `${convertToWord(userChoice)}${smallUserWord} loses to ${convertToWord(computerChoice)}${smallCompWord}. You lost...`;
-        userChoice_div.classList.add('red-glow');
-        setTimeout(() => userChoice_div.classList.remove('red-glow'), 300);
+        result_p.innerHTML = t('rps.result.lose', { player, contract });
+        flashChoice(userChoice_div, 'red-glow');
+    }
+    
+    playSound(outcome);
+}
+
+// Read and validate the bet input; alerts and returns null when it is not a valid bet
+function readBetAmount() {
+    // Get bet amount from input
+    const betValue = betAmount_input.value;
+    if (!betValue || parseFloat(betValue) <= 0) {
+        Notify.error(t('rps.bet.invalid'));
+        return null;
+    }
+    
+    const betAmount = ethers.utils.parseEther(betValue);
+    
+    // Validate bet amount
+    const problem = client.getBetProblem(betAmount);
+    if (problem && problem.code === 'tooSmall') {
+        Notify.error(t('rps.bet.tooSmall', { min: formatAmount(problem.limit) }));
+        return null;
+    }
+    if (problem) {
+        Notify.error(t('rps.bet.tooLarge', { max: formatAmount(problem.limit), reason: formatLimitReason(problem.reason) }));
+        return null;
+    }
+    
+    return betAmount;
+}
+
+// Progress of a bet transaction sent by the client, in the result line and a toast
+function showBetStatus(status) {
+    if (['checking', 'signing', 'sent'].includes(status.stage)) {
+        result_p.innerHTML = t(`rps.status.${status.stage}`);
+    }
+
+    if (status.stage === 'signing') {
+        betTransaction = trackTransaction(status.method);
+        betTransaction.signing();
+    } else if (status.stage === 'sent') {
+        betTransaction.submitted(status.hash);
+        playSound('sent');
+    } else if (status.stage === 'confirmed') {
+        betTransaction.confirmed();
+        betTransaction = null;
     }
 }
 
+// Mark the bet transaction in progress as failed. A bet that failed before the wallet was asked
+// to sign (funds, limits, gas estimate) has no transaction toast yet, so it gets an error toast.
+function failBetTransaction(message, kind = 'play') {
+    if (!betTransaction) {
+        Notify.error(t('common.tx.failed', { label: t(`rps.tx.${kind}`), reason: message }));
+        return;
+    }
+    betTransaction.failed(message);
+    betTransaction = null;
+}
+
+// Refresh balances and show the last of the rounds a transaction settled
+async function showGameRounds(rounds) {
+    await refreshBalances();
+    
+    if (rounds.length === 0) {
+        result_p.innerHTML = t('rps.result.noRounds');
+        return;
+    }
+    
+    const round = rounds[rounds.length - 1];
+    console.log('Round:', round);
+    
+    displayResult(round);
+}
+
+// Show the outcome of a mined play()/reveal() transaction
+async function showGameReceipt(receipt) {
+    console.log('Transaction receipt:', receipt);
+    await showGameRounds(await client.processReceipt(receipt));
+}
+
 // Main game function - now calls smart contract
 async function game(userChoice) {
     if (!contract) {
-        alert('Please connect your wallet first!');
+        Notify.error(t('rps.error.connectFirst'));
         return;
     }
     
     try {
-        // Get bet amount from input
-        const betValue = betAmount_input.value;
-        if (!betValue || parseFloat(betValue) <= 0) {
-            alert('Please enter a valid bet amount!');
-            return;
-        }
+        const betAmount = readBetAmount();
+        if (!betAmount) return;
         
-        const betAmount = ethers.utils.parseEther(betValue);
+        rememberLastPlay(userChoice, betAmount_input.value);
+        startSeriesRound();
         
-        // Validate bet amount
-        if (betAmount.lt(minBetAmount)) {
-            alert(`Bet must be at least ${ethers.utils.formatEther(minBetAmount)} BNB`);
+        if (isCommitRevealMode()) {
+            await commitMove(userChoice, betAmount);
             return;
         }
         
-        if (betAmount.gt(maxBetAmount)) {
-            alert(`Bet cannot exceed ${ethers.utils.formatEther(maxBetAmount)} BNB (contract balance)`);
-            return;
-        }
-        
-        // Show loading message
-        result_p.innerHTML = '⏳ Loading... Waiting for blockchain transaction...';
+        // The client pre-flights the call, sends it and waits for the configured confirmations
+        const { hash, rounds } = await client.play(userChoice, betAmount);
+        removePendingPlay(hash);
         
-        const moveEnum = convertToMove(userChoice);
-        
-        // Call play() function on smart contract with user's bet amount
-        // Manually setting gasLimit to 500,000 to prevent "Out of Gas" errors
-        const tx = await contract.play(moveEnum, { 
-            value: betAmount,
-            gasLimit: 500000 
-        });
-        
-        result_p.innerHTML = '⏳ Transaction sent! Waiting for confirmation...';
-        
-        // Wait for transaction to be mined
-        const receipt = await tx.wait();
-        
-        console.log('Transaction receipt:', receipt);
-        
-        // Update balances after game
-        await updateContractBalance();
-        await updateUserBalance();
-        await updateBetInfo();
-        
-        // Parse the GamePlayed event from the receipt
-        const gameEvent = receipt.events?.find(e => e.event === 'GamePlayed');
-        
-        if (gameEvent) {
-            const { playerMove, contractMove, playerWon, amountWon } = gameEvent.args;
-            
-            const computerChoice = convertMoveToLetter(contractMove);
-            const playerWonResult = playerMove === contractMove ? null : playerWon;
-            
-            console.log('Player move:', playerMove);
-            console.log('Contract move:', contractMove);
-            console.log('Player won:', playerWon);
-            console.log('Amount won:', ethers.utils.formatEther(amountWon));
-            
-            // Display result
-            displayResult(userChoice, computerChoice, playerWonResult);
-        } else {
-            result_p.innerHTML = 'Game played! Check console for details.';
-        }
+        await showGameRounds(rounds);
         
     } catch (error) {
         console.error('Game error:', error);
         
-        if (error.code === 4001) {
-            result_p.innerHTML = 'Transaction rejected by user.';
-        } else if (error.message.includes('insufficient funds')) {
-            result_p.innerHTML = 'Insufficient funds for bet + gas.';
+        // Mined (reverted) or replaced: nothing is pending any more
+        const pendingHash = error.transactionHash || error.hash;
+        if (pendingHash && ['CALL_EXCEPTION', 'TRANSACTION_REPLACED'].includes(error.code)) {
+            removePendingPlay(pendingHash);
+        }
+        
+        // A sped-up transaction resolves normally, so a replacement here was cancelled
+        if (error.code === 'TRANSACTION_REPLACED') {
+            result_p.innerHTML = t('rps.error.cancelledInWallet');
+            failBetTransaction(t('rps.error.cancelledInWallet'));
         } else {
-            result_p.innerHTML = 'Error: ' + error.message;
+            showGameError(error);
         }
     }
 }
 
+// Show a failed bet transaction in the result line and its toast; kind is play or playBatch
+function showGameError(error, kind = 'play') {
+    const revertMessage = getRevertMessage(error);
+    playSound('error');
+    
+    let message;
+    if (RpsClient.isUserRejection(error)) {
+        message = t('rps.error.rejected');
+    } else if (revertMessage) {
+        message = revertMessage;
+    } else if (error.code === 'INSUFFICIENT_FUNDS' || error.message.includes('insufficient funds')) {
+        message = t('rps.error.insufficientFunds');
+    } else {
+        message = t('rps.error.generic', { error: error.message });
+    }
+    
+    result_p.innerHTML = message;
+    failBetTransaction(message, kind);
+}
+
 // Event listeners
 connectBtn.addEventListener('click', connectWallet);
 maxBetBtn.addEventListener('click', setMaxBet);
+loadHistoryBtn.addEventListener('click', loadGameHistory);
+window.addEventListener('online', resumeActivityFeed);
+document.addEventListener('visibilitychange', resumeActivityFeed);
+
+if (typeof window.ethereum !== 'undefined') {
+    window.ethereum.on('chainChanged', handleChainChanged);
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+}
+
+renderIdleTexts();
+I18n.onChange(onLocaleChange);
 
 rock_div.addEventListener('click', function () {
     game('r');
@@ -0,0 +1,254 @@
+// Commit-reveal rounds: the move is committed as a salted hash and revealed once the
+// block deciding the contract move is mined, so the contract move cannot be predicted.
+// The salt lives in localStorage until the round settles; without it the move can't be revealed.
+
+let autoRevealTried = false;
+
+// DOM Elements
+const commitControls_div = document.getElementById('commit-controls');
+const commitRevealToggle = document.getElementById('commit-reveal-toggle');
+const commitStatus_div = document.getElementById('commit-status');
+const commitStatus_p = document.getElementById('commit-status-text');
+const revealBtn = document.getElementById('reveal-btn');
+const cancelCommitBtn = document.getElementById('cancel-commit-btn');
+const forfeitBtn = document.getElementById('forfeit-btn');
+
+// Whether moves should go through commit()/reveal() instead of play()
+function isCommitRevealMode() {
+    return !!deployment && deployment.commitReveal && commitRevealToggle.checked;
+}
+
+// localStorage key of the open commitment for this player and deployment
+function getCommitStorageKey() {
+    return `rps-commit:${deployment.chainId}:${deployment.contractAddress}:${userAddress}`.toLowerCase();
+}
+
+function loadSavedCommit() {
+    const saved = localStorage.getItem(getCommitStorageKey());
+    return saved ? JSON.parse(saved) : null;
+}
+
+function saveCommit(record) {
+    localStorage.setItem(getCommitStorageKey(), JSON.stringify(record));
+}
+
+function clearSavedCommit() {
+    localStorage.removeItem(getCommitStorageKey());
+}
+
+// Show the mode toggle on deployments that support it and pick up an open commitment
+async function initCommitReveal() {
+    if (!deployment.commitReveal) return;
+
+    commitControls_div.style.display = '';
+    autoRevealTried = false;
+
+    try {
+        const record = loadSavedCommit();
+
+        // The commit transaction was sent before a reload and may still be pending
+        if (record && record.txHash) {
+            commitStatus_div.style.display = '';
+            showCommitStatus(t('rps.commit.waitingTx'), null);
+            await provider.waitForTransaction(record.txHash, deployment.confirmations);
+        }
+
+        await advanceCommit();
+    } catch (error) {
+        console.error('Error resuming commitment:', error);
+    }
+}
+
+// Hide all commit-reveal UI (wallet disconnected or network changed)
+function hideCommitReveal() {
+    commitControls_div.style.display = 'none';
+    commitStatus_div.style.display = 'none';
+}
+
+// Show a status line with at most one of the reveal / cancel / forfeit actions
+function showCommitStatus(message, action) {
+    commitStatus_div.style.display = '';
+    commitStatus_p.innerText = message;
+    revealBtn.style.display = action === 'reveal' ? '' : 'none';
+    cancelCommitBtn.style.display = action === 'cancel' ? '' : 'none';
+    forfeitBtn.style.display = action === 'forfeit' ? '' : 'none';
+}
+
+// Resolves once the chain reaches the given block
+function waitForBlock(blockNumber) {
+    return new Promise(resolve => {
+        const check = (current) => {
+            if (current < blockNumber) return;
+            provider.off('block', check);
+            resolve();
+        };
+        provider.on('block', check);
+    });
+}
+
+// Commit a salted hash of the move together with the bet
+async function commitMove(userChoice, betAmount) {
+    const move = convertToMove(userChoice);
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const commitment = ethers.utils.solidityKeccak256(['uint8', 'bytes32'], [move, salt]);
+
+    result_p.innerHTML = t('rps.status.checking');
+    await contract.callStatic.commit(commitment, { value: betAmount });
+
+    // Persist before signing so a refresh can never lose the salt of a mined commitment
+    saveCommit({ move: userChoice, salt, commitment, bet: betAmount.toString() });
+
+    // A failure reaches game(), which reports it on this toast too
+    result_p.innerHTML = t('rps.commit.signing');
+    betTransaction = trackTransaction('commit');
+    betTransaction.signing();
+    const tx = await contract.commit(commitment, { value: betAmount });
+    saveCommit({ ...loadSavedCommit(), txHash: tx.hash });
+
+    result_p.innerHTML = t('rps.commit.sent');
+    betTransaction.submitted(tx.hash);
+    await tx.wait(deployment.confirmations);
+    betTransaction.confirmed();
+    betTransaction = null;
+
+    result_p.innerHTML = t('rps.commit.committed', { move: convertToWord(userChoice) });
+    await refreshBalances();
+    autoRevealTried = false;
+    await advanceCommit();
+}
+
+// Move the open commitment to its next stage: wait, reveal, or report expiry
+async function advanceCommit() {
+    const activeContract = contract;
+    const onChain = await activeContract.commitments(userAddress);
+
+    // Nothing open on-chain: settled, cancelled, forfeited or never mined
+    if (onChain.blockNumber.isZero()) {
+        clearSavedCommit();
+        commitStatus_div.style.display = 'none';
+        return;
+    }
+
+    const record = loadSavedCommit();
+    const commitBlock = onChain.blockNumber.toNumber();
+    const deadline = commitBlock + (await activeContract.REVEAL_WINDOW()).toNumber();
+    const currentBlock = await provider.getBlockNumber();
+    const bet = formatAmount(onChain.bet);
+
+    if (currentBlock > deadline) {
+        showCommitStatus(t('rps.commit.expired', { bet, deadline }), 'forfeit');
+        return;
+    }
+
+    if (!record || record.commitment !== onChain.hash) {
+        showCommitStatus(t('rps.commit.secretMissing', { bet, block: commitBlock, deadline }),
+            currentBlock <= commitBlock ? 'cancel' : null);
+        return;
+    }
+
+    // The contract move comes from the hash of block commitBlock + 1
+    if (currentBlock < commitBlock + 2) {
+        showCommitStatus(t('rps.commit.waitingBlock', { move: convertToWord(record.move), bet, block: commitBlock + 1 }),
+            currentBlock <= commitBlock ? 'cancel' : null);
+        await waitForBlock(commitBlock + 2);
+        if (contract === activeContract) await advanceCommit();
+        return;
+    }
+
+    showCommitStatus(t('rps.commit.ready', {
+        move: convertToWord(record.move),
+        bet,
+        deadline,
+        blocksLeft: deadline - currentBlock
+    }), 'reveal');
+
+    if (!autoRevealTried) {
+        autoRevealTried = true;
+        await revealCommit();
+    }
+}
+
+// Reveal the stored move and salt, settling the round
+async function revealCommit() {
+    const record = loadSavedCommit();
+    if (!record) return;
+    let transaction = null;
+
+    try {
+        const move = convertToMove(record.move);
+        await contract.callStatic.reveal(move, record.salt);
+        const gasLimit = (await contract.estimateGas.reveal(move, record.salt)).add(PLAY_GAS_MARGIN);
+
+        result_p.innerHTML = t('rps.commit.revealSigning');
+        transaction = trackTransaction('reveal');
+        transaction.signing();
+        const tx = await contract.reveal(move, record.salt, { gasLimit });
+
+        result_p.innerHTML = t('rps.commit.revealSent');
+        transaction.submitted(tx.hash);
+        const receipt = await tx.wait(deployment.confirmations);
+        transaction.confirmed();
+
+        clearSavedCommit();
+        commitStatus_div.style.display = 'none';
+        await showGameReceipt(receipt);
+    } catch (error) {
+        console.error('Reveal error:', error);
+        const reason = getRevertMessage(error) || error.message;
+        result_p.innerHTML = RpsClient.isUserRejection(error)
+            ? t('rps.commit.revealRejected')
+            : t('rps.commit.revealFailed', { error: reason });
+        if (transaction) transaction.failed(RpsClient.isUserRejection(error) ? t('rps.error.rejected') : reason);
+    }
+}
+
+// Take the bet back before the contract move is decided
+async function cancelCommitment() {
+    const transaction = trackTransaction('cancelCommit');
+    try {
+        result_p.innerHTML = t('rps.commit.cancelSigning');
+        transaction.signing();
+        const tx = await contract.cancelCommit();
+        transaction.submitted(tx.hash);
+        await tx.wait(deployment.confirmations);
+        transaction.confirmed();
+
+        clearSavedCommit();
+        commitStatus_div.style.display = 'none';
+        result_p.innerHTML = t('rps.commit.cancelled');
+        await refreshBalances();
+    } catch (error) {
+        console.error('Cancel error:', error);
+        const reason = RpsClient.isUserRejection(error) ? t('rps.error.rejected') : getRevertMessage(error) || error.message;
+        result_p.innerHTML = RpsClient.isUserRejection(error) ? reason : t('rps.commit.cancelFailed', { error: reason });
+        transaction.failed(reason);
+        if (contract) await advanceCommit();
+    }
+}
+
+// Clear an expired commitment so a new one can be made (the bet stays with the house)
+async function forfeitCommitment() {
+    const transaction = trackTransaction('forfeit');
+    try {
+        result_p.innerHTML = t('rps.commit.forfeitSigning');
+        transaction.signing();
+        const tx = await contract.forfeit(userAddress);
+        transaction.submitted(tx.hash);
+        await tx.wait(deployment.confirmations);
+        transaction.confirmed();
+
+        clearSavedCommit();
+        commitStatus_div.style.display = 'none';
+        result_p.innerHTML = t('rps.commit.cleared');
+        await refreshBalances();
+    } catch (error) {
+        console.error('Forfeit error:', error);
+        const reason = RpsClient.isUserRejection(error) ? t('rps.error.rejected') : getRevertMessage(error) || error.message;
+        result_p.innerHTML = RpsClient.isUserRejection(error) ? reason : t('rps.error.generic', { error: reason });
+        transaction.failed(reason);
+    }
+}
+
+revealBtn.addEventListener('click', revealCommit);
+cancelCommitBtn.addEventListener('click', cancelCommitment);
+forfeitBtn.addEventListener('click', forfeitCommitment);
@@ -1,5 +1,92 @@
 // Configuration file for smart contract
-const CONTRACT_ADDRESS = "0x0F32de40FF7e9bd57a22b53982Fe452ee8276101";
+
+// RockPaperScissors deployments, keyed by chain id. A network with a null
+// contractAddress is known (and can be added to MetaMask) but not deployed yet.
+const DEPLOYMENTS = {
+    97: {
+        chainName: "BNB Smart Chain Testnet",
+        rpcUrl: "https://data-seed-prebsc-1-s1.bnbchain.org:8545",
+        currencySymbol: "tBNB",
+        explorerUrl: "https://testnet.bscscan.com",
+        contractAddress: "0x0F32de40FF7e9bd57a22b53982Fe452ee8276101",
+        deploymentBlock: 0,   // block the contract was deployed in; history scanning starts here
+        confirmations: 1,     // blocks to wait before showing a round's result
+        commitReveal: false,  // deployed before commit()/reveal() were added to rps.sol
+        playBatch: false,     // deployed before playBatch() was added to rps.sol
+        pvpAddress: null,     // RockPaperScissorsPvP (pvp.sol), null until deployed
+        pvpDeploymentBlock: 0
+    },
+    56: {
+        chainName: "BNB Smart Chain",
+        rpcUrl: "https://bsc-dataseed.bnbchain.org",
+        currencySymbol: "BNB",
+        explorerUrl: "https://bscscan.com",
+        contractAddress: null,
+        deploymentBlock: 0,
+        confirmations: 3,
+        commitReveal: true,
+        playBatch: true,
+        pvpAddress: null,
+        pvpDeploymentBlock: 0
+    }
+};
+
+// Network the wallet is asked to switch to when the connected chain has no deployment
+const DEFAULT_CHAIN_ID = 97;
+
+// Gas for play(): extra gas on top of the estimate, since the estimate may
+// simulate a losing round while a win also pays out via transfer(), and the
+// amount assumed when no estimate is possible (e.g. for the Max bet calculation)
+const PLAY_GAS_MARGIN = 30000;
+const PLAY_GAS_FALLBACK = 100000;
+
+// Pending play() recovery after a reload: how often to poll, and how long a
+// transaction may be missing from the node before it is treated as dropped
+const PENDING_POLL_INTERVAL = 5000;
+const PENDING_DROP_TIMEOUT = 10 * 60 * 1000;
+
+// Most moves one playBatch() accepts (MAX_BATCH in rps.sol); longer queues are sent as several batches
+const MAX_BATCH_MOVES = 10;
+
+// Readable messages for the contract's require() reasons
+const REVERT_MESSAGES = {
+    "Bet too small": "Your bet is below the contract's minimum bet.",
+    "Bet too large": "Your bet is above the contract's maximum bet.",
+    "Contract lacks funds for payout": "The house bankroll cannot cover a win of this size. Try a smaller bet.",
+    "Only owner can withdraw": "Only the contract owner can withdraw.",
+    "Funds locked for open commitments": "Part of the bankroll is reserved for open commit-reveal rounds.",
+    "Commitment already open": "Finish your open commit-reveal round before starting another.",
+    "No open commitment": "You have no open commit-reveal round.",
+    "Contract move not determined yet": "Wait one more block before revealing.",
+    "Contract move already determined": "Too late to cancel: the contract move is already decided.",
+    "Reveal window expired": "The reveal window has expired; the bet is forfeited.",
+    "Reveal window still open": "The commitment can still be revealed.",
+    "Move does not match commitment": "The stored move does not match your commitment.",
+    "Invalid number of moves": "Queue between 1 and 10 moves.",
+    "Bet must split evenly": "The total bet must split evenly between the queued moves.",
+    "Stake required": "Enter a stake for the match.",
+    "Stake must match": "Your stake must equal the match stake.",
+    "Match does not exist": "This match does not exist.",
+    "Match is not open": "This match is no longer open.",
+    "Cannot join your own match": "You cannot join your own match.",
+    "Only creator can cancel": "Only the match creator can cancel it.",
+    "Match is not in reveal stage": "This match is not waiting for reveals.",
+    "Reveal deadline passed": "The reveal deadline has passed.",
+    "Reveal deadline not reached": "The reveal deadline has not passed yet.",
+    "Already revealed": "You have already revealed your move.",
+    "Not a player in this match": "You are not a player in this match.",
+    "Nothing to withdraw": "You have nothing to withdraw from player-vs-player matches.",
+    "Withdrawal failed": "The withdrawal could not be paid to your address."
+};
+
+// History scanning: the largest block range a single eth_getLogs request may
+// cover (public BSC RPCs cap this) and how many ranges one load scans
+const LOG_BLOCK_RANGE = 5000;
+const HISTORY_PAGES_PER_LOAD = 20;
+
+// Live activity feed: how far back to backfill on start, and how many rounds to show
+const FEED_BACKFILL_BLOCKS = 1000;
+const FEED_MAX_ITEMS = 15;
 
 const CONTRACT_ABI = [
 	{
@@ -7,6 +94,44 @@ const CONTRACT_ABI = [
 		"stateMutability": "nonpayable",
 		"type": "constructor"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "player",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "refund",
+				"type": "uint256"
+			}
+		],
+		"name": "CommitCancelled",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "player",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "bet",
+				"type": "uint256"
+			}
+		],
+		"name": "CommitForfeited",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -45,38 +170,183 @@ const CONTRACT_ABI = [
 		"type": "event"
 	},
 	{
+		"anonymous": false,
 		"inputs": [
 			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "player",
+				"type": "address"
+			},
+			{
+				"indexed": false,
 				"internalType": "enum RockPaperScissors.Move",
-				"name": "_playerMove",
+				"name": "playerMove",
+				"type": "uint8"
+			},
+			{
+				"indexed": false,
+				"internalType": "enum RockPaperScissors.Move",
+				"name": "contractMove",
+				"type": "uint8"
+			},
+			{
+				"indexed": false,
+				"internalType": "enum RockPaperScissors.Outcome",
+				"name": "outcome",
 				"type": "uint8"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "bet",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "payout",
+				"type": "uint256"
 			}
 		],
-		"name": "play",
+		"name": "GameSettled",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "player",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "bytes32",
+				"name": "commitment",
+				"type": "bytes32"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "bet",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "blockNumber",
+				"type": "uint256"
+			}
+		],
+		"name": "MoveCommitted",
+		"type": "event"
+	},
+	{
+		"inputs": [],
+		"name": "MAX_BATCH",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "REVEAL_WINDOW",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "cancelCommit",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "bytes32",
+				"name": "_commitment",
+				"type": "bytes32"
+			}
+		],
+		"name": "commit",
 		"outputs": [],
 		"stateMutability": "payable",
 		"type": "function"
 	},
 	{
 		"inputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "commitments",
+		"outputs": [
+			{
+				"internalType": "bytes32",
+				"name": "hash",
+				"type": "bytes32"
+			},
 			{
 				"internalType": "uint256",
-				"name": "amount",
+				"name": "bet",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "blockNumber",
 				"type": "uint256"
 			}
 		],
-		"name": "withdraw",
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "_player",
+				"type": "address"
+			}
+		],
+		"name": "forfeit",
 		"outputs": [],
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
 	{
-		"stateMutability": "payable",
-		"type": "receive"
+		"inputs": [],
+		"name": "getBalance",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
 	},
 	{
 		"inputs": [],
-		"name": "getBalance",
+		"name": "lockedFunds",
 		"outputs": [
 			{
 				"internalType": "uint256",
@@ -125,5 +395,429 @@ const CONTRACT_ABI = [
 		],
 		"stateMutability": "view",
 		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "enum RockPaperScissors.Move",
+				"name": "_playerMove",
+				"type": "uint8"
+			}
+		],
+		"name": "play",
+		"outputs": [],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "enum RockPaperScissors.Move[]",
+				"name": "_playerMoves",
+				"type": "uint8[]"
+			}
+		],
+		"name": "playBatch",
+		"outputs": [],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "enum RockPaperScissors.Move",
+				"name": "_playerMove",
+				"type": "uint8"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "_salt",
+				"type": "bytes32"
+			}
+		],
+		"name": "reveal",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "amount",
+				"type": "uint256"
+			}
+		],
+		"name": "withdraw",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"stateMutability": "payable",
+		"type": "receive"
+	}
+];
+
+// ABI of RockPaperScissorsPvP (pvp.sol)
+const PVP_ABI = [
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "matchId",
+				"type": "uint256"
+			}
+		],
+		"name": "MatchCancelled",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "matchId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "creator",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "stake",
+				"type": "uint256"
+			}
+		],
+		"name": "MatchCreated",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "matchId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "opponent",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "revealDeadline",
+				"type": "uint256"
+			}
+		],
+		"name": "MatchJoined",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "matchId",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "address",
+				"name": "winner",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "payout",
+				"type": "uint256"
+			}
+		],
+		"name": "MatchSettled",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "matchId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "player",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "enum RockPaperScissorsPvP.Move",
+				"name": "move",
+				"type": "uint8"
+			}
+		],
+		"name": "MoveRevealed",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "player",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "amount",
+				"type": "uint256"
+			}
+		],
+		"name": "Withdrawn",
+		"type": "event"
+	},
+	{
+		"inputs": [],
+		"name": "REVEAL_TIMEOUT",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "balances",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_matchId",
+				"type": "uint256"
+			}
+		],
+		"name": "cancelMatch",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_matchId",
+				"type": "uint256"
+			}
+		],
+		"name": "claimTimeout",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "bytes32",
+				"name": "_commitment",
+				"type": "bytes32"
+			}
+		],
+		"name": "createMatch",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_matchId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "_commitment",
+				"type": "bytes32"
+			}
+		],
+		"name": "joinMatch",
+		"outputs": [],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "matchCount",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"name": "matches",
+		"outputs": [
+			{
+				"internalType": "address",
+				"name": "creator",
+				"type": "address"
+			},
+			{
+				"internalType": "address",
+				"name": "opponent",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "stake",
+				"type": "uint256"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "creatorCommit",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "opponentCommit",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "enum RockPaperScissorsPvP.Move",
+				"name": "creatorMove",
+				"type": "uint8"
+			},
+			{
+				"internalType": "enum RockPaperScissorsPvP.Move",
+				"name": "opponentMove",
+				"type": "uint8"
+			},
+			{
+				"internalType": "bool",
+				"name": "creatorRevealed",
+				"type": "bool"
+			},
+			{
+				"internalType": "bool",
+				"name": "opponentRevealed",
+				"type": "bool"
+			},
+			{
+				"internalType": "uint256",
+				"name": "revealDeadline",
+				"type": "uint256"
+			},
+			{
+				"internalType": "enum RockPaperScissorsPvP.Stage",
+				"name": "stage",
+				"type": "uint8"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_matchId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "enum RockPaperScissorsPvP.Move",
+				"name": "_move",
+				"type": "uint8"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "_salt",
+				"type": "bytes32"
+			}
+		],
+		"name": "reveal",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "withdraw",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
 	}
 ];
+
+// Node scripts (bots, tests) load this file with require('./config')
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        DEPLOYMENTS,
+        DEFAULT_CHAIN_ID,
+        PLAY_GAS_MARGIN,
+        PLAY_GAS_FALLBACK,
+        PENDING_POLL_INTERVAL,
+        PENDING_DROP_TIMEOUT,
+        MAX_BATCH_MOVES,
+        REVERT_MESSAGES,
+        LOG_BLOCK_RANGE,
+        HISTORY_PAGES_PER_LOAD,
+        FEED_BACKFILL_BLOCKS,
+        FEED_MAX_ITEMS,
+        CONTRACT_ABI,
+        PVP_ABI
+    };
+}
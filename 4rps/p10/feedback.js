@@ -0,0 +1,127 @@
+// Board feedback: keyboard shortcuts, sound effects and the reduced-motion setting.
+// Results and transaction stages are announced by the live regions around them in index.html.
+
+const SETTINGS_STORAGE_KEY = 'rps-settings';
+const GLOW_DURATION = 300;
+
+// Notes (Hz) played for each sound, one after the other
+const SOUNDS = {
+    sent: [660],
+    win: [523, 659, 784],
+    lose: [392, 330, 262],
+    draw: [440, 440],
+    error: [196, 196]
+};
+const NOTE_LENGTH = 0.12;
+
+let settings = loadSettings();
+let audioContext = null;
+let lastPlay = null;
+
+// DOM Elements
+const soundToggle = document.getElementById('sound-toggle');
+const reducedMotionToggle = document.getElementById('reduced-motion-toggle');
+
+// Settings saved in localStorage; reduced motion defaults to the system preference
+function loadSettings() {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    const prefersReducedMotion = typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    return {
+        sound: saved.sound === true,
+        reducedMotion: typeof saved.reducedMotion === 'boolean' ? saved.reducedMotion : prefersReducedMotion
+    };
+}
+
+function saveSettings() {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+function applySettings() {
+    soundToggle.checked = settings.sound;
+    reducedMotionToggle.checked = settings.reducedMotion;
+    document.body.classList.toggle('reduced-motion', settings.reducedMotion);
+}
+
+// Light up a move button with a glow class; with reduced motion it stays lit until the next round
+function flashChoice(choice_div, glowClass) {
+    document.querySelectorAll('.choice').forEach(div => div.classList.remove('green-glow', 'red-glow', 'gray-glow'));
+    choice_div.classList.add(glowClass);
+
+    if (!settings.reducedMotion) {
+        setTimeout(() => choice_div.classList.remove(glowClass), GLOW_DURATION);
+    }
+}
+
+// Play one of SOUNDS when sound effects are on and the browser has Web Audio
+function playSound(name) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!settings.sound || !AudioContextClass || !SOUNDS[name]) return;
+
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        const start = audioContext.currentTime;
+
+        SOUNDS[name].forEach((frequency, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const noteStart = start + index * NOTE_LENGTH;
+
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, noteStart);
+            gain.gain.exponentialRampToValueAtTime(0.001, noteStart + NOTE_LENGTH);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(noteStart);
+            oscillator.stop(noteStart + NOTE_LENGTH);
+        });
+    } catch (error) {
+        console.error('Error playing sound:', error);
+    }
+}
+
+// Remember a move whose bet passed validation, for Enter to replay it
+function rememberLastPlay(letter, betValue) {
+    lastPlay = { letter, betValue };
+}
+
+// Play the last move again with the same bet
+function replayLastPlay() {
+    if (!lastPlay) return;
+    betAmount_input.value = lastPlay.betValue;
+    game(lastPlay.letter);
+}
+
+// R, P and S play a move, Enter replays the last one; typing in form fields is left alone
+function handleShortcut(event) {
+    if (event.defaultPrevented || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const target = event.target;
+    if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+
+    const key = event.key.toLowerCase();
+
+    if (['r', 'p', 's'].includes(key)) {
+        event.preventDefault();
+        game(key);
+    } else if (key === 'enter' && !['BUTTON', 'A'].includes(target.tagName)) {
+        // Enter on a focused button activates that button instead
+        event.preventDefault();
+        replayLastPlay();
+    }
+}
+
+soundToggle.addEventListener('change', () => {
+    settings.sound = soundToggle.checked;
+    saveSettings();
+    // Browsers only start audio after a user gesture, so this is the moment to create it
+    playSound('sent');
+});
+reducedMotionToggle.addEventListener('change', () => {
+    settings.reducedMotion = reducedMotionToggle.checked;
+    saveSettings();
+    applySettings();
+});
+document.addEventListener('keydown', handleShortcut);
+
+applySettings();
@@ -0,0 +1,125 @@
+// Recovery of play() transactions that were still pending when the page was reloaded.
+// Each sent play() is stored in localStorage until its outcome is known.
+
+// localStorage key of the pending plays for this player and deployment
+function getPendingStorageKey() {
+    return `rps-pending:${deployment.chainId}:${deployment.contractAddress}:${userAddress}`.toLowerCase();
+}
+
+function loadPendingPlays() {
+    const saved = localStorage.getItem(getPendingStorageKey());
+    return saved ? JSON.parse(saved) : [];
+}
+
+function savePendingPlay(record) {
+    localStorage.setItem(getPendingStorageKey(), JSON.stringify([...loadPendingPlays(), record]));
+}
+
+// Client 'sent' event: store single play() bets until their outcome is known
+function rememberPendingPlay(sent) {
+    if (sent.method !== 'play') return;
+
+    savePendingPlay({
+        hash: sent.hash,
+        from: sent.from,
+        nonce: sent.nonce,
+        move: sent.moves[0],
+        bet: sent.bet.toString(),
+        startBlock: sent.startBlock,
+        sentAt: Date.now()
+    });
+}
+
+function removePendingPlay(hash) {
+    const remaining = loadPendingPlays().filter(record => record.hash !== hash);
+    localStorage.setItem(getPendingStorageKey(), JSON.stringify(remaining));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resume tracking of every stored pending play, all at once: an older play stuck in the
+// mempool must not hold back the outcome of a newer one
+async function resumePendingPlays() {
+    const records = loadPendingPlays();
+    const results = await Promise.allSettled(records.map(trackPendingPlay));
+
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Error resuming pending transaction:', result.reason));
+}
+
+// Find a mined round transaction that reused the pending transaction's nonce, searching
+// from the block the play was sent at in LOG_BLOCK_RANGE pages
+async function findReplacement(record) {
+    const latestBlock = await provider.getBlockNumber();
+
+    for (let start = record.startBlock; start <= latestBlock; start += LOG_BLOCK_RANGE) {
+        const end = Math.min(latestBlock, start + LOG_BLOCK_RANGE - 1);
+        const events = await client.queryRoundEvents(start, end, record.from);
+
+        for (const event of events) {
+            const tx = await event.getTransaction();
+            if (tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce) {
+                return event.getTransactionReceipt();
+            }
+        }
+    }
+    return null;
+}
+
+// Poll a pending play until it is mined, replaced or dropped, then show the outcome.
+// The record is removed only once its outcome is shown; after an error it stays stored
+// and the next poll tries again.
+async function trackPendingPlay(record) {
+    const activeContract = contract;
+    const bet = formatAmount(record.bet);
+
+    result_p.innerHTML = t('rps.pending.resuming', { move: convertToWord(record.move), bet });
+
+    while (contract === activeContract) {
+        try {
+            const receipt = await provider.getTransactionReceipt(record.hash);
+
+            if (receipt && receipt.confirmations >= deployment.confirmations) {
+                if (receipt.status === 0) {
+                    result_p.innerHTML = t('rps.pending.reverted', { bet });
+                } else {
+                    await showGameReceipt(receipt);
+                }
+                removePendingPlay(record.hash);
+                return;
+            }
+
+            if (!receipt) {
+                // The nonce was used by another transaction: it was sped up or cancelled
+                const nonce = await provider.getTransactionCount(record.from, 'latest');
+                if (nonce > record.nonce && !(await provider.getTransactionReceipt(record.hash))) {
+                    const replacement = await findReplacement(record);
+
+                    if (replacement) {
+                        await showGameReceipt(replacement);
+                    } else {
+                        result_p.innerHTML = t('rps.pending.replaced', { bet });
+                    }
+                    removePendingPlay(record.hash);
+                    return;
+                }
+
+                // Unknown to the node for too long: dropped from the mempool
+                const tx = await provider.getTransaction(record.hash);
+                if (!tx && Date.now() - record.sentAt > PENDING_DROP_TIMEOUT) {
+                    result_p.innerHTML = t('rps.pending.dropped', { bet });
+                    removePendingPlay(record.hash);
+                    return;
+                }
+            }
+        } catch (error) {
+            console.error('Error checking pending transaction:', error);
+            result_p.innerHTML = t('rps.pending.checkFailed', { bet, error: error.message });
+        }
+
+        await sleep(PENDING_POLL_INTERVAL);
+    }
+}
@@ -0,0 +1,177 @@
+// Profit & loss analytics built from the on-chain game history in app.js
+
+// Rounds with a block time after this count towards the current session
+const sessionStartTime = Math.floor(Date.now() / 1000);
+
+// The CSV export stays in English whatever the page language, so spreadsheets can rely on it
+const CSV_MOVE_NAMES = ['Rock', 'Paper', 'Scissors'];
+
+// DOM Elements
+const pnlBody = document.getElementById('pnl-body');
+const pnlAllTime_th = document.getElementById('pnl-all-time');
+const pnlChart_canvas = document.getElementById('pnl-chart');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+
+// Net result of a single round: payout minus bet minus gas
+function getRoundNet(round) {
+    return round.amountWon.sub(round.bet).sub(round.gasCost);
+}
+
+// Aggregate wagered, paid out, gas, win rates and streaks over a list of rounds
+function computePnlStats(rounds) {
+    const zero = ethers.BigNumber.from(0);
+    const stats = {
+        rounds: rounds.length,
+        wagered: zero,
+        paidOut: zero,
+        gasSpent: zero,
+        net: zero,
+        byMove: [0, 1, 2].map(() => ({ played: 0, wins: 0 })),
+        longestWinStreak: 0,
+        longestLossStreak: 0
+    };
+
+    let winStreak = 0;
+    let lossStreak = 0;
+
+    // History is newest first; streaks are counted in play order
+    [...rounds].reverse().forEach(round => {
+        const outcome = getRoundOutcome(round);
+
+        stats.wagered = stats.wagered.add(round.bet);
+        stats.paidOut = stats.paidOut.add(round.amountWon);
+        stats.gasSpent = stats.gasSpent.add(round.gasCost);
+        stats.net = stats.net.add(getRoundNet(round));
+
+        stats.byMove[round.playerMove].played++;
+        if (outcome === 'win') stats.byMove[round.playerMove].wins++;
+
+        // A draw breaks both streaks
+        winStreak = outcome === 'win' ? winStreak + 1 : 0;
+        lossStreak = outcome === 'lose' ? lossStreak + 1 : 0;
+        stats.longestWinStreak = Math.max(stats.longestWinStreak, winStreak);
+        stats.longestLossStreak = Math.max(stats.longestLossStreak, lossStreak);
+    });
+
+    return stats;
+}
+
+// Format a wei amount in the native currency with 4 decimals
+function formatCurrency(amount) {
+    return formatAmount(amount, 4);
+}
+
+// Format the win rate of one move
+function formatWinRate(moveStats) {
+    if (moveStats.played === 0) return '-';
+    const rate = I18n.formatNumber(moveStats.wins / moveStats.played, { style: 'percent', maximumFractionDigits: 0 });
+    return t('rps.pnl.winRate', { rate, wins: moveStats.wins, played: moveStats.played });
+}
+
+// Heading of the all-time column, which covers only the loaded rounds until the history
+// reaches back to the deployment block
+function getAllTimeHeading() {
+    if (!client || client.isHistoryComplete()) return t('rps.pnl.allTime');
+    if (client.historyScannedFrom === undefined) return t('rps.pnl.loaded');
+    return t('rps.pnl.sinceBlock', { block: client.historyScannedFrom });
+}
+
+// Render session and all-time statistics side by side
+function renderPnl() {
+    const session = computePnlStats(gameHistory.filter(round => round.timestamp >= sessionStartTime));
+    const allTime = computePnlStats(gameHistory);
+    pnlAllTime_th.innerText = getAllTimeHeading();
+
+    const netClass = (net) => (net.isNegative() ? 'pnl-negative' : 'pnl-positive');
+    const rows = [
+        ['rounds', (s) => I18n.formatNumber(s.rounds)],
+        ['wagered', (s) => formatCurrency(s.wagered)],
+        ['paidOut', (s) => formatCurrency(s.paidOut)],
+        ['gasSpent', (s) => formatCurrency(s.gasSpent)],
+        ['net', (s) => `<span class="${netClass(s.net)}">${formatCurrency(s.net)}</span>`],
+        ['rockWinRate', (s) => formatWinRate(s.byMove[0])],
+        ['paperWinRate', (s) => formatWinRate(s.byMove[1])],
+        ['scissorsWinRate', (s) => formatWinRate(s.byMove[2])],
+        ['longestWinStreak', (s) => s.longestWinStreak],
+        ['longestLossStreak', (s) => s.longestLossStreak]
+    ];
+
+    pnlBody.innerHTML = rows.map(([label, value]) => `
+        <tr>
+            <td>${t(`rps.pnl.${label}`)}</td>
+            <td>${value(session)}</td>
+            <td>${value(allTime)}</td>
+        </tr>
+    `).join('');
+
+    drawPnlChart();
+}
+
+// Draw the cumulative all-time net result as a line chart
+function drawPnlChart() {
+    const ctx = pnlChart_canvas.getContext('2d');
+    const { width, height } = pnlChart_canvas;
+    const padding = 10;
+
+    ctx.clearRect(0, 0, width, height);
+
+    let cumulative = 0;
+    const points = [0, ...[...gameHistory].reverse().map(round => {
+        cumulative += parseFloat(ethers.utils.formatEther(getRoundNet(round)));
+        return cumulative;
+    })];
+
+    if (points.length < 2) return;
+
+    const max = Math.max(...points, 0);
+    const min = Math.min(...points, 0);
+    const range = max - min || 1;
+    const x = (i) => padding + i / (points.length - 1) * (width - padding * 2);
+    const y = (value) => padding + (max - value) / range * (height - padding * 2);
+
+    // Break-even line
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, y(0));
+    ctx.lineTo(width - padding, y(0));
+    ctx.stroke();
+
+    ctx.strokeStyle = cumulative < 0 ? '#fc121b' : '#4dcc7d';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((value, i) => {
+        if (i === 0) ctx.moveTo(x(i), y(value));
+        else ctx.lineTo(x(i), y(value));
+    });
+    ctx.stroke();
+}
+
+// Download the loaded history as CSV
+function exportHistoryCsv() {
+    const header = ['Time', 'Tx Hash', 'Block', 'Your Move', 'Contract Move', 'Result',
+        `Bet (${currencySymbol})`, `Payout (${currencySymbol})`, `Gas (${currencySymbol})`, `Net (${currencySymbol})`];
+    const lines = [...gameHistory].reverse().map(round => [
+        new Date(round.timestamp * 1000).toISOString(),
+        round.txHash,
+        round.blockNumber,
+        CSV_MOVE_NAMES[round.playerMove],
+        CSV_MOVE_NAMES[round.contractMove],
+        getRoundOutcome(round),
+        ethers.utils.formatEther(round.bet),
+        ethers.utils.formatEther(round.amountWon),
+        ethers.utils.formatEther(round.gasCost),
+        ethers.utils.formatEther(getRoundNet(round))
+    ].join(','));
+
+    const csv = [header.join(','), ...lines].join('\n');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `rps-history-${userAddress || 'player'}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+exportCsvBtn.addEventListener('click', exportHistoryCsv);
+I18n.onChange(renderPnl);
+renderPnl();
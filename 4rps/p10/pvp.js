@@ -0,0 +1,381 @@
+// Player-vs-player matches against RockPaperScissorsPvP (pvp.sol): lobby, per-match status,
+// timeout claims and withdrawing what settled matches credited. Moves are committed as
+// keccak256(move, salt, player); the move and salt are kept in localStorage under the commitment
+// hash until the player reveals.
+
+const PVP_STAGES = ['Open', 'Joined', 'Settled', 'Cancelled'];
+const PVP_EVENTS = ['MatchCreated', 'MatchJoined', 'MoveRevealed', 'MatchSettled', 'MatchCancelled'];
+
+let pvpContract;
+let pvpMatches = new Map();
+let pvpRefreshTimer;
+let pvpBalance;
+let pvpScannedFrom;
+let pvpLoading = false;
+
+// DOM Elements
+const pvp_div = document.getElementById('pvp-section');
+const pvpStake_input = document.getElementById('pvp-stake');
+const pvpMove_select = document.getElementById('pvp-move');
+const createMatchBtn = document.getElementById('create-match-btn');
+const pvpLobbyBody = document.getElementById('pvp-lobby-body');
+const pvpMyBody = document.getElementById('pvp-my-body');
+const pvpStatus_p = document.getElementById('pvp-status');
+const pvpLoadOlderBtn = document.getElementById('pvp-load-older-btn');
+const pvpBalance_p = document.getElementById('pvp-balance');
+const pvpBalanceText = document.getElementById('pvp-balance-text');
+const pvpWithdrawBtn = document.getElementById('pvp-withdraw-btn');
+
+// Show the PvP section when the connected network has a PvP deployment
+async function initPvp() {
+    if (!deployment.pvpAddress) return;
+
+    pvpContract = new ethers.Contract(deployment.pvpAddress, PVP_ABI, signer);
+    pvp_div.style.display = '';
+
+    await Promise.all([loadPvpMatches(), refreshPvpBalance()]);
+
+    PVP_EVENTS.forEach(name => pvpContract.on(name, onPvpEvent));
+    // Deadlines pass without any event, so re-render now and then
+    pvpRefreshTimer = setInterval(renderPvp, 30000);
+}
+
+// Hide the section and drop the PvP contract and its subscriptions
+function hidePvp() {
+    if (pvpContract) pvpContract.removeAllListeners();
+    clearInterval(pvpRefreshTimer);
+
+    pvpContract = undefined;
+    pvpMatches = new Map();
+    pvpBalance = undefined;
+    pvpScannedFrom = undefined;
+    pvpLoading = false;
+    pvp_div.style.display = 'none';
+    pvpLoadOlderBtn.style.display = 'none';
+    pvpLoadOlderBtn.disabled = false;
+    pvpStatus_p.innerText = '';
+    renderPvpBalance();
+}
+
+// Read what the contract holds for the connected player
+async function refreshPvpBalance() {
+    const activeContract = pvpContract;
+
+    try {
+        const balance = await activeContract.balances(userAddress);
+        if (pvpContract !== activeContract) return;
+
+        pvpBalance = balance;
+        renderPvpBalance();
+    } catch (error) {
+        console.error('Error loading PvP balance:', error);
+    }
+}
+
+// Show the withdrawable balance, if there is one
+function renderPvpBalance() {
+    const hasBalance = !!pvpBalance && pvpBalance.gt(0);
+
+    pvpBalance_p.style.display = hasBalance ? '' : 'none';
+    pvpBalanceText.innerText = hasBalance ? t('rps.pvp.balance', { amount: formatAmount(pvpBalance) }) : '';
+}
+
+// Commitment hash as computed by the contract
+function getPvpCommitment(move, salt, player) {
+    return ethers.utils.solidityKeccak256(['uint8', 'bytes32', 'address'], [move, salt, player]);
+}
+
+function loadPvpSecret(commitment) {
+    const saved = localStorage.getItem(`rps-pvp:${commitment}`);
+    return saved ? JSON.parse(saved) : null;
+}
+
+function savePvpSecret(commitment, secret) {
+    localStorage.setItem(`rps-pvp:${commitment}`, JSON.stringify(secret));
+}
+
+function clearPvpSecret(commitment) {
+    localStorage.removeItem(`rps-pvp:${commitment}`);
+}
+
+// Create a fresh salted commitment for a move and store its secret
+function createPvpCommitment(userChoice) {
+    const move = convertToMove(userChoice);
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const commitment = getPvpCommitment(move, salt, userAddress);
+
+    savePvpSecret(commitment, { move: userChoice, salt });
+    return commitment;
+}
+
+// Read one match from the contract
+async function fetchPvpMatch(matchId) {
+    const m = await pvpContract.matches(matchId);
+    return {
+        id: matchId,
+        creator: m.creator,
+        opponent: m.opponent,
+        stake: m.stake,
+        creatorCommit: m.creatorCommit,
+        opponentCommit: m.opponentCommit,
+        creatorMove: m.creatorMove,
+        opponentMove: m.opponentMove,
+        creatorRevealed: m.creatorRevealed,
+        opponentRevealed: m.opponentRevealed,
+        revealDeadline: m.revealDeadline.toNumber(),
+        stage: PVP_STAGES[m.stage]
+    };
+}
+
+// Collect matches from MatchCreated logs and read their current state, scanning backwards from
+// the latest block (or the oldest one scanned so far) in LOG_BLOCK_RANGE pages, at most
+// HISTORY_PAGES_PER_LOAD per call. Matches created later arrive through the subscriptions.
+async function loadPvpMatches() {
+    if (!pvpContract || pvpLoading) return;
+
+    pvpLoading = true;
+    pvpLoadOlderBtn.disabled = true;
+    const activeContract = pvpContract;
+    const { pvpDeploymentBlock } = deployment;
+
+    try {
+        let scannedFrom = pvpScannedFrom === undefined ? await provider.getBlockNumber() + 1 : pvpScannedFrom;
+        const matchIds = [];
+
+        for (let page = 0; page < HISTORY_PAGES_PER_LOAD && scannedFrom > pvpDeploymentBlock; page++) {
+            const end = scannedFrom - 1;
+            const start = Math.max(pvpDeploymentBlock, end - LOG_BLOCK_RANGE + 1);
+            pvpStatus_p.innerText = t('rps.scanningBlocks', { from: start, to: end });
+
+            const events = await activeContract.queryFilter(activeContract.filters.MatchCreated(), start, end);
+            if (pvpContract !== activeContract) return;
+
+            matchIds.push(...events.map(event => event.args.matchId.toNumber()));
+            scannedFrom = start;
+        }
+
+        const matches = await Promise.all(matchIds.map(fetchPvpMatch));
+        if (pvpContract !== activeContract) return;
+
+        matches.forEach(m => pvpMatches.set(m.id, m));
+        pvpScannedFrom = scannedFrom;
+
+        const complete = pvpScannedFrom <= pvpDeploymentBlock;
+        pvpStatus_p.innerText = complete ? '' : t('rps.pvp.scannedSince', { block: pvpScannedFrom });
+        pvpLoadOlderBtn.style.display = complete ? 'none' : '';
+        renderPvp();
+    } catch (error) {
+        if (pvpContract !== activeContract) return;
+        console.error('Error loading matches:', error);
+        pvpStatus_p.innerText = t('rps.pvp.loadFailed', { error: error.message });
+    } finally {
+        if (pvpContract === activeContract) {
+            pvpLoading = false;
+            pvpLoadOlderBtn.disabled = false;
+        }
+    }
+}
+
+// Any PvP event: reload the affected match, and the balance settling or cancelling it may have credited
+async function onPvpEvent(...args) {
+    const event = args[args.length - 1];
+    const activeContract = pvpContract;
+
+    try {
+        const m = await fetchPvpMatch(event.args.matchId.toNumber());
+        if (pvpContract !== activeContract) return;
+
+        pvpMatches.set(m.id, m);
+        renderPvp();
+        if (['MatchSettled', 'MatchCancelled'].includes(event.event)) await refreshPvpBalance();
+    } catch (error) {
+        console.error('Error processing match event:', error);
+    }
+}
+
+// Whether an address is the connected player
+function isMe(address) {
+    return address.toLowerCase() === userAddress.toLowerCase();
+}
+
+// Status text and available actions of a match from the connected player's side
+function describePvpMatch(m) {
+    const amCreator = isMe(m.creator);
+    const now = Math.floor(Date.now() / 1000);
+    const pot = m.stake.mul(2);
+
+    if (m.stage === 'Open') {
+        return { text: t('rps.pvp.waitingOpponent'), actions: amCreator ? ['cancel'] : [] };
+    }
+
+    if (m.stage === 'Cancelled') {
+        return { text: t('rps.pvp.cancelled'), actions: [] };
+    }
+
+    const myMove = amCreator ? m.creatorMove : m.opponentMove;
+    const theirMove = amCreator ? m.opponentMove : m.creatorMove;
+    const iRevealed = amCreator ? m.creatorRevealed : m.opponentRevealed;
+    const theyRevealed = amCreator ? m.opponentRevealed : m.creatorRevealed;
+
+    if (m.stage === 'Settled') {
+        if (iRevealed && theyRevealed) {
+            const moves = t('rps.pvp.moves', {
+                mine: convertToWord(convertMoveToLetter(myMove)),
+                theirs: convertToWord(convertMoveToLetter(theirMove))
+            });
+            if (myMove === theirMove) return { text: t('rps.pvp.draw', { moves }), actions: [] };
+            return {
+                text: beats(myMove, theirMove) ? t('rps.pvp.won', { moves, amount: formatAmount(pot) }) : t('rps.pvp.lost', { moves }),
+                actions: []
+            };
+        }
+        if (iRevealed) return { text: t('rps.pvp.opponentDidNotReveal', { amount: formatAmount(pot) }), actions: [] };
+        if (theyRevealed) return { text: t('rps.pvp.youDidNotReveal'), actions: [] };
+        return { text: t('rps.pvp.nobodyRevealed'), actions: [] };
+    }
+
+    // Joined: reveal stage
+    const deadline = I18n.formatDate(new Date(m.revealDeadline * 1000), { timeStyle: 'medium' });
+    if (now > m.revealDeadline) {
+        return { text: t('rps.pvp.deadlinePassed', { deadline }), actions: ['claim'] };
+    }
+    if (!iRevealed) {
+        const secret = loadPvpSecret(amCreator ? m.creatorCommit : m.opponentCommit);
+        return secret
+            ? { text: t('rps.pvp.revealBefore', { move: convertToWord(secret.move), deadline }), actions: ['reveal'] }
+            : { text: t('rps.pvp.secretMissing', { deadline }), actions: [] };
+    }
+    return { text: t('rps.pvp.waitingReveal', { deadline }), actions: [] };
+}
+
+// Whether move a beats move b
+function beats(a, b) {
+    return (a === 0 && b === 2) || (a === 1 && b === 0) || (a === 2 && b === 1);
+}
+
+// Render the lobby of open matches and the player's own matches
+function renderPvp() {
+    if (!pvpContract) return;
+
+    const matches = [...pvpMatches.values()].sort((a, b) => b.id - a.id);
+    const lobby = matches.filter(m => m.stage === 'Open' && !isMe(m.creator));
+    const mine = matches.filter(m => isMe(m.creator) || (m.opponent && isMe(m.opponent)));
+
+    pvpLobbyBody.innerHTML = lobby.length === 0
+        ? `<tr><td colspan="4" class="history-empty">${t('rps.pvp.noOpenMatches')}</td></tr>`
+        : lobby.map(m => `
+            <tr>
+                <td>#${m.id}</td>
+                <td>${formatAddress(m.creator)}</td>
+                <td>${formatAmount(m.stake)}</td>
+                <td>
+                    ${['r', 'p', 's'].map(letter =>
+                        `<button class="max-btn" data-action="join" data-id="${m.id}" data-move="${letter}">${convertToWord(letter)}</button>`).join('')}
+                </td>
+            </tr>
+        `).join('');
+
+    pvpMyBody.innerHTML = mine.length === 0
+        ? `<tr><td colspan="4" class="history-empty">${t('rps.pvp.noMatches')}</td></tr>`
+        : mine.map(m => {
+            const { text, actions } = describePvpMatch(m);
+            const opponent = isMe(m.creator) ? m.opponent : m.creator;
+            return `
+                <tr>
+                    <td>#${m.id}</td>
+                    <td>${opponent === ethers.constants.AddressZero ? '-' : formatAddress(opponent)}</td>
+                    <td>${formatAmount(m.stake)}</td>
+                    <td>
+                        ${text}
+                        ${actions.map(action => `<button class="max-btn" data-action="${action}" data-id="${m.id}">${t(`rps.pvp.action.${action}`)}</button>`).join('')}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+}
+
+// Send a PvP transaction, reporting progress and decoded errors in the status line.
+// kind names its label in the catalog: create, join, reveal, cancel, claim or withdraw.
+async function sendPvpTransaction(kind, send) {
+    const label = t(`rps.pvp.tx.${kind}`);
+    const transaction = Notify.transaction(label, { txUrl: getTxUrl });
+    try {
+        pvpStatus_p.innerText = t('rps.pvp.txWaiting', { label });
+        transaction.signing();
+        const tx = await send();
+
+        pvpStatus_p.innerText = t('rps.pvp.txSent', { label });
+        transaction.submitted(tx.hash);
+        const receipt = await tx.wait(deployment.confirmations);
+
+        pvpStatus_p.innerText = t('rps.pvp.txConfirmed', { label });
+        transaction.confirmed();
+        await Promise.all([refreshBalances(), refreshPvpBalance()]);
+        return receipt;
+    } catch (error) {
+        console.error(`PvP ${kind} error:`, error);
+        const reason = RpsClient.isUserRejection(error) ? t('rps.error.rejected') : getRevertMessage(error) || error.message;
+        pvpStatus_p.innerText = RpsClient.isUserRejection(error) ? reason : t('rps.pvp.txFailed', { label, error: reason });
+        transaction.failed(reason);
+        return null;
+    }
+}
+
+// Open a new match with the chosen stake and move
+async function createMatch() {
+    const value = pvpStake_input.value;
+    if (!value || parseFloat(value) <= 0) {
+        pvpStatus_p.innerText = t('rps.pvp.invalidStake');
+        return;
+    }
+
+    const stake = ethers.utils.parseEther(value);
+    const commitment = createPvpCommitment(pvpMove_select.value);
+
+    await sendPvpTransaction('create', () => pvpContract.createMatch(commitment, { value: stake }));
+}
+
+// Join an open match with an equal stake
+async function joinMatch(matchId, userChoice) {
+    const m = pvpMatches.get(matchId);
+    const commitment = createPvpCommitment(userChoice);
+
+    await sendPvpTransaction('join', () => pvpContract.joinMatch(matchId, commitment, { value: m.stake }));
+}
+
+// Reveal the stored move for a match
+async function revealPvpMove(matchId) {
+    const m = pvpMatches.get(matchId);
+    const commitment = isMe(m.creator) ? m.creatorCommit : m.opponentCommit;
+    const secret = loadPvpSecret(commitment);
+
+    const receipt = await sendPvpTransaction('reveal', () =>
+        pvpContract.reveal(matchId, convertToMove(secret.move), secret.salt));
+    if (receipt) clearPvpSecret(commitment);
+}
+
+// Pay out everything settled and cancelled matches credited to the player
+async function withdrawPvpBalance() {
+    await sendPvpTransaction('withdraw', () => pvpContract.withdraw());
+}
+
+// Handle the buttons rendered into the lobby and match tables
+function onPvpClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const matchId = Number(button.dataset.id);
+    const action = button.dataset.action;
+
+    if (action === 'join') joinMatch(matchId, button.dataset.move);
+    if (action === 'reveal') revealPvpMove(matchId);
+    if (action === 'cancel') sendPvpTransaction('cancel', () => pvpContract.cancelMatch(matchId));
+    if (action === 'claim') sendPvpTransaction('claim', () => pvpContract.claimTimeout(matchId));
+}
+
+createMatchBtn.addEventListener('click', createMatch);
+pvpLoadOlderBtn.addEventListener('click', loadPvpMatches);
+pvpWithdrawBtn.addEventListener('click', withdrawPvpBalance);
+pvp_div.addEventListener('click', onPvpClick);
+I18n.onChange(renderPvp);
+I18n.onChange(renderPvpBalance);
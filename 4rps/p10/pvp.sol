@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Player-vs-player Rock Paper Scissors with stakes held in escrow.
+// Both players commit keccak256(move, salt, player) when creating or joining a match,
+// then reveal. A player who does not reveal before the deadline loses the pot.
+// Payouts and refunds are credited to balances that players withdraw themselves, so a player
+// whose address cannot receive ether does not hold up settling the match for the other one.
+contract RockPaperScissorsPvP {
+    uint256 public constant REVEAL_TIMEOUT = 1 hours;
+
+    enum Move { Rock, Paper, Scissors }
+    enum Stage { Open, Joined, Settled, Cancelled }
+
+    struct Match {
+        address creator;
+        address opponent;
+        uint256 stake;
+        bytes32 creatorCommit;
+        bytes32 opponentCommit;
+        Move creatorMove;
+        Move opponentMove;
+        bool creatorRevealed;
+        bool opponentRevealed;
+        uint256 revealDeadline;
+        Stage stage;
+    }
+
+    mapping(uint256 => Match) public matches;
+    uint256 public matchCount;
+    mapping(address => uint256) public balances;
+
+    event MatchCreated(uint256 indexed matchId, address indexed creator, uint256 stake);
+    event MatchJoined(uint256 indexed matchId, address indexed opponent, uint256 revealDeadline);
+    event MoveRevealed(uint256 indexed matchId, address indexed player, Move move);
+    event MatchSettled(uint256 indexed matchId, address winner, uint256 payout); // winner is 0 for a draw
+    event MatchCancelled(uint256 indexed matchId);
+    event Withdrawn(address indexed player, uint256 amount);
+
+    function createMatch(bytes32 _commitment) external payable returns (uint256) {
+        require(msg.value > 0, "Stake required");
+
+        uint256 matchId = matchCount++;
+        Match storage m = matches[matchId];
+        m.creator = msg.sender;
+        m.stake = msg.value;
+        m.creatorCommit = _commitment;
+
+        emit MatchCreated(matchId, msg.sender, msg.value);
+        return matchId;
+    }
+
+    function joinMatch(uint256 _matchId, bytes32 _commitment) external payable {
+        Match storage m = matches[_matchId];
+        require(m.creator != address(0), "Match does not exist");
+        require(m.stage == Stage.Open, "Match is not open");
+        require(msg.sender != m.creator, "Cannot join your own match");
+        require(msg.value == m.stake, "Stake must match");
+
+        m.opponent = msg.sender;
+        m.opponentCommit = _commitment;
+        m.revealDeadline = block.timestamp + REVEAL_TIMEOUT;
+        m.stage = Stage.Joined;
+
+        emit MatchJoined(_matchId, msg.sender, m.revealDeadline);
+    }
+
+    // Creator can take the stake back while nobody has joined
+    function cancelMatch(uint256 _matchId) external {
+        Match storage m = matches[_matchId];
+        require(msg.sender == m.creator, "Only creator can cancel");
+        require(m.stage == Stage.Open, "Match is not open");
+
+        m.stage = Stage.Cancelled;
+        balances[m.creator] += m.stake;
+
+        emit MatchCancelled(_matchId);
+    }
+
+    function reveal(uint256 _matchId, Move _move, bytes32 _salt) external {
+        Match storage m = matches[_matchId];
+        require(m.stage == Stage.Joined, "Match is not in reveal stage");
+        require(block.timestamp <= m.revealDeadline, "Reveal deadline passed");
+
+        bytes32 hash = keccak256(abi.encodePacked(_move, _salt, msg.sender));
+
+        if (msg.sender == m.creator) {
+            require(!m.creatorRevealed, "Already revealed");
+            require(hash == m.creatorCommit, "Move does not match commitment");
+            m.creatorMove = _move;
+            m.creatorRevealed = true;
+        } else if (msg.sender == m.opponent) {
+            require(!m.opponentRevealed, "Already revealed");
+            require(hash == m.opponentCommit, "Move does not match commitment");
+            m.opponentMove = _move;
+            m.opponentRevealed = true;
+        } else {
+            revert("Not a player in this match");
+        }
+
+        emit MoveRevealed(_matchId, msg.sender, _move);
+
+        if (m.creatorRevealed && m.opponentRevealed) {
+            _settle(_matchId);
+        }
+    }
+
+    // After the deadline the only player who revealed takes the pot; if neither did, both are refunded
+    function claimTimeout(uint256 _matchId) external {
+        Match storage m = matches[_matchId];
+        require(m.stage == Stage.Joined, "Match is not in reveal stage");
+        require(block.timestamp > m.revealDeadline, "Reveal deadline not reached");
+
+        m.stage = Stage.Settled;
+        uint256 pot = m.stake * 2;
+
+        if (m.creatorRevealed) {
+            balances[m.creator] += pot;
+            emit MatchSettled(_matchId, m.creator, pot);
+        } else if (m.opponentRevealed) {
+            balances[m.opponent] += pot;
+            emit MatchSettled(_matchId, m.opponent, pot);
+        } else {
+            balances[m.creator] += m.stake;
+            balances[m.opponent] += m.stake;
+            emit MatchSettled(_matchId, address(0), m.stake);
+        }
+    }
+
+    // Pay out everything credited to the caller by settled and cancelled matches
+    function withdraw() external {
+        uint256 amount = balances[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        balances[msg.sender] = 0;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Withdrawal failed");
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    function _settle(uint256 _matchId) internal {
+        Match storage m = matches[_matchId];
+        m.stage = Stage.Settled;
+        uint256 pot = m.stake * 2;
+
+        if (m.creatorMove == m.opponentMove) {
+            balances[m.creator] += m.stake;
+            balances[m.opponent] += m.stake;
+            emit MatchSettled(_matchId, address(0), m.stake);
+        } else if (_beats(m.creatorMove, m.opponentMove)) {
+            balances[m.creator] += pot;
+            emit MatchSettled(_matchId, m.creator, pot);
+        } else {
+            balances[m.opponent] += pot;
+            emit MatchSettled(_matchId, m.opponent, pot);
+        }
+    }
+
+    function _beats(Move a, Move b) internal pure returns (bool) {
+        return (a == Move.Rock && b == Move.Scissors)
+            || (a == Move.Paper && b == Move.Rock)
+            || (a == Move.Scissors && b == Move.Paper);
+    }
+}
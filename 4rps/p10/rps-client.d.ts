@@ -0,0 +1,134 @@
+// Types of rps-client.js
+import { BigNumber, Contract, ContractReceipt, Event, Signer, providers } from 'ethers';
+
+declare class RpsClient {
+    constructor(options: RpsClient.RpsClientOptions);
+    static connect(options: RpsClient.RpsClientOptions): Promise<RpsClient>;
+
+    static convertToMove(letter: RpsClient.MoveLetter): RpsClient.Move;
+    static convertMoveToLetter(move: RpsClient.Move): RpsClient.MoveLetter;
+    static getRoundOutcome(round: RpsClient.GameRound): RpsClient.RoundOutcome;
+    static getRevertMessage(error: unknown, messages: Record<string, string>): string | null;
+    static isUserRejection(error: unknown): boolean;
+
+    readonly deployment: RpsClient.Deployment;
+    readonly signer: Signer;
+    readonly provider: providers.Provider;
+    readonly contract: Contract;
+    readonly address: string;
+    readonly limits: RpsClient.BetLimits | undefined;
+    readonly history: RpsClient.GameRound[];
+    readonly historyScannedFrom: number | undefined;
+
+    on<K extends keyof RpsClient.RpsClientEvents>(name: K, listener: (payload: RpsClient.RpsClientEvents[K]) => void): this;
+    off<K extends keyof RpsClient.RpsClientEvents>(name: K, listener: (payload: RpsClient.RpsClientEvents[K]) => void): this;
+    destroy(): void;
+
+    estimatePlayGas(move: RpsClient.Move, betAmount: BigNumber): Promise<BigNumber>;
+    refreshLimits(): Promise<RpsClient.BetLimits>;
+    getBetProblem(betAmount: BigNumber): RpsClient.BetProblem | null;
+    getBatchProblem(betAmount: BigNumber, count: number): RpsClient.BetProblem | null;
+    checkBet(betAmount: BigNumber): string | null;
+    ensureFunds(value: BigNumber, gasLimit: BigNumber): Promise<void>;
+
+    play(letter: RpsClient.MoveLetter, betAmount: BigNumber): Promise<RpsClient.BetResult>;
+    playBatch(letters: RpsClient.MoveLetter[], betAmount: BigNumber): Promise<RpsClient.BetResult>;
+    processReceipt(receipt: providers.TransactionReceipt): Promise<RpsClient.GameRound[]>;
+    parseGameEvent(event: Event): Promise<RpsClient.GameRound>;
+    queryRoundEvents(fromBlock: number, toBlock: number | string, player?: string): Promise<Event[]>;
+    getRounds(fromBlock: number, toBlock: number, player?: string): Promise<RpsClient.GameRound[]>;
+    getForfeits(fromBlock: number, toBlock: number): Promise<RpsClient.Forfeit[]>;
+
+    isHistoryComplete(): boolean;
+    loadHistory(pages: number): Promise<boolean>;
+    watchActivity(): Promise<void>;
+    unwatchActivity(): void;
+}
+
+declare namespace RpsClient {
+    export type MoveLetter = 'r' | 'p' | 's';
+    export type Move = 0 | 1 | 2;
+    export type RoundOutcome = 'win' | 'lose' | 'draw';
+
+    export interface Deployment {
+        contractAddress: string;
+        deploymentBlock: number;
+        confirmations: number;
+        currencySymbol: string;
+        commitReveal: boolean;
+        [key: string]: unknown;
+    }
+
+    export interface RpsClientOptions {
+        signer: Signer;
+        deployment: Deployment;
+        abi: ReadonlyArray<object>;
+        gasMargin?: number;
+        gasFallback?: number;
+        logBlockRange?: number;
+        activityBackfillBlocks?: number;
+    }
+
+    export interface GameRound {
+        txHash: string;
+        blockNumber: number;
+        logIndex: number;
+        player: string;
+        playerMove: Move;
+        contractMove: Move;
+        outcome: RoundOutcome;
+        playerWon: boolean;
+        bet: BigNumber;
+        amountWon: BigNumber;   // payout: twice the bet for a win, the bet for a refunded draw
+        gasCost: BigNumber;     // of the commit() and reveal() together for a commit-reveal round
+        timestamp: number;
+    }
+
+    export interface Forfeit {
+        txHash: string;
+        blockNumber: number;
+        player: string;
+        bet: BigNumber;         // kept by the house
+    }
+
+    export interface BetLimits {
+        minBet: BigNumber;
+        maxBet: BigNumber;
+        maxBetReason: 'contract max bet' | 'house bankroll' | 'your balance minus gas';
+        contractBalance: BigNumber;
+        userBalance: BigNumber;
+        lockedFunds: BigNumber;
+        playGasCost: BigNumber;     // gas of one play() at the current gas price
+    }
+
+    export interface BetProblem {
+        code: 'tooSmall' | 'tooLarge' | 'totalTooLarge';
+        limit: BigNumber;
+        reason?: BetLimits['maxBetReason'];
+    }
+
+    export interface BetResult {
+        hash: string;
+        receipt: ContractReceipt;
+        rounds: GameRound[];
+    }
+
+    export interface RpsClientEvents {
+        status: { stage: 'checking' | 'signing' | 'sent' | 'confirmed'; method: 'play' | 'playBatch'; hash?: string };
+        sent: {
+            method: 'play' | 'playBatch';
+            hash: string;
+            nonce: number;
+            from: string;
+            moves: MoveLetter[];
+            bet: BigNumber;
+            startBlock: number;
+        };
+        round: GameRound;
+        history: { rounds: GameRound[]; fromBlock: number; toBlock: number; complete: boolean };
+        activity: GameRound;
+        limits: BetLimits;
+    }
+}
+
+export = RpsClient;
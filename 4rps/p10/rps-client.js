@@ -0,0 +1,506 @@
+// Headless client for the RockPaperScissors contract: bet limits, play()/playBatch(),
+// round event decoding, the player's history and the all-players activity stream.
+// It never touches the DOM, so the page, bots and tests share it. In the browser it is the
+// RpsClient global (load it after ethers); under Node, require('./rps-client') with ethers v5 installed.
+//
+// Events (client.on(name, listener)), typed in rps-client.d.ts:
+//   'status'   { stage: 'checking' | 'signing' | 'sent' | 'confirmed', method, hash }  progress of a bet
+//   'sent'     { method, hash, nonce, from, moves, bet, startBlock }          a bet transaction was submitted
+//   'round'    GameRound   a round of this player settled in a transaction the client saw mined
+//   'history'  { rounds, fromBlock, toBlock, complete }                      a page of past rounds was loaded
+//   'activity' GameRound   a round of any player, from watchActivity()
+//   'limits'   BetLimits   balances and bet limits were refreshed
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers').ethers);
+    } else {
+        root.RpsClient = factory(root.ethers);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+    'use strict';
+
+    const DEFAULT_OPTIONS = {
+        gasMargin: 30000,           // extra gas on top of the node's estimate
+        gasFallback: 100000,        // gas assumed for play() when it can't be estimated
+        logBlockRange: 5000,        // largest block range of one eth_getLogs request
+        activityBackfillBlocks: 1000
+    };
+
+    // Convert choice letter to smart contract Move enum (0=Rock, 1=Paper, 2=Scissors)
+    function convertToMove(letter) {
+        if (letter === 'r') return 0;
+        if (letter === 'p') return 1;
+        if (letter === 's') return 2;
+    }
+
+    // Convert smart contract Move enum to letter
+    function convertMoveToLetter(move) {
+        if (move === 0) return 'r';
+        if (move === 1) return 'p';
+        if (move === 2) return 's';
+    }
+
+    // Round events: GameSettled, and GamePlayed from deployments before draws were refunded
+    const ROUND_EVENTS = ['GameSettled', 'GamePlayed'];
+
+    // The contract's Outcome enum
+    const OUTCOMES = ['lose', 'win', 'draw'];
+
+    // Outcome of a recorded round: 'win', 'lose' or 'draw'
+    function getRoundOutcome(round) {
+        return round.outcome;
+    }
+
+    // Readable message for a contract revert, or null if the error is not one of the known reasons
+    function getRevertMessage(error, messages) {
+        const message = [error.reason, error.error?.message, error.data?.message, error.message].join(' ');
+        const reason = Object.keys(messages).find(key => message.includes(key));
+        return reason ? messages[reason] : null;
+    }
+
+    // Whether the user rejected a wallet prompt. ethers 5 turns MetaMask's 4001
+    // "User denied transaction signature" into ACTION_REJECTED, other wallets keep 4001.
+    function isUserRejection(error) {
+        return error.code === 4001 || error.code === 'ACTION_REJECTED';
+    }
+
+    const logger = new ethers.utils.Logger('rps-client');
+
+    // Minimal event emitter; a throwing listener is logged and does not break the caller
+    class Emitter {
+        constructor() {
+            this.listeners = {};
+        }
+
+        on(name, listener) {
+            (this.listeners[name] = this.listeners[name] || []).push(listener);
+            return this;
+        }
+
+        off(name, listener) {
+            this.listeners[name] = (this.listeners[name] || []).filter(l => l !== listener);
+            return this;
+        }
+
+        emit(name, payload) {
+            (this.listeners[name] || []).slice().forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (error) {
+                    console.error(`Error in ${name} listener:`, error);
+                }
+            });
+        }
+    }
+
+    class RpsClient extends Emitter {
+        // options: { signer, deployment, abi, gasMargin?, gasFallback?, logBlockRange?, activityBackfillBlocks? }
+        // deployment: { contractAddress, deploymentBlock, confirmations, currencySymbol, commitReveal }
+        constructor(options) {
+            super();
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.deployment = options.deployment;
+            this.signer = options.signer;
+            this.provider = options.signer.provider;
+            this.contract = new ethers.Contract(this.deployment.contractAddress, options.abi, this.signer);
+
+            this.address = undefined;
+            this.limits = undefined;
+            this.history = [];
+            this.historyScannedFrom = undefined;
+            this.activityLastBlock = undefined;
+            this.revealWindow = undefined;
+            this.destroyed = false;
+            this.onRoundEvent = this.onRoundEvent.bind(this);
+        }
+
+        // Create a client and read the signer's address
+        static async connect(options) {
+            const client = new RpsClient(options);
+            client.address = await client.signer.getAddress();
+            return client;
+        }
+
+        // Stop all subscriptions and scans; the client can't be used afterwards
+        destroy() {
+            this.destroyed = true;
+            this.contract.removeAllListeners();
+            this.listeners = {};
+        }
+
+        // Gas limit for play(): the node's estimate plus the configured margin
+        async estimatePlayGas(move, betAmount) {
+            const estimate = await this.contract.estimateGas.play(move, { value: betAmount });
+            return estimate.add(this.options.gasMargin);
+        }
+
+        // Balances and bet limits; the max bet is the tightest of all on-chain constraints
+        async refreshLimits() {
+            const { contract, provider, deployment } = this;
+            const [minBet, maxBet, contractBalance, userBalance, gasPrice, lockedFunds] = await Promise.all([
+                contract.minBet(),
+                contract.maxBet(),
+                contract.getBalance(),
+                provider.getBalance(this.address),
+                provider.getGasPrice(),
+                deployment.commitReveal ? contract.lockedFunds() : ethers.BigNumber.from(0)
+            ]);
+
+            let playGas;
+            try {
+                playGas = await this.estimatePlayGas(0, minBet);
+            } catch (error) {
+                playGas = ethers.BigNumber.from(this.options.gasFallback);
+            }
+
+            // play() sees msg.value already added to the balance, so its
+            // `balance - lockedFunds >= msg.value * 2` check means the free bankroll must cover the bet
+            const limits = [
+                { amount: maxBet, reason: 'contract max bet' },
+                { amount: contractBalance.sub(lockedFunds), reason: 'house bankroll' },
+                { amount: userBalance.sub(playGas.mul(gasPrice)), reason: 'your balance minus gas' }
+            ];
+            const binding = limits.reduce((lowest, limit) => (limit.amount.lt(lowest.amount) ? limit : lowest));
+
+            this.limits = {
+                minBet,
+                maxBet: binding.amount.isNegative() ? ethers.BigNumber.from(0) : binding.amount,
+                maxBetReason: binding.reason,
+                contractBalance,
+                userBalance,
+                lockedFunds,
+                playGasCost: playGas.mul(gasPrice)
+            };
+            this.emit('limits', this.limits);
+            return this.limits;
+        }
+
+        // Which of the last refreshed limits a bet breaks, or null if it is within them
+        getBetProblem(betAmount) {
+            const { minBet, maxBet, maxBetReason } = this.limits;
+
+            if (betAmount.lt(minBet)) return { code: 'tooSmall', limit: minBet };
+            if (betAmount.gt(maxBet)) return { code: 'tooLarge', limit: maxBet, reason: maxBetReason };
+            return null;
+        }
+
+        // Which balance the total of a playBatch() of `count` bets exceeds, or null if both cover it.
+        // Like a single bet, the whole value must fit the free bankroll.
+        getBatchProblem(betAmount, count) {
+            const { contractBalance, lockedFunds, userBalance, playGasCost } = this.limits;
+            const total = betAmount.mul(count);
+            const limits = [
+                { amount: contractBalance.sub(lockedFunds), reason: 'house bankroll' },
+                { amount: userBalance.sub(playGasCost), reason: 'your balance minus gas' }
+            ];
+
+            const exceeded = limits.find(limit => total.gt(limit.amount));
+            return exceeded ? { code: 'totalTooLarge', limit: exceeded.amount, reason: exceeded.reason } : null;
+        }
+
+        // Why a bet is outside the last refreshed limits, in English, or null if it is within them
+        checkBet(betAmount) {
+            const problem = this.getBetProblem(betAmount);
+            if (!problem) return null;
+
+            const limit = `${ethers.utils.formatEther(problem.limit)} ${this.deployment.currencySymbol}`;
+            return problem.code === 'tooSmall'
+                ? `Bet must be at least ${limit}`
+                : `Bet cannot exceed ${limit} (${problem.reason})`;
+        }
+
+        // Throw INSUFFICIENT_FUNDS when the wallet can't pay value plus gas. Checked before the
+        // pre-flight call, which would otherwise fail as a revert without a reason.
+        async ensureFunds(value, gasLimit) {
+            const [balance, gasPrice] = await Promise.all([
+                this.provider.getBalance(this.address),
+                this.provider.getGasPrice()
+            ]);
+            const cost = value.add(gasLimit.mul(gasPrice));
+
+            if (balance.lt(cost)) {
+                logger.throwError('insufficient funds for bet + gas', ethers.utils.Logger.errors.INSUFFICIENT_FUNDS, {
+                    balance: balance.toString(),
+                    cost: cost.toString()
+                });
+            }
+        }
+
+        // Play one round; resolves once mined with the submitted hash, the receipt and its rounds.
+        // Reverts and rejections are thrown as ethers errors; a transaction sped up in the wallet
+        // resolves with the replacement's outcome, a cancelled one throws TRANSACTION_REPLACED.
+        async play(letter, betAmount) {
+            const move = convertToMove(letter);
+
+            // Pre-flight: simulate the call so reverts surface before the wallet prompt
+            this.emit('status', { stage: 'checking', method: 'play' });
+            await this.ensureFunds(betAmount, ethers.BigNumber.from(0));
+            await this.contract.callStatic.play(move, { value: betAmount });
+            const gasLimit = await this.estimatePlayGas(move, betAmount);
+            await this.ensureFunds(betAmount, gasLimit);
+
+            return this.sendBet('play', [letter], betAmount,
+                () => this.contract.play(move, { value: betAmount, gasLimit }));
+        }
+
+        // Play several rounds with the same bet in one playBatch() transaction
+        async playBatch(letters, betAmount) {
+            const moves = letters.map(convertToMove);
+            const total = betAmount.mul(moves.length);
+
+            this.emit('status', { stage: 'checking', method: 'playBatch' });
+            await this.ensureFunds(total, ethers.BigNumber.from(0));
+            await this.contract.callStatic.playBatch(moves, { value: total });
+            const gasLimit = (await this.contract.estimateGas.playBatch(moves, { value: total }))
+                .add(this.options.gasMargin);
+            await this.ensureFunds(total, gasLimit);
+
+            return this.sendBet('playBatch', letters, betAmount,
+                () => this.contract.playBatch(moves, { value: total, gasLimit }));
+        }
+
+        async sendBet(method, letters, betAmount, submit) {
+            const startBlock = await this.provider.getBlockNumber();
+
+            this.emit('status', { stage: 'signing', method });
+            const tx = await submit();
+
+            this.emit('sent', {
+                method,
+                hash: tx.hash,
+                nonce: tx.nonce,
+                from: this.address,
+                moves: letters,
+                bet: betAmount,
+                startBlock
+            });
+            this.emit('status', { stage: 'sent', method, hash: tx.hash });
+
+            let receipt;
+            try {
+                receipt = await tx.wait(this.deployment.confirmations);
+            } catch (error) {
+                // Sped up in the wallet: same call at a higher gas price, so its receipt has the outcome
+                if (error.code !== 'TRANSACTION_REPLACED' || error.cancelled) throw error;
+                receipt = error.receipt;
+            }
+
+            this.emit('status', { stage: 'confirmed', method, hash: receipt.transactionHash });
+            const rounds = await this.processReceipt(receipt);
+            return { hash: tx.hash, receipt, rounds };
+        }
+
+        // Decode the rounds of a mined play()/playBatch()/reveal() transaction,
+        // add them to the history and emit them as 'round'
+        async processReceipt(receipt) {
+            // Receipts fetched by hash carry no decoded events
+            const events = receipt.events || await this.queryRoundEvents(receipt.blockNumber, receipt.blockNumber);
+            const gameEvents = events.filter(e => ROUND_EVENTS.includes(e.event) && e.transactionHash === receipt.transactionHash);
+
+            const rounds = await Promise.all(gameEvents.map(event => this.parseGameEvent(event)));
+            this.addHistory(rounds);
+            rounds.forEach(round => this.emit('round', round));
+            return rounds;
+        }
+
+        // Build a round from a GameSettled or legacy GamePlayed event
+        async parseGameEvent(event) {
+            const { player, playerMove, contractMove } = event.args;
+            const [block, tx, receipt] = await Promise.all([
+                event.getBlock(),
+                event.getTransaction(),
+                event.getTransactionReceipt()
+            ]);
+
+            // playBatch() splits its value and gas across several rounds
+            let call = null;
+            try {
+                call = this.contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+            } catch (error) {
+                // Not a call to this contract's ABI (e.g. sent through another contract)
+            }
+            const roundsInTx = call && call.name === 'playBatch' ? call.args._playerMoves.length : 1;
+            let gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice || tx.gasPrice).div(roundsInTx);
+
+            // A commit-reveal round took two transactions, and its bet went with the commit()
+            const commit = call && call.name === 'reveal' ? await this.getCommitEvent(player, event.blockNumber, event.logIndex) : null;
+            if (commit) {
+                const [commitTx, commitReceipt] = await Promise.all([commit.getTransaction(), commit.getTransactionReceipt()]);
+                gasCost = gasCost.add(commitReceipt.gasUsed.mul(commitReceipt.effectiveGasPrice || commitTx.gasPrice));
+            }
+
+            let outcome, bet, amountWon;
+            if (event.event === 'GameSettled') {
+                outcome = OUTCOMES[event.args.outcome];
+                bet = event.args.bet;
+                amountWon = event.args.payout;
+            } else {
+                // Legacy GamePlayed has no bet and reports a draw (whose bet the contract kept)
+                // as a loss; reveal() carries no value, the bet was sent with the earlier commit()
+                outcome = playerMove === contractMove ? 'draw' : (event.args.playerWon ? 'win' : 'lose');
+                amountWon = event.args.amountWon;
+                bet = tx.value.div(roundsInTx);
+                if (call && call.name === 'reveal') bet = commit ? commit.args.bet : ethers.BigNumber.from(0);
+            }
+
+            return {
+                txHash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                logIndex: event.logIndex,
+                player,
+                playerMove,
+                contractMove,
+                outcome,
+                playerWon: outcome === 'win',
+                bet,
+                amountWon,
+                gasCost,
+                timestamp: block.timestamp
+            };
+        }
+
+        // MoveCommitted event of the commitment a reveal() settled: the player's last one logged
+        // before the reveal, or null if it cannot be found
+        async getCommitEvent(player, revealBlock, revealLogIndex) {
+            const revealWindow = await this.getRevealWindow();
+            const commits = await this.contract.queryFilter(
+                this.contract.filters.MoveCommitted(player),
+                Math.max(0, revealBlock - revealWindow),
+                revealBlock
+            );
+            const earlier = commits.filter(e => e.blockNumber < revealBlock || e.logIndex < revealLogIndex);
+            return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+        }
+
+        // The contract's REVEAL_WINDOW in blocks, read once
+        async getRevealWindow() {
+            if (!this.revealWindow) {
+                this.revealWindow = this.contract.REVEAL_WINDOW().then(blocks => blocks.toNumber());
+                this.revealWindow.catch(() => { this.revealWindow = undefined; });
+            }
+            return this.revealWindow;
+        }
+
+        // Round events of both kinds in a block range, in chain order
+        async queryRoundEvents(fromBlock, toBlock, player) {
+            const batches = await Promise.all(ROUND_EVENTS.map(name =>
+                this.contract.queryFilter(this.contract.filters[name](player), fromBlock, toBlock)));
+            return batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        }
+
+        // Rounds in a block range, of one player or (without a player) of everybody.
+        // The range must not exceed logBlockRange.
+        async getRounds(fromBlock, toBlock, player) {
+            const events = await this.queryRoundEvents(fromBlock, toBlock, player);
+            return Promise.all(events.map(event => this.parseGameEvent(event)));
+        }
+
+        // Bets kept by the house through forfeit() in a block range, of every player; none on
+        // deployments without commit-reveal. The range must not exceed logBlockRange.
+        async getForfeits(fromBlock, toBlock) {
+            if (!this.deployment.commitReveal) return [];
+
+            const events = await this.contract.queryFilter(this.contract.filters.CommitForfeited(), fromBlock, toBlock);
+            return events.map(event => ({
+                txHash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                player: event.args.player,
+                bet: event.args.bet
+            }));
+        }
+
+        // Merge rounds into the history, newest first, ignoring ones already known
+        addHistory(rounds) {
+            rounds.forEach(round => {
+                const known = this.history.some(r => r.txHash === round.txHash && r.logIndex === round.logIndex);
+                if (!known) this.history.push(round);
+            });
+            this.history.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+        }
+
+        // Whether the history reaches back to the deployment block
+        isHistoryComplete() {
+            return this.historyScannedFrom !== undefined && this.historyScannedFrom <= this.deployment.deploymentBlock;
+        }
+
+        // Scan up to `pages` further ranges of the player's past rounds, going backwards in time.
+        // Resolves with isHistoryComplete().
+        async loadHistory(pages) {
+            const { deploymentBlock } = this.deployment;
+            const range = this.options.logBlockRange;
+            let toBlock = this.historyScannedFrom === undefined
+                ? await this.provider.getBlockNumber()
+                : this.historyScannedFrom - 1;
+
+            for (let page = 0; page < pages && toBlock >= deploymentBlock; page++) {
+                const fromBlock = Math.max(deploymentBlock, toBlock - range + 1);
+                const rounds = await this.getRounds(fromBlock, toBlock, this.address);
+                if (this.destroyed) break;
+
+                this.addHistory(rounds);
+                this.historyScannedFrom = fromBlock;
+                this.emit('history', { rounds, fromBlock, toBlock, complete: this.isHistoryComplete() });
+                toBlock = fromBlock - 1;
+            }
+
+            return this.isHistoryComplete();
+        }
+
+        // Emit 'activity' for every round of every player: first the ones since the last
+        // observed block (or a recent window), then live ones. Safe to call again after a reconnect.
+        async watchActivity() {
+            this.unwatchActivity();
+            try {
+                await this.backfillActivity();
+            } finally {
+                if (!this.destroyed) ROUND_EVENTS.forEach(name => this.contract.on(name, this.onRoundEvent));
+            }
+        }
+
+        unwatchActivity() {
+            ROUND_EVENTS.forEach(name => this.contract.off(name, this.onRoundEvent));
+        }
+
+        // Fetch rounds the subscription may have missed
+        async backfillActivity() {
+            const { deploymentBlock } = this.deployment;
+            const range = this.options.logBlockRange;
+            const latestBlock = await this.provider.getBlockNumber();
+            const fromBlock = this.activityLastBlock === undefined
+                ? Math.max(deploymentBlock, latestBlock - this.options.activityBackfillBlocks)
+                : this.activityLastBlock;
+
+            for (let start = fromBlock; start <= latestBlock; start += range) {
+                const end = Math.min(latestBlock, start + range - 1);
+                const rounds = await this.getRounds(start, end);
+                if (this.destroyed) return;
+                rounds.forEach(round => this.emit('activity', round));
+            }
+
+            this.activityLastBlock = Math.max(this.activityLastBlock || 0, latestBlock);
+        }
+
+        // Handle a round event pushed by the subscription
+        async onRoundEvent(...args) {
+            const event = args[args.length - 1];
+            try {
+                const round = await this.parseGameEvent(event);
+                if (this.destroyed) return;
+
+                this.activityLastBlock = Math.max(this.activityLastBlock || 0, round.blockNumber);
+                this.emit('activity', round);
+            } catch (error) {
+                console.error('Error processing round event:', error);
+            }
+        }
+    }
+
+    RpsClient.convertToMove = convertToMove;
+    RpsClient.convertMoveToLetter = convertMoveToLetter;
+    RpsClient.getRoundOutcome = getRoundOutcome;
+    RpsClient.getRevertMessage = getRevertMessage;
+    RpsClient.isUserRejection = isUserRejection;
+
+    return RpsClient;
+});
@@ -7,8 +7,34 @@ contract RockPaperScissors {
     uint256 public maxBet = 1 ether; // optional limit
 
     enum Move { Rock, Paper, Scissors }
+    enum Outcome { Lose, Win, Draw }
 
+    // Commit-reveal mode: the player commits keccak256(move, salt) together with the bet.
+    // The contract move is derived from the hash of the block after the commit, which
+    // nobody knows when the move is committed. Reveals must happen while that hash is
+    // still available (blockhash only covers the last 256 blocks).
+    uint256 public constant REVEAL_WINDOW = 200;
+
+    uint256 public constant MAX_BATCH = 10; // most rounds playBatch() accepts
+
+    struct Commitment {
+        bytes32 hash;
+        uint256 bet;
+        uint256 blockNumber;
+    }
+
+    mapping(address => Commitment) public commitments;
+    uint256 public lockedFunds; // payouts reserved for open commitments
+
+    // Every settled round. A win pays twice the bet, a draw returns the bet (push).
+    event GameSettled(address indexed player, Move playerMove, Move contractMove, Outcome outcome, uint256 bet, uint256 payout);
+    // Emitted by deployments from before draws were refunded, where a draw kept the bet and
+    // showed up as playerWon == false with equal moves. Not emitted any more; declared so the
+    // ABI still decodes those deployments' logs.
     event GamePlayed(address indexed player, Move playerMove, Move contractMove, bool playerWon, uint256 amountWon);
+    event MoveCommitted(address indexed player, bytes32 commitment, uint256 bet, uint256 blockNumber);
+    event CommitCancelled(address indexed player, uint256 refund);
+    event CommitForfeited(address indexed player, uint256 bet);
 
     constructor() {
         owner = msg.sender;
@@ -19,29 +45,125 @@ contract RockPaperScissors {
     function play(Move _playerMove) external payable {
         require(msg.value >= minBet, "Bet too small");
         require(msg.value <= maxBet, "Bet too large");
-        require(address(this).balance >= msg.value * 2, "Contract lacks funds for payout");
+        require(address(this).balance - lockedFunds >= msg.value * 2, "Contract lacks funds for payout");
 
         // Generate pseudo-random move for contract (not secure for production)
         uint256 random = uint256(keccak256(abi.encodePacked(block.timestamp, msg.sender, block.prevrandao))) % 3;
         Move contractMove = Move(random);
 
-        bool playerWon = _determineWinner(_playerMove, contractMove);
-        uint256 payout = 0;
+        Outcome outcome = _determineOutcome(_playerMove, contractMove);
+        uint256 payout = _payout(outcome, msg.value);
 
-        if (playerWon) {
-            payout = msg.value * 2;
+        if (payout > 0) {
             payable(msg.sender).transfer(payout);
         }
 
-        emit GamePlayed(msg.sender, _playerMove, contractMove, playerWon, payout);
+        emit GameSettled(msg.sender, _playerMove, contractMove, outcome, msg.value, payout);
+    }
+
+    // Several rounds in one transaction; msg.value is split equally between the moves
+    function playBatch(Move[] calldata _playerMoves) external payable {
+        uint256 rounds = _playerMoves.length;
+        require(rounds > 0 && rounds <= MAX_BATCH, "Invalid number of moves");
+        require(msg.value % rounds == 0, "Bet must split evenly");
+
+        uint256 bet = msg.value / rounds;
+        require(bet >= minBet, "Bet too small");
+        require(bet <= maxBet, "Bet too large");
+        require(address(this).balance - lockedFunds >= msg.value * 2, "Contract lacks funds for payout");
+
+        uint256 totalPayout = 0;
+
+        for (uint256 i = 0; i < rounds; i++) {
+            // Generate pseudo-random move for contract (not secure for production)
+            uint256 random = uint256(keccak256(abi.encodePacked(block.timestamp, msg.sender, block.prevrandao, i))) % 3;
+            Move contractMove = Move(random);
+
+            Outcome outcome = _determineOutcome(_playerMoves[i], contractMove);
+            uint256 payout = _payout(outcome, bet);
+            totalPayout += payout;
+
+            emit GameSettled(msg.sender, _playerMoves[i], contractMove, outcome, bet, payout);
+        }
+
+        if (totalPayout > 0) {
+            payable(msg.sender).transfer(totalPayout);
+        }
+    }
+
+    function commit(bytes32 _commitment) external payable {
+        require(commitments[msg.sender].blockNumber == 0, "Commitment already open");
+        require(msg.value >= minBet, "Bet too small");
+        require(msg.value <= maxBet, "Bet too large");
+        require(address(this).balance - lockedFunds >= msg.value * 2, "Contract lacks funds for payout");
+
+        lockedFunds += msg.value * 2;
+        commitments[msg.sender] = Commitment(_commitment, msg.value, block.number);
+
+        emit MoveCommitted(msg.sender, _commitment, msg.value, block.number);
+    }
+
+    function reveal(Move _playerMove, bytes32 _salt) external {
+        Commitment memory c = commitments[msg.sender];
+        require(c.blockNumber != 0, "No open commitment");
+        require(block.number > c.blockNumber + 1, "Contract move not determined yet");
+        require(block.number <= c.blockNumber + REVEAL_WINDOW, "Reveal window expired");
+        require(keccak256(abi.encodePacked(_playerMove, _salt)) == c.hash, "Move does not match commitment");
+
+        delete commitments[msg.sender];
+        lockedFunds -= c.bet * 2;
+
+        uint256 random = uint256(keccak256(abi.encodePacked(blockhash(c.blockNumber + 1), _salt))) % 3;
+        Move contractMove = Move(random);
+
+        Outcome outcome = _determineOutcome(_playerMove, contractMove);
+        uint256 payout = _payout(outcome, c.bet);
+
+        if (payout > 0) {
+            payable(msg.sender).transfer(payout);
+        }
+
+        emit GameSettled(msg.sender, _playerMove, contractMove, outcome, c.bet, payout);
+    }
+
+    // Full refund while the block deciding the contract move is not mined yet
+    function cancelCommit() external {
+        Commitment memory c = commitments[msg.sender];
+        require(c.blockNumber != 0, "No open commitment");
+        require(block.number <= c.blockNumber + 1, "Contract move already determined");
+
+        delete commitments[msg.sender];
+        lockedFunds -= c.bet * 2;
+        payable(msg.sender).transfer(c.bet);
+
+        emit CommitCancelled(msg.sender, c.bet);
+    }
+
+    // An unrevealed commitment past the reveal window is lost to the house
+    function forfeit(address _player) external {
+        Commitment memory c = commitments[_player];
+        require(c.blockNumber != 0, "No open commitment");
+        require(block.number > c.blockNumber + REVEAL_WINDOW, "Reveal window still open");
+
+        delete commitments[_player];
+        lockedFunds -= c.bet * 2;
+
+        emit CommitForfeited(_player, c.bet);
+    }
+
+    function _determineOutcome(Move player, Move contractMove) internal pure returns (Outcome) {
+        if (player == contractMove) return Outcome.Draw;
+        if (player == Move.Rock && contractMove == Move.Scissors) return Outcome.Win;
+        if (player == Move.Paper && contractMove == Move.Rock) return Outcome.Win;
+        if (player == Move.Scissors && contractMove == Move.Paper) return Outcome.Win;
+        return Outcome.Lose;
     }
 
-    function _determineWinner(Move player, Move contractMove) internal pure returns (bool) {
-        if (player == contractMove) return false; // 
-        if (player == Move.Rock && contractMove == Move.Scissors) return true;
-        if (player == Move.Paper && contractMove == Move.Rock) return true;
-        if (player == Move.Scissors && contractMove == Move.Paper) return true;
-        return false;
+    // Amount paid back for a round: twice the bet for a win, the bet itself for a draw
+    function _payout(Outcome outcome, uint256 bet) internal pure returns (uint256) {
+        if (outcome == Outcome.Win) return bet * 2;
+        if (outcome == Outcome.Draw) return bet;
+        return 0;
     }
 
     function getBalance() external view returns (uint256) {
@@ -50,6 +172,7 @@ contract RockPaperScissors {
 
     function withdraw(uint256 amount) external {
         require(msg.sender == owner, "Only owner can withdraw");
+        require(amount <= address(this).balance - lockedFunds, "Funds locked for open commitments");
         payable(owner).transfer(amount);
     }
 }
\ No newline at end of file
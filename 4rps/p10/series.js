@@ -0,0 +1,206 @@
+// Multi-round modes: best-of-N series played one click per round, and queues of moves played
+// either one play() per move or as playBatch() transactions of up to MAX_BATCH_MOVES moves.
+
+let activeSeries = null;
+
+// DOM Elements
+const seriesMode_select = document.getElementById('series-mode');
+const queueControls_div = document.getElementById('queue-controls');
+const moveQueue_input = document.getElementById('move-queue');
+const batchToggle = document.getElementById('batch-toggle');
+const batchLabel = document.getElementById('batch-label');
+const playQueueBtn = document.getElementById('play-queue-btn');
+const seriesStatus_p = document.getElementById('series-status');
+
+// Offer single-transaction batches only where the deployment has playBatch()
+function initSeries() {
+    batchLabel.style.display = deployment.playBatch ? '' : 'none';
+    batchToggle.checked = deployment.playBatch;
+}
+
+// Forget the series (wallet disconnected or network changed)
+function resetSeries() {
+    activeSeries = null;
+    renderSeries();
+}
+
+function newSeries(kind, size) {
+    return {
+        kind,               // 'bestOf' or 'queue'
+        size,               // N of best-of-N, or number of queued moves
+        rounds: [],
+        finished: false
+    };
+}
+
+// Before a round from a move click: start a best-of-N series if none is running
+function startSeriesRound() {
+    if (activeSeries && !activeSeries.finished) return;
+
+    const mode = seriesMode_select.value;
+    activeSeries = mode === 'bestOf3' || mode === 'bestOf5'
+        ? newSeries('bestOf', mode === 'bestOf3' ? 3 : 5)
+        : null;
+    renderSeries();
+}
+
+// Count wins, losses, draws and money over the series' rounds
+function getSeriesTotals(series) {
+    const zero = ethers.BigNumber.from(0);
+    const outcomes = series.rounds.map(getRoundOutcome);
+
+    return {
+        wins: outcomes.filter(outcome => outcome === 'win').length,
+        losses: outcomes.filter(outcome => outcome === 'lose').length,
+        draws: outcomes.filter(outcome => outcome === 'draw').length,
+        wagered: series.rounds.reduce((sum, round) => sum.add(round.bet), zero),
+        paidOut: series.rounds.reduce((sum, round) => sum.add(round.amountWon), zero)
+    };
+}
+
+// Add confirmed rounds to the running series and check whether it is decided
+function recordSeriesRounds(rounds) {
+    if (!activeSeries || activeSeries.finished) return;
+
+    activeSeries.rounds.push(...rounds);
+    const { wins, losses } = getSeriesTotals(activeSeries);
+
+    if (activeSeries.kind === 'bestOf') {
+        const needed = Math.ceil(activeSeries.size / 2);
+        activeSeries.finished = wins >= needed || losses >= needed;
+    } else {
+        activeSeries.finished = activeSeries.rounds.length >= activeSeries.size;
+    }
+
+    renderSeries();
+}
+
+// Show score and cumulative payout of the current or last series
+function renderSeries() {
+    queueControls_div.style.display = seriesMode_select.value === 'queue' ? '' : 'none';
+
+    if (!activeSeries) {
+        seriesStatus_p.innerText = '';
+        return;
+    }
+
+    const { wins, losses, draws, wagered, paidOut } = getSeriesTotals(activeSeries);
+    const title = activeSeries.kind === 'bestOf'
+        ? t('rps.series.titleBestOf', { size: activeSeries.size })
+        : t('rps.series.titleQueue', { played: activeSeries.rounds.length, size: activeSeries.size });
+    const money = t('rps.series.money', {
+        wagered: formatAmount(wagered),
+        paidOut: formatAmount(paidOut),
+        net: formatAmount(paidOut.sub(wagered))
+    });
+
+    let state = 'inProgress';
+    if (activeSeries.finished) {
+        if (wins > losses) state = 'won';
+        else if (losses > wins) state = 'lost';
+        else state = 'tied';
+    }
+
+    seriesStatus_p.innerText = t('rps.series.status', { title, state: t(`rps.series.${state}`), wins, losses, draws, money });
+}
+
+// Parse the queue input ("RPS", "r, p, s", ...) into move letters, or null if invalid
+function parseMoveQueue(text) {
+    const letters = text.toLowerCase().replace(/[\s,]/g, '').split('');
+    if (letters.length === 0 || letters.some(letter => !['r', 'p', 's'].includes(letter))) return null;
+    return letters;
+}
+
+// Play all queued moves, batched into as few transactions as playBatch() allows when enabled
+async function playQueue() {
+    if (!contract) {
+        Notify.error(t('rps.error.connectFirst'));
+        return;
+    }
+
+    const letters = parseMoveQueue(moveQueue_input.value);
+    if (!letters) {
+        seriesStatus_p.innerText = t('rps.series.invalidQueue');
+        return;
+    }
+
+    if (isCommitRevealMode()) {
+        seriesStatus_p.innerText = t('rps.series.commitRevealOn');
+        return;
+    }
+
+    const betAmount = readBetAmount();
+    if (!betAmount) return;
+
+    const batched = batchToggle.checked && deployment.playBatch;
+    if (batched && !checkBatchTotal(Math.min(letters.length, MAX_BATCH_MOVES), betAmount)) return;
+
+    activeSeries = newSeries('queue', letters.length);
+    renderSeries();
+
+    if (batched) {
+        // Stop at the first batch that does not confirm, or no longer fits the refreshed limits
+        for (let start = 0; start < letters.length; start += MAX_BATCH_MOVES) {
+            const chunk = letters.slice(start, start + MAX_BATCH_MOVES);
+            if (start > 0 && !checkBatchTotal(chunk.length, betAmount)) {
+                activeSeries.finished = true;
+                renderSeries();
+                break;
+            }
+
+            const confirmed = await playBatchRounds(chunk, betAmount);
+            if (!confirmed) break;
+        }
+        return;
+    }
+
+    // One play() per move; stop at the first round that does not confirm
+    for (const letter of letters) {
+        const played = activeSeries.rounds.length;
+        await game(letter);
+        if (activeSeries.rounds.length === played) {
+            activeSeries.finished = true;
+            renderSeries();
+            break;
+        }
+    }
+}
+
+// Whether the total bet of a playBatch() of `count` moves fits the house bankroll and the
+// player's balance; shows which one it exceeds otherwise
+function checkBatchTotal(count, betAmount) {
+    const problem = client.getBatchProblem(betAmount, count);
+    if (!problem) return true;
+
+    Notify.error(t('rps.series.batchTooLarge', {
+        count,
+        total: formatAmount(betAmount.mul(count)),
+        max: formatAmount(problem.limit),
+        reason: formatLimitReason(problem.reason)
+    }));
+    return false;
+}
+
+// Submit moves in one playBatch() call, each with the same bet; false if it failed
+async function playBatchRounds(letters, betAmount) {
+    try {
+        // Rounds reach the series through the client's 'round' event
+        const { rounds } = await client.playBatch(letters, betAmount);
+        await showGameRounds(rounds);
+        return true;
+    } catch (error) {
+        console.error('Batch error:', error);
+        activeSeries.finished = true;
+        renderSeries();
+        showGameError(error, 'playBatch');
+        return false;
+    }
+}
+
+seriesMode_select.addEventListener('change', () => {
+    // Switching mode abandons an unfinished series
+    activeSeries = null;
+    renderSeries();
+});
+playQueueBtn.addEventListener('click', playQueue);
+I18n.onChange(renderSeries);
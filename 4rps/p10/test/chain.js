@@ -0,0 +1,96 @@
+// Local chain for the tests: rps.sol (and pvp.sol) compiled with solc-js and deployed to an
+// in-process ganache EVM, so the suite needs no network and no running node.
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+
+const CHAIN_ID = 1337;
+const compiled = {};
+
+// ABI and bytecode of a contract in a source file (relative to p10), compiled once per test process
+function compileContract(file, name) {
+    const key = `${file}:${name}`;
+    if (compiled[key]) return compiled[key];
+
+    const input = {
+        language: 'Solidity',
+        sources: { [file]: { content: fs.readFileSync(path.join(__dirname, '..', file), 'utf8') } },
+        settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+
+    const contract = output.contracts[file][name];
+    compiled[key] = { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+    return compiled[key];
+}
+
+function compileRps(file = 'rps.sol') {
+    return compileContract(file, 'RockPaperScissors');
+}
+
+// Start a chain, deploy the game from account 0 and fund its bankroll.
+// Account 1 is the player, account 2 is a spare. `legacy` deploys test/fixtures/rps-legacy.sol,
+// `pvp` also deploys pvp.sol and sets it in the deployment.
+async function startChain({ bankroll = '10', playerBalance = '100', legacy = false, pvp = false } = {}) {
+    const ganacheProvider = ganache.provider({
+        chain: { chainId: CHAIN_ID },
+        wallet: { totalAccounts: 3, defaultBalance: Number(playerBalance) },
+        logging: { quiet: true }
+    });
+    const provider = new ethers.providers.Web3Provider(ganacheProvider);
+    provider.pollingInterval = 50;
+
+    const accounts = await provider.listAccounts();
+    const owner = provider.getSigner(accounts[0]);
+    const player = provider.getSigner(accounts[1]);
+
+    const { abi, bytecode } = compileRps(legacy ? 'test/fixtures/rps-legacy.sol' : 'rps.sol');
+    const contract = await new ethers.ContractFactory(abi, bytecode, owner).deploy();
+    const deployReceipt = await contract.deployTransaction.wait();
+    await (await owner.sendTransaction({ to: contract.address, value: ethers.utils.parseEther(bankroll) })).wait();
+
+    let pvpContract = null;
+    let pvpReceipt = null;
+    if (pvp) {
+        const { abi: pvpAbi, bytecode: pvpBytecode } = compileContract('pvp.sol', 'RockPaperScissorsPvP');
+        pvpContract = await new ethers.ContractFactory(pvpAbi, pvpBytecode, owner).deploy();
+        pvpReceipt = await pvpContract.deployTransaction.wait();
+    }
+
+    const deployment = {
+        chainId: CHAIN_ID,
+        chainName: 'Local test chain',
+        rpcUrl: 'http://127.0.0.1:8545',
+        currencySymbol: 'ETH',
+        explorerUrl: 'http://explorer.test',
+        contractAddress: contract.address,
+        deploymentBlock: deployReceipt.blockNumber,
+        confirmations: 1,
+        commitReveal: !legacy,
+        playBatch: !legacy,
+        pvpAddress: pvpContract ? pvpContract.address : null,
+        pvpDeploymentBlock: pvpReceipt ? pvpReceipt.blockNumber : 0
+    };
+
+    return {
+        ganacheProvider,
+        provider,
+        accounts,
+        owner,
+        player,
+        contract,
+        pvpContract,
+        deployment,
+        async stop() {
+            provider.removeAllListeners();
+            await ganacheProvider.disconnect();
+        }
+    };
+}
+
+module.exports = { CHAIN_ID, compileContract, compileRps, startChain };
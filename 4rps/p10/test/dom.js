@@ -0,0 +1,78 @@
+// Loads index.html and the page scripts into a jsdom window wired to a test wallet
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ethers } = require('ethers');
+
+const ROOT = path.join(__dirname, '..');
+const SHARED = path.join(ROOT, '..', '..', 'shared');
+const SHARED_SCRIPTS = ['i18n.js', 'locales/en.js', 'locales/kk.js', 'locales/ru.js', 'notify.js'];
+const SCRIPTS = ['rps-client.js', 'app.js', 'pnl.js', 'admin.js', 'commit-reveal.js', 'pvp.js', 'pending.js', 'series.js', 'feedback.js'];
+
+// Canvas 2D context whose drawing calls do nothing (jsdom has no canvas)
+function createCanvasContext() {
+    return new Proxy({}, {
+        get: (target, name) => (name in target ? target[name] : () => {})
+    });
+}
+
+function loadPage(chain, wallet) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args));
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+    const { window } = dom;
+
+    window.ethers = ethers;
+    window.ethereum = wallet;
+    window.HTMLCanvasElement.prototype.getContext = createCanvasContext;
+    // jsdom has no layout, so no innerText; the page only uses it for plain text
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() { return this.textContent; },
+        set(value) { this.textContent = value; }
+    });
+
+    // Run each file as a classic script, so top-level declarations are shared like in the browser
+    const context = dom.getInternalVMContext();
+    const run = (code, filename) => new vm.Script(code, { filename }).runInContext(context);
+
+    SHARED_SCRIPTS.forEach(file => run(fs.readFileSync(path.join(SHARED, file), 'utf8'), file));
+    run(fs.readFileSync(path.join(ROOT, 'config.js'), 'utf8'), 'config.js');
+    run(`DEPLOYMENTS[${chain.deployment.chainId}] = ${JSON.stringify(chain.deployment)};`, 'test-deployment.js');
+    SCRIPTS.forEach(file => run(fs.readFileSync(path.join(ROOT, file), 'utf8'), file));
+
+    const $ = selector => window.document.querySelector(selector);
+
+    return {
+        window,
+        errors,
+        $,
+        text: selector => $(selector).textContent.trim(),
+        // Messages of the toasts on screen, oldest first
+        toasts: () => [...window.document.querySelectorAll('.toast-message')].map(element => element.textContent),
+        clearToasts: () => window.document.querySelectorAll('.toast').forEach(element => element.remove()),
+        // Disconnect the wallet so the page drops its subscriptions, then close the window
+        close() {
+            wallet.emit('accountsChanged', []);
+            window.close();
+        }
+    };
+}
+
+// Resolve once check() returns true, polling every 20ms
+async function waitFor(check, timeout = 5000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the page');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { loadPage, waitFor };
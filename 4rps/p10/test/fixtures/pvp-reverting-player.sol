@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// A PvP player that refuses ether, like a contract wallet without a receive function.
+// The tests use it to check that such a player cannot hold up settling a match.
+
+interface IRockPaperScissorsPvP {
+    function createMatch(bytes32 _commitment) external payable returns (uint256);
+    function withdraw() external;
+}
+
+contract RevertingPvpPlayer {
+    IRockPaperScissorsPvP public pvp;
+
+    constructor(IRockPaperScissorsPvP _pvp) {
+        pvp = _pvp;
+    }
+
+    function createMatch(bytes32 _commitment) external payable {
+        pvp.createMatch{value: msg.value}(_commitment);
+    }
+
+    function withdraw() external {
+        pvp.withdraw();
+    }
+
+    receive() external payable {
+        revert("No ether accepted");
+    }
+}
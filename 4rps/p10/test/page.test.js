@@ -0,0 +1,437 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { startChain } = require('./chain');
+const { createWallet } = require('./wallet');
+const { loadPage, waitFor } = require('./dom');
+
+const { parseEther, formatEther } = ethers.utils;
+
+describe('RPS page', () => {
+    let chain;
+    let wallet;
+    let page;
+    let player;
+
+    before(async () => {
+        chain = await startChain();
+        player = chain.accounts[1];
+        wallet = createWallet(chain, player);
+        page = loadPage(chain, wallet);
+
+        await page.window.connectWallet();
+        await waitFor(() => page.text('#history-status').endsWith('rounds played.'));
+    });
+
+    after(async () => {
+        page.close();
+        await chain.stop();
+    });
+
+    beforeEach(() => {
+        page.clearToasts();
+        page.$('#bet-amount').value = '0.01';
+    });
+
+    // Text of the result line
+    const result = () => page.text('.result > p');
+
+    it('connects the wallet and shows balances and bet limits', async () => {
+        assert.equal(page.text('#connectBtn'), 'Connected ✓');
+        assert.equal(page.text('#wallet-address'), `${player.substring(0, 6)}...${player.substring(38)}`);
+        assert.equal(result(), 'Choose your move and place your bet!');
+        assert.equal(page.text('#contract-balance'), '10 ETH');
+        assert.equal(page.text('#bet-info'), 'Min: 0.0001 ETH | Max: 1 ETH (contract max bet)');
+        assert.equal(page.text('.bet-unit'), 'ETH');
+        // The history reaches back to the deployment block, so the P&L covers all time
+        assert.equal(page.text('#pnl-all-time'), 'All time');
+    });
+
+    it('rejects invalid bets before sending anything', async () => {
+        const blockBefore = await chain.provider.getBlockNumber();
+
+        page.$('#bet-amount').value = '';
+        await page.window.game('r');
+        page.$('#bet-amount').value = '0.00001';
+        await page.window.game('r');
+        page.$('#bet-amount').value = '5';
+        await page.window.game('r');
+
+        assert.deepEqual(page.toasts(), [
+            'Please enter a valid bet amount!',
+            'Bet must be at least 0.0001 ETH',
+            'Bet cannot exceed 1 ETH (contract max bet)'
+        ]);
+        assert.equal(await chain.provider.getBlockNumber(), blockBefore);
+    });
+
+    it('renders wins, losses and draws in displayResult()', () => {
+        const rock = page.$('#r');
+        const round = (contractMove, outcome, amountWon) => ({
+            playerMove: 0,
+            contractMove,
+            outcome,
+            playerWon: outcome === 'win',
+            bet: parseEther('0.01'),
+            amountWon: parseEther(amountWon)
+        });
+
+        page.window.displayResult(round(2, 'win', '0.02'));
+        assert.equal(result(), 'Rockuser beats Scissorscomp. You win 0.02 ETH!');
+        assert.ok(rock.classList.contains('green-glow'));
+
+        page.window.displayResult(round(1, 'lose', '0'));
+        assert.equal(result(), 'Rockuser loses to Papercomp. You lost...');
+        assert.ok(rock.classList.contains('red-glow'));
+
+        page.window.displayResult(round(0, 'draw', '0.01'));
+        assert.equal(result(), "Rockuser equals Rockcomp. It's a draw. 0.01 ETH returned.");
+        assert.ok(rock.classList.contains('gray-glow'));
+
+        // A draw on a deployment from before draws were refunded
+        page.window.displayResult(round(0, 'draw', '0'));
+        assert.equal(result(), "Rockuser equals Rockcomp. It's a draw. The contract kept your bet.");
+    });
+
+    it('plays a round from a click and refreshes result, score, history and balances', async () => {
+        page.$('#p').click();
+        await waitFor(() => page.$('#history-body tr.history-win, #history-body tr.history-lose, #history-body tr.history-draw'));
+        await waitFor(() => !result().startsWith('⏳'));
+
+        const [event] = await chain.contract.queryFilter(chain.contract.filters.GameSettled(player));
+        const { playerMove, contractMove, outcome, payout } = event.args;
+        assert.equal(playerMove, 1);
+
+        const computer = ['Rock', 'Paper', 'Scissors'][contractMove];
+        const expected = [
+            `Paperuser loses to ${computer}comp. You lost...`,
+            `Paperuser beats ${computer}comp. You win ${formatEther(payout)} ETH!`,
+            `Paperuser equals ${computer}comp. It's a draw. ${formatEther(payout)} ETH returned.`
+        ];
+        assert.equal(result(), expected[outcome]);
+
+        assert.equal(page.text('#user-score'), outcome === 1 ? '1' : '0');
+        assert.equal(page.text('#computer-score'), outcome === 0 ? '1' : '0');
+        assert.equal(page.$('#history-body').querySelectorAll('tr').length, 1);
+
+        // The bet's toast followed it to confirmation and links to the explorer
+        assert.deepEqual(page.toasts(), ['Bet confirmed.']);
+        assert.equal(page.$('.toast-success .toast-link').href, `http://explorer.test/tx/${event.transactionHash}`);
+
+        const userBalance = await chain.provider.getBalance(player);
+        const contractBalance = await chain.provider.getBalance(chain.contract.address);
+        assert.equal(page.text('#user-balance'), `${parseFloat(formatEther(userBalance)).toFixed(4)} ETH`);
+        assert.equal(page.text('#contract-balance'), `${formatEther(contractBalance).replace(/\.0$/, '')} ETH`);
+    });
+
+    it('plays moves from the keyboard and replays the last bet with Enter', async () => {
+        const press = (key, target = page.window.document.body) =>
+            target.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+        const blockBefore = await chain.provider.getBlockNumber();
+
+        // Record the moves the shortcuts play
+        const played = [];
+        const game = page.window.game;
+        page.window.game = (letter) => {
+            played.push(letter);
+            return game(letter);
+        };
+
+        try {
+            // A valid Paper bet becomes the one Enter replays, even though the wallet rejects it
+            page.$('#bet-amount').value = '0.02';
+            wallet.rejectNextTransaction();
+            press('p');
+            await waitFor(() => result() === 'Transaction rejected by user.');
+            page.clearToasts();
+
+            // Typing in the bet field is not a shortcut
+            page.$('#bet-amount').value = '5';
+            press('s', page.$('#bet-amount'));
+            assert.deepEqual(page.toasts(), []);
+
+            // A refused bet is not remembered
+            press('S');
+            await waitFor(() => page.toasts().length === 1);
+            assert.equal(page.toasts()[0], 'Bet cannot exceed 1 ETH (contract max bet)');
+
+            // Enter replays the Paper bet, with its amount; the result line still shows the first rejection
+            page.$('.result > p').textContent = '';
+            wallet.rejectNextTransaction();
+            press('Enter');
+            await waitFor(() => result() === 'Transaction rejected by user.');
+        } finally {
+            page.window.game = game;
+        }
+
+        assert.deepEqual(played, ['p', 's', 'p']);
+        assert.equal(page.$('#bet-amount').value, '0.02');
+        assert.equal(await chain.provider.getBlockNumber(), blockBefore);
+    });
+
+    it('keeps the result glow until the next round with reduced motion', async () => {
+        const round = { playerMove: 2, contractMove: 1, outcome: 'win', playerWon: true, bet: parseEther('0.01'), amountWon: parseEther('0.02') };
+        const toggle = page.$('#reduced-motion-toggle');
+
+        toggle.checked = true;
+        toggle.dispatchEvent(new page.window.Event('change'));
+        assert.ok(page.window.document.body.classList.contains('reduced-motion'));
+        assert.deepEqual(JSON.parse(page.window.localStorage.getItem('rps-settings')), { sound: false, reducedMotion: true });
+
+        page.window.displayResult(round);
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.ok(page.$('#s').classList.contains('green-glow'));
+        assert.equal(page.$('.result').getAttribute('aria-live'), 'polite');
+
+        toggle.checked = false;
+        toggle.dispatchEvent(new page.window.Event('change'));
+        page.window.displayResult(round);
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.ok(!page.$('#s').classList.contains('green-glow'));
+    });
+
+    it('switches the page to another language and remembers it', async () => {
+        const select = page.$('#language-select');
+        select.value = 'ru';
+        select.dispatchEvent(new page.window.Event('change'));
+
+        assert.equal(page.window.document.documentElement.lang, 'ru');
+        assert.equal(page.window.localStorage.getItem('dapp-locale'), 'ru');
+        assert.equal(page.text('.subtitle'), 'Блокчейн-версия');
+        assert.equal(page.text('#connectBtn'), 'Подключено ✓');
+        assert.equal(page.text('#r .choice-label'), 'Камень');
+        assert.equal(page.text('#bet-info'), 'Мин: 0,0001 ETH | Макс: 1 ETH (максимальная ставка контракта)');
+
+        select.value = 'en';
+        select.dispatchEvent(new page.window.Event('change'));
+        assert.equal(page.text('#bet-info'), 'Min: 0.0001 ETH | Max: 1 ETH (contract max bet)');
+    });
+
+    it('shows a transaction rejected in the wallet', async () => {
+        const blockBefore = await chain.provider.getBlockNumber();
+        wallet.rejectNextTransaction();
+
+        await page.window.game('s');
+
+        assert.equal(result(), 'Transaction rejected by user.');
+        assert.deepEqual(page.toasts(), ['Bet failed: Transaction rejected by user.']);
+        assert.equal(page.$('.toast-error').getAttribute('role'), 'alert');
+        assert.equal(await chain.provider.getBlockNumber(), blockBefore);
+    });
+
+    it('shows a bet the wallet can no longer pay for as insufficient funds', async () => {
+        // Empty the wallet behind the page's back, leaving less than the bet
+        const signer = chain.provider.getSigner(player);
+        const gasPrice = await chain.provider.getGasPrice();
+        const balance = await chain.provider.getBalance(player);
+        const keep = parseEther('0.005');
+        await (await signer.sendTransaction({
+            to: chain.accounts[2],
+            value: balance.sub(gasPrice.mul(21000)).sub(keep),
+            gasLimit: 21000,
+            gasPrice
+        })).wait();
+
+        await page.window.game('r');
+
+        // The bet never reached the wallet, so the failure needs a toast of its own
+        assert.deepEqual(page.toasts(), ['Bet failed: Insufficient funds for bet + gas.']);
+        assert.equal(page.$('.toast-error').getAttribute('role'), 'alert');
+        assert.equal(result(), 'Insufficient funds for bet + gas.');
+    });
+});
+
+describe('House console', () => {
+    let chain;
+    let page;
+
+    // Label → value of the console's rows
+    const rows = () => Object.fromEntries([...page.window.document.querySelectorAll('#admin-body tr')]
+        .map(row => [...row.querySelectorAll('td')].map(cell => cell.textContent.trim())));
+
+    before(async () => {
+        chain = await startChain();
+
+        // One commitment left unrevealed and forfeited, one still open (locking twice its bet)
+        const game = chain.contract.connect(chain.player);
+        const commitment = ethers.utils.solidityKeccak256(['uint8', 'bytes32'], [0, ethers.utils.formatBytes32String('salt')]);
+        await (await game.commit(commitment, { value: parseEther('1') })).wait();
+        await chain.ganacheProvider.request({ method: 'evm_mine', params: [{ blocks: 201 }] });
+        await (await game.forfeit(chain.accounts[1])).wait();
+        await (await game.commit(commitment, { value: parseEther('0.5') })).wait();
+
+        page = loadPage(chain, createWallet(chain, chain.accounts[0]));
+        await page.window.connectWallet();
+        await waitFor(() => page.$('#admin-body tr'));
+    });
+
+    after(async () => {
+        page.close();
+        await chain.stop();
+    });
+
+    it('counts locked funds out of the bankroll and forfeited bets in the house P&L', () => {
+        const values = rows();
+        assert.equal(values['Bankroll'], '11.5000 ETH');
+        assert.equal(values['Locked for open commitments'], '1.0000 ETH');
+        assert.equal(values['Free bankroll'], '10.5000 ETH');
+        assert.equal(values['Max-bet wins covered'], '10');
+        assert.equal(values['Forfeited commitments'], '1 bet, 1.0000 ETH');
+        assert.equal(values['House P&L'], '1.0000 ETH');
+        // Scanned back to the deployment block, so the statistics are complete
+        assert.match(page.text('#admin-status'), /^House statistics up to block \d+\.$/);
+    });
+
+    it('refuses to withdraw funds locked for open commitments', async () => {
+        const blockBefore = await chain.provider.getBlockNumber();
+        page.$('#admin-amount').value = '11';
+
+        await page.window.withdrawBankroll();
+
+        assert.equal(page.text('#admin-status'), 'Cannot withdraw more than the bankroll not locked for open commitments (10.5000 ETH).');
+        assert.equal(await chain.provider.getBlockNumber(), blockBefore);
+    });
+});
+
+describe('Player vs player', () => {
+    let chain;
+    let page;
+
+    const cells = selector => [...page.window.document.querySelectorAll(`${selector} tr`)]
+        .map(row => [...row.querySelectorAll('td')].map(cell => cell.textContent.trim()));
+
+    before(async () => {
+        chain = await startChain({ pvp: true });
+        const commitment = () => ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+        // An open match of another player, and one of the player's own, cancelled with its stake credited
+        const rival = chain.pvpContract.connect(chain.provider.getSigner(chain.accounts[2]));
+        await (await rival.createMatch(commitment(), { value: parseEther('0.05') })).wait();
+        const own = chain.pvpContract.connect(chain.player);
+        await (await own.createMatch(commitment(), { value: parseEther('0.02') })).wait();
+        await (await own.cancelMatch(1)).wait();
+
+        page = loadPage(chain, createWallet(chain, chain.accounts[1]));
+        await page.window.connectWallet();
+        await waitFor(() => cells('#pvp-lobby-body')[0]?.[0] === '#0' && page.$('#pvp-balance').style.display === '');
+    });
+
+    after(async () => {
+        page.close();
+        await chain.stop();
+    });
+
+    it('finds matches back to the PvP deployment block', () => {
+        assert.equal(cells('#pvp-lobby-body').length, 1);
+        assert.equal(cells('#pvp-my-body')[0][0], '#1');
+        assert.equal(cells('#pvp-my-body')[0][3], 'Cancelled, stake refunded');
+        assert.equal(page.$('#pvp-load-older-btn').style.display, 'none');
+        assert.equal(page.text('#pvp-status'), '');
+    });
+
+    it('withdraws stakes credited to the player', async () => {
+        assert.equal(page.text('#pvp-balance-text'), `Winnings and refunds to withdraw: ${page.window.formatAmount(parseEther('0.02'))}`);
+
+        await page.window.withdrawPvpBalance();
+
+        assert.equal(page.$('#pvp-balance').style.display, 'none');
+        assert.equal((await chain.pvpContract.balances(chain.accounts[1])).toString(), '0');
+        assert.equal(page.text('#pvp-status'), 'Withdraw confirmed.');
+    });
+});
+
+describe('Pending plays', () => {
+    let chain;
+    let page;
+    let key;
+    let stuck;
+
+    before(async () => {
+        chain = await startChain();
+        const player = chain.accounts[1];
+        const bet = parseEther('0.01');
+
+        // Gas for a winning round, which the estimate may not cover
+        const tx = await chain.contract.connect(chain.player).play(0, { value: bet, gasLimit: 100000 });
+        await tx.wait();
+        const startBlock = tx.blockNumber - 1;
+
+        // Stored by a previous visit: one play the node never heard of, then one that got mined
+        page = loadPage(chain, createWallet(chain, player));
+        key = `rps-pending:${chain.deployment.chainId}:${chain.contract.address}:${player}`.toLowerCase();
+        stuck = { hash: ethers.utils.hexlify(ethers.utils.randomBytes(32)), from: player, nonce: 1000000, move: 'p', bet: bet.toString(), startBlock, sentAt: Date.now() };
+        const mined = { hash: tx.hash, from: player, nonce: tx.nonce, move: 'r', bet: bet.toString(), startBlock, sentAt: Date.now() };
+        page.window.localStorage.setItem(key, JSON.stringify([stuck, mined]));
+    });
+
+    after(async () => {
+        page.close();
+        await chain.stop();
+    });
+
+    it('shows a resumed play that was mined while an older one is still stuck', async () => {
+        await page.window.connectWallet();
+        await waitFor(() => page.text('.result > p').startsWith('Rockuser'));
+
+        assert.deepEqual(JSON.parse(page.window.localStorage.getItem(key)).map(record => record.hash), [stuck.hash]);
+    });
+
+    it('shows the round of a transaction that replaced a pending play', async () => {
+        const [round] = await chain.contract.queryFilter(chain.contract.filters.GameSettled(chain.accounts[1]));
+        const tx = await round.getTransaction();
+        const replaced = { hash: ethers.utils.hexlify(ethers.utils.randomBytes(32)), from: chain.accounts[1], nonce: tx.nonce, move: 's', bet: tx.value.toString(), startBlock: chain.deployment.deploymentBlock, sentAt: Date.now() };
+        page.window.localStorage.setItem(key, JSON.stringify([replaced]));
+        page.$('.result > p').innerHTML = '';
+
+        await page.window.resumePendingPlays();
+
+        assert.ok(page.text('.result > p').startsWith('Rockuser'));
+        assert.deepEqual(JSON.parse(page.window.localStorage.getItem(key)), []);
+    });
+});
+
+describe('Queued moves', () => {
+    let chain;
+    let page;
+
+    before(async () => {
+        chain = await startChain({ bankroll: '5' });
+        page = loadPage(chain, createWallet(chain, chain.accounts[1]));
+        await page.window.connectWallet();
+        await waitFor(() => page.text('#history-status').endsWith('rounds played.'));
+    });
+
+    after(async () => {
+        page.close();
+        await chain.stop();
+    });
+
+    it('sends a queue longer than playBatch() accepts as several batches', async () => {
+        page.$('#series-mode').value = 'queue';
+        page.$('#series-mode').dispatchEvent(new page.window.Event('change'));
+        page.$('#move-queue').value = 'RPSRPSRPSRPS';
+        page.$('#bet-amount').value = '0.001';
+        assert.equal(page.$('#batch-toggle').checked, true);
+
+        await page.window.playQueue();
+
+        const events = await chain.contract.queryFilter(chain.contract.filters.GameSettled(chain.accounts[1]));
+        const transactions = [...new Set(events.map(event => event.transactionHash))];
+        assert.equal(events.length, 12);
+        assert.equal(transactions.length, 2);
+        assert.ok(page.text('#series-status').startsWith('Queue 12/12 '));
+    });
+
+    it('refuses a batch whose total the house bankroll cannot cover', async () => {
+        const before = await chain.contract.queryFilter(chain.contract.filters.GameSettled(chain.accounts[1]));
+        page.$('#move-queue').value = 'RPSRPSRPSRPS';
+        page.$('#bet-amount').value = '1';
+
+        await page.window.playQueue();
+
+        const after = await chain.contract.queryFilter(chain.contract.filters.GameSettled(chain.accounts[1]));
+        assert.equal(after.length, before.length);
+        assert.match(page.toasts().at(-1), /^10 moves in one transaction bet 10 ETH, more than [\d.]+ ETH \(house bankroll\)\./);
+    });
+});
@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const RpsClient = require('../rps-client');
+const { compileContract, startChain } = require('./chain');
+
+const { parseEther, solidityKeccak256, hexlify, randomBytes } = ethers.utils;
+
+const ROCK = 0;
+const PAPER = 1;
+const SCISSORS = 2;
+const STAGES = ['Open', 'Joined', 'Settled', 'Cancelled'];
+
+// Fails unless the transaction reverts with the contract's require() reason
+async function assertReverts(promise, reason) {
+    await assert.rejects(promise, (error) => {
+        assert.equal(RpsClient.getRevertMessage(error, { [reason]: reason }), reason);
+        return true;
+    });
+}
+
+// Commitment hash as pvp.sol computes it
+function commitmentOf(move, salt, player) {
+    return solidityKeccak256(['uint8', 'bytes32', 'address'], [move, salt, player]);
+}
+
+describe('RockPaperScissorsPvP', () => {
+    let chain;
+    let creator;
+    let opponent;
+    let revealTimeout;
+
+    const stake = parseEther('0.5');
+    const balanceOf = address => chain.provider.getBalance(address);
+    const credited = async address => (await chain.pvpContract.balances(address)).toString();
+    const stageOf = async matchId => STAGES[(await chain.pvpContract.matches(matchId)).stage];
+    const gasCost = receipt => receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+    // Move the chain clock past the reveal deadline of matches joined before now
+    async function passDeadline() {
+        await chain.ganacheProvider.request({ method: 'evm_increaseTime', params: [revealTimeout + 1] });
+        await chain.ganacheProvider.request({ method: 'evm_mine', params: [] });
+    }
+
+    // Create a match as account 1 and join it as account 2. Resolves to the match id and both secrets.
+    async function startMatch(creatorMove, opponentMove) {
+        const creatorSalt = hexlify(randomBytes(32));
+        const opponentSalt = hexlify(randomBytes(32));
+
+        const receipt = await (await creator.createMatch(commitmentOf(creatorMove, creatorSalt, chain.accounts[1]), { value: stake })).wait();
+        const matchId = receipt.events.find(event => event.event === 'MatchCreated').args.matchId.toNumber();
+        await (await opponent.joinMatch(matchId, commitmentOf(opponentMove, opponentSalt, chain.accounts[2]), { value: stake })).wait();
+
+        return { matchId, creatorSalt, opponentSalt };
+    }
+
+    // Withdraw everything credited to a signer; resolves to the ether it received
+    async function withdrawAll(signer) {
+        const address = await signer.getAddress();
+        const before = await balanceOf(address);
+        const receipt = await (await chain.pvpContract.connect(signer).withdraw()).wait();
+        return (await balanceOf(address)).sub(before).add(gasCost(receipt)).toString();
+    }
+
+    before(async () => {
+        chain = await startChain({ pvp: true });
+        creator = chain.pvpContract.connect(chain.player);
+        opponent = chain.pvpContract.connect(chain.provider.getSigner(chain.accounts[2]));
+        revealTimeout = (await chain.pvpContract.REVEAL_TIMEOUT()).toNumber();
+    });
+
+    after(async () => {
+        await chain.stop();
+    });
+
+    it('creates, joins and cancels matches under the stake rules', async () => {
+        await assertReverts(creator.createMatch(commitmentOf(ROCK, hexlify(randomBytes(32)), chain.accounts[1])), 'Stake required');
+
+        const receipt = await (await creator.createMatch(commitmentOf(ROCK, hexlify(randomBytes(32)), chain.accounts[1]), { value: stake })).wait();
+        const created = receipt.events.find(event => event.event === 'MatchCreated').args;
+        assert.equal(created.creator, chain.accounts[1]);
+        assert.equal(created.stake.toString(), stake.toString());
+        assert.equal(await stageOf(created.matchId), 'Open');
+
+        const commitment = commitmentOf(PAPER, hexlify(randomBytes(32)), chain.accounts[2]);
+        await assertReverts(creator.joinMatch(created.matchId, commitment, { value: stake }), 'Cannot join your own match');
+        await assertReverts(opponent.joinMatch(created.matchId, commitment, { value: stake.div(2) }), 'Stake must match');
+        await assertReverts(opponent.joinMatch(99, commitment, { value: stake }), 'Match does not exist');
+        await assertReverts(opponent.cancelMatch(created.matchId), 'Only creator can cancel');
+
+        await (await creator.cancelMatch(created.matchId)).wait();
+        assert.equal(await stageOf(created.matchId), 'Cancelled');
+        assert.equal(await credited(chain.accounts[1]), stake.toString());
+        await assertReverts(opponent.joinMatch(created.matchId, commitment, { value: stake }), 'Match is not open');
+
+        assert.equal(await withdrawAll(chain.player), stake.toString());
+        assert.equal(await credited(chain.accounts[1]), '0');
+    });
+
+    it('settles a revealed match by crediting the winner the pot', async () => {
+        const { matchId, creatorSalt, opponentSalt } = await startMatch(ROCK, PAPER);
+        assert.equal(await stageOf(matchId), 'Joined');
+
+        await assertReverts(creator.reveal(matchId, PAPER, creatorSalt), 'Move does not match commitment');
+        await assertReverts(chain.pvpContract.connect(chain.owner).reveal(matchId, ROCK, creatorSalt), 'Not a player in this match');
+
+        await (await creator.reveal(matchId, ROCK, creatorSalt)).wait();
+        await assertReverts(creator.reveal(matchId, ROCK, creatorSalt), 'Already revealed');
+        assert.equal(await stageOf(matchId), 'Joined');
+
+        const receipt = await (await opponent.reveal(matchId, PAPER, opponentSalt)).wait();
+        const settled = receipt.events.find(event => event.event === 'MatchSettled').args;
+        assert.equal(settled.winner, chain.accounts[2]);
+        assert.equal(settled.payout.toString(), stake.mul(2).toString());
+        assert.equal(await stageOf(matchId), 'Settled');
+
+        // Nothing is paid out until the winner withdraws
+        assert.equal(await credited(chain.accounts[1]), '0');
+        assert.equal(await credited(chain.accounts[2]), stake.mul(2).toString());
+        assert.equal(await withdrawAll(chain.provider.getSigner(chain.accounts[2])), stake.mul(2).toString());
+        await assertReverts(opponent.withdraw(), 'Nothing to withdraw');
+    });
+
+    it('credits both stakes back on a draw', async () => {
+        const { matchId, creatorSalt, opponentSalt } = await startMatch(SCISSORS, SCISSORS);
+        await (await creator.reveal(matchId, SCISSORS, creatorSalt)).wait();
+        const receipt = await (await opponent.reveal(matchId, SCISSORS, opponentSalt)).wait();
+
+        const settled = receipt.events.find(event => event.event === 'MatchSettled').args;
+        assert.equal(settled.winner, ethers.constants.AddressZero);
+        assert.equal(await credited(chain.accounts[1]), stake.toString());
+        assert.equal(await credited(chain.accounts[2]), stake.toString());
+
+        await withdrawAll(chain.player);
+        await withdrawAll(chain.provider.getSigner(chain.accounts[2]));
+    });
+
+    it('gives the pot to the only player who revealed once the deadline passes, once', async () => {
+        const { matchId, creatorSalt } = await startMatch(PAPER, ROCK);
+        await (await creator.reveal(matchId, PAPER, creatorSalt)).wait();
+
+        await assertReverts(opponent.claimTimeout(matchId), 'Reveal deadline not reached');
+        await passDeadline();
+        await assertReverts(opponent.reveal(matchId, ROCK, hexlify(randomBytes(32))), 'Reveal deadline passed');
+
+        // Anyone may settle a timed-out match; the pot still goes to the player who revealed
+        const receipt = await (await opponent.claimTimeout(matchId)).wait();
+        const settled = receipt.events.find(event => event.event === 'MatchSettled').args;
+        assert.equal(settled.winner, chain.accounts[1]);
+        assert.equal(await credited(chain.accounts[1]), stake.mul(2).toString());
+        assert.equal(await credited(chain.accounts[2]), '0');
+
+        await assertReverts(creator.claimTimeout(matchId), 'Match is not in reveal stage');
+        assert.equal(await credited(chain.accounts[1]), stake.mul(2).toString());
+
+        assert.equal(await withdrawAll(chain.player), stake.mul(2).toString());
+    });
+
+    it('settles a match with a player that refuses ether without holding up the other one', async () => {
+        const { abi, bytecode } = compileContract('test/fixtures/pvp-reverting-player.sol', 'RevertingPvpPlayer');
+        const refuser = await new ethers.ContractFactory(abi, bytecode, chain.player).deploy(chain.pvpContract.address);
+        await refuser.deployTransaction.wait();
+
+        const salt = hexlify(randomBytes(32));
+        await (await refuser.createMatch(commitmentOf(ROCK, salt, refuser.address), { value: stake })).wait();
+        const matchId = (await chain.pvpContract.matchCount()).toNumber() - 1;
+        await (await opponent.joinMatch(matchId, commitmentOf(PAPER, hexlify(randomBytes(32)), chain.accounts[2]), { value: stake })).wait();
+
+        // Nobody reveals, so both stakes are refunded
+        await passDeadline();
+        await (await opponent.claimTimeout(matchId)).wait();
+        assert.equal(await stageOf(matchId), 'Settled');
+
+        assert.equal(await withdrawAll(chain.provider.getSigner(chain.accounts[2])), stake.toString());
+        await assertReverts(refuser.withdraw(), 'Withdrawal failed');
+        assert.equal(await credited(refuser.address), stake.toString());
+    });
+});
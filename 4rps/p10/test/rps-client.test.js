@@ -0,0 +1,295 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const RpsClient = require('../rps-client');
+const { CONTRACT_ABI, REVERT_MESSAGES } = require('../config');
+const { startChain } = require('./chain');
+const { createWallet } = require('./wallet');
+
+const { parseEther, parseUnits } = ethers.utils;
+
+// Client for the chain's player, signing through the test wallet
+async function connectClient(chain, wallet = createWallet(chain, chain.accounts[1])) {
+    const provider = new ethers.providers.Web3Provider(wallet);
+    provider.pollingInterval = 50;
+    return RpsClient.connect({ signer: provider.getSigner(), deployment: chain.deployment, abi: CONTRACT_ABI });
+}
+
+// What the contract pays back: twice the bet for a win, the bet for a draw
+function expectedPayout(round) {
+    if (round.outcome === 'win') return round.bet.mul(2);
+    if (round.outcome === 'draw') return round.bet;
+    return ethers.BigNumber.from(0);
+}
+
+describe('RpsClient', () => {
+    let chain;
+    let client;
+
+    before(async () => {
+        chain = await startChain();
+        client = await connectClient(chain);
+    });
+
+    after(async () => {
+        client.destroy();
+        await chain.stop();
+    });
+
+    it('converts between move letters and the Move enum', () => {
+        assert.deepEqual(['r', 'p', 's'].map(RpsClient.convertToMove), [0, 1, 2]);
+        assert.deepEqual([0, 1, 2].map(RpsClient.convertMoveToLetter), ['r', 'p', 's']);
+    });
+
+    it('reads balances and limits the max bet by the contract', async () => {
+        const limits = await client.refreshLimits();
+
+        assert.equal(client.address, chain.accounts[1]);
+        assert.equal(limits.minBet.toString(), parseEther('0.0001').toString());
+        assert.equal(limits.maxBet.toString(), parseEther('1').toString());
+        assert.equal(limits.maxBetReason, 'contract max bet');
+        assert.equal(limits.contractBalance.toString(), parseEther('10').toString());
+        assert.equal(limits.userBalance.toString(), (await chain.provider.getBalance(chain.accounts[1])).toString());
+    });
+
+    it('validates bets against the limits', () => {
+        assert.equal(client.checkBet(parseEther('0.01')), null);
+        assert.equal(client.checkBet(parseEther('0.00001')), 'Bet must be at least 0.0001 ETH');
+        assert.equal(client.checkBet(parseEther('2')), 'Bet cannot exceed 1.0 ETH (contract max bet)');
+    });
+
+    it('checks the total of a batch against the free bankroll', () => {
+        assert.equal(client.getBatchProblem(parseEther('1'), 10), null);
+
+        const problem = client.getBatchProblem(parseEther('0.99'), 11);
+        assert.equal(problem.code, 'totalTooLarge');
+        assert.equal(problem.reason, 'house bankroll');
+        assert.equal(problem.limit.toString(), parseEther('10').toString());
+    });
+
+    it('plays a round and reports it through events, history and balances', async () => {
+        const stages = [];
+        const sent = [];
+        const settled = [];
+        client.on('status', status => stages.push(status.stage));
+        client.on('sent', event => sent.push(event));
+        client.on('round', round => settled.push(round));
+
+        const balanceBefore = await chain.provider.getBalance(chain.accounts[1]);
+        const bet = parseEther('0.01');
+        const { hash, rounds } = await client.play('r', bet);
+
+        assert.deepEqual(stages, ['checking', 'signing', 'sent', 'confirmed']);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].method, 'play');
+        assert.equal(sent[0].hash, hash);
+        assert.deepEqual(sent[0].moves, ['r']);
+
+        assert.equal(rounds.length, 1);
+        const [round] = rounds;
+        assert.deepEqual(settled, rounds);
+        assert.equal(round.txHash, hash);
+        assert.equal(round.player, chain.accounts[1]);
+        assert.equal(round.playerMove, 0);
+        assert.equal(round.bet.toString(), bet.toString());
+        assert.equal(round.amountWon.toString(), expectedPayout(round).toString());
+        assert.equal(client.history[0], round);
+
+        // The round accounts for every wei that left or reached the wallet
+        const balanceAfter = await chain.provider.getBalance(chain.accounts[1]);
+        assert.equal(balanceAfter.toString(), balanceBefore.sub(bet).add(round.amountWon).sub(round.gasCost).toString());
+    });
+
+    it('splits value and gas of playBatch() between its rounds', async () => {
+        const bet = parseEther('0.002');
+        const { receipt, rounds } = await client.playBatch(['r', 'p', 's'], bet);
+
+        assert.equal(rounds.length, 3);
+        assert.deepEqual(rounds.map(round => round.playerMove).sort(), [0, 1, 2]);
+        rounds.forEach(round => assert.equal(round.bet.toString(), bet.toString()));
+
+        const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        assert.equal(rounds.reduce((sum, round) => sum.add(round.gasCost), ethers.BigNumber.from(0)).toString(),
+            gasCost.div(3).mul(3).toString());
+    });
+
+    it('counts the gas of both commit() and reveal() towards a commit-reveal round', async () => {
+        const game = chain.contract.connect(chain.player);
+        const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const bet = parseEther('0.003');
+
+        const balanceBefore = await chain.provider.getBalance(chain.accounts[1]);
+        const commitment = ethers.utils.solidityKeccak256(['uint8', 'bytes32'], [1, salt]);
+        await (await game.commit(commitment, { value: bet })).wait();
+        await chain.ganacheProvider.request({ method: 'evm_mine', params: [] });
+        const receipt = await (await game.reveal(1, salt)).wait();
+
+        const [round] = await client.processReceipt(receipt);
+        assert.equal(round.bet.toString(), bet.toString());
+        const balanceAfter = await chain.provider.getBalance(chain.accounts[1]);
+        assert.equal(balanceAfter.toString(), balanceBefore.sub(bet).add(round.amountWon).sub(round.gasCost).toString());
+    });
+
+    it('refunds the bet of a draw on-chain', async () => {
+        const bet = parseEther('0.001');
+        const moves = Array(10).fill('r');
+        let result;
+
+        // Ten rounds per batch: a batch without a draw is rare, five in a row practically impossible
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const balanceBefore = await chain.provider.getBalance(chain.accounts[1]);
+            result = await client.playBatch(moves, bet);
+            result.balanceBefore = balanceBefore;
+            if (result.rounds.some(round => round.outcome === 'draw')) break;
+        }
+
+        const draw = result.rounds.find(round => round.outcome === 'draw');
+        assert.ok(draw, 'no draw in 50 rounds');
+        assert.equal(draw.contractMove, draw.playerMove);
+        assert.equal(draw.playerWon, false);
+        assert.equal(draw.amountWon.toString(), bet.toString());
+
+        const paidOut = result.rounds.reduce((sum, round) => sum.add(expectedPayout(round)), ethers.BigNumber.from(0));
+        const gasCost = result.receipt.gasUsed.mul(result.receipt.effectiveGasPrice);
+        const balanceAfter = await chain.provider.getBalance(chain.accounts[1]);
+        assert.equal(balanceAfter.toString(), result.balanceBefore.sub(bet.mul(10)).add(paidOut).sub(gasCost).toString());
+    });
+
+    it('loads the history of a fresh client from the logs', async () => {
+        const fresh = await connectClient(chain);
+        const pages = [];
+        fresh.on('history', page => pages.push(page));
+
+        const complete = await fresh.loadHistory(1);
+        fresh.destroy();
+
+        assert.equal(complete, true);
+        assert.equal(pages.length, 1);
+        assert.deepEqual(fresh.history.map(round => round.txHash), client.history.map(round => round.txHash));
+    });
+
+    it('surfaces contract reverts as readable messages', async () => {
+        await assert.rejects(client.play('p', parseEther('2')), error => {
+            assert.equal(RpsClient.getRevertMessage(error, REVERT_MESSAGES), REVERT_MESSAGES['Bet too large']);
+            return true;
+        });
+    });
+
+    it('recognises a bet rejected in the wallet', async () => {
+        const wallet = createWallet(chain, chain.accounts[1]);
+        const rejecting = await connectClient(chain, wallet);
+        wallet.rejectNextTransaction();
+
+        await assert.rejects(rejecting.play('s', parseEther('0.01')), error => {
+            assert.equal(RpsClient.isUserRejection(error), true);
+            return true;
+        });
+        rejecting.destroy();
+    });
+
+    it('reports a bet the wallet cannot pay for as insufficient funds', async () => {
+        const spare = await connectClient(chain, createWallet(chain, chain.accounts[2]));
+        const balance = await chain.provider.getBalance(chain.accounts[2]);
+
+        await assert.rejects(spare.play('r', balance.add(1)), error => {
+            assert.equal(error.code, 'INSUFFICIENT_FUNDS');
+            return true;
+        });
+        spare.destroy();
+    });
+
+    it('emits rounds of every player from watchActivity()', async () => {
+        const observed = [];
+        client.on('activity', round => observed.push(round));
+        await client.watchActivity();
+
+        // Backfill covers the rounds played above
+        assert.equal(observed.length, client.history.length);
+
+        const other = await connectClient(chain, createWallet(chain, chain.accounts[2]));
+        const { rounds } = await other.play('p', parseEther('0.01'));
+        other.destroy();
+
+        const start = Date.now();
+        while (!observed.some(round => round.txHash === rounds[0].txHash) && Date.now() - start < 5000) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        client.unwatchActivity();
+        assert.ok(observed.some(round => round.txHash === rounds[0].txHash && round.player === chain.accounts[2]));
+    });
+
+    it('does not credit a round with a commit() mined after its reveal() in the same block', async () => {
+        const game = chain.contract.connect(chain.provider.getSigner(chain.accounts[2]));
+        const mine = () => chain.ganacheProvider.request({ method: 'evm_mine', params: [] });
+        const commitMove = async (move, salt, gasPrice) => {
+            const commitment = ethers.utils.solidityKeccak256(['uint8', 'bytes32'], [move, salt]);
+            return game.commit(commitment, { value: parseEther('0.003'), gasLimit: 200000, gasPrice });
+        };
+        const salt = ethers.utils.randomBytes(32);
+
+        const commitReceipt = await (await commitMove(1, salt, parseUnits('1', 'gwei'))).wait();
+        await mine();
+
+        // reveal() and a new commit() at a different gas price, mined in one block
+        await chain.ganacheProvider.request({ method: 'miner_stop', params: [] });
+        const revealTx = await game.reveal(1, salt, { gasLimit: 200000, gasPrice: parseUnits('1', 'gwei') });
+        await commitMove(2, ethers.utils.randomBytes(32), parseUnits('3', 'gwei'));
+        await chain.ganacheProvider.request({ method: 'miner_start', params: [] });
+        const receipt = await revealTx.wait();
+
+        const spare = await connectClient(chain, createWallet(chain, chain.accounts[2]));
+        const [round] = await spare.processReceipt(receipt);
+        spare.destroy();
+        const revealCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        const commitCost = commitReceipt.gasUsed.mul(commitReceipt.effectiveGasPrice);
+        assert.equal(round.gasCost.toString(), revealCost.add(commitCost).toString());
+
+        // Take back the second bet so it does not stay locked
+        await (await game.cancelCommit({ gasLimit: 200000 })).wait();
+    });
+});
+
+describe('RpsClient on a deployment from before draws were refunded', () => {
+    let chain;
+    let client;
+
+    before(async () => {
+        chain = await startChain({ legacy: true });
+        client = await connectClient(chain);
+    });
+
+    after(async () => {
+        client.destroy();
+        await chain.stop();
+    });
+
+    it('decodes legacy GamePlayed rounds, with draws that kept the bet', async () => {
+        const bet = parseEther('0.01');
+        const game = chain.contract.connect(chain.player);
+
+        // A third of the rounds are draws. The gas limit is fixed: the estimate depends on the random outcome
+        for (let attempt = 0; attempt < 30; attempt++) {
+            const receipt = await (await game.play(2, { value: bet, gasLimit: 100000 })).wait();
+            if (receipt.events[0].args.playerMove === receipt.events[0].args.contractMove) break;
+        }
+
+        await client.loadHistory(1);
+        const draw = client.history.find(round => round.outcome === 'draw');
+
+        assert.ok(draw, 'no draw in 30 rounds');
+        assert.equal(draw.playerMove, 2);
+        assert.equal(draw.playerWon, false);
+        assert.equal(draw.bet.toString(), bet.toString());
+        assert.equal(draw.amountWon.toString(), '0');
+        client.history.forEach(round => assert.equal(round.bet.toString(), bet.toString()));
+    });
+
+    it('plays rounds through the legacy play()', async () => {
+        const { rounds } = await client.play('p', parseEther('0.01'));
+
+        assert.equal(rounds.length, 1);
+        assert.equal(rounds[0].playerMove, 1);
+        assert.equal(rounds[0].amountWon.toString(), rounds[0].outcome === 'win' ? parseEther('0.02').toString() : '0');
+    });
+});
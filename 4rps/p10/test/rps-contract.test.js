@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const RpsClient = require('../rps-client');
+const { startChain } = require('./chain');
+
+const { parseEther, solidityKeccak256, hexlify, randomBytes } = ethers.utils;
+
+const OUTCOMES = ['lose', 'win', 'draw'];
+
+// Fails unless the transaction reverts with the contract's require() reason
+async function assertReverts(promise, reason) {
+    await assert.rejects(promise, (error) => {
+        assert.equal(RpsClient.getRevertMessage(error, { [reason]: reason }), reason);
+        return true;
+    });
+}
+
+function commitmentOf(move, salt) {
+    return solidityKeccak256(['uint8', 'bytes32'], [move, salt]);
+}
+
+describe('RockPaperScissors commit-reveal', () => {
+    let chain;
+    let game;
+    let revealWindow;
+
+    const mine = blocks => chain.ganacheProvider.request({ method: 'evm_mine', params: [{ blocks }] });
+    const lockedFunds = async () => (await chain.contract.lockedFunds()).toString();
+    const balanceOf = address => chain.provider.getBalance(address);
+
+    // Ether a receipt's transaction spent on gas
+    const gasCost = receipt => receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+    // Commit a move, wait for the block that decides the contract move and reveal it.
+    // Resolves to the GameSettled event, the contract move worked out off-chain and the
+    // player's balance change over the reveal (gas included).
+    async function commitAndReveal(move, bet) {
+        const salt = hexlify(randomBytes(32));
+        const commitReceipt = await (await game.commit(commitmentOf(move, salt), { value: bet })).wait();
+        assert.equal(await lockedFunds(), bet.mul(2).toString());
+
+        // reveal() needs the block after the commit to be mined
+        await mine(1);
+        const decidingBlock = await chain.provider.getBlock(commitReceipt.blockNumber + 1);
+        const contractMove = ethers.BigNumber.from(solidityKeccak256(['bytes32', 'bytes32'], [decidingBlock.hash, salt])).mod(3).toNumber();
+
+        const balanceBefore = await balanceOf(chain.accounts[1]);
+        const receipt = await (await game.reveal(move, salt)).wait();
+        const change = (await balanceOf(chain.accounts[1])).sub(balanceBefore).add(gasCost(receipt));
+
+        const settled = receipt.events.find(event => event.event === 'GameSettled');
+        return { settled: settled.args, contractMove, change };
+    }
+
+    before(async () => {
+        chain = await startChain();
+        game = chain.contract.connect(chain.player);
+        revealWindow = (await chain.contract.REVEAL_WINDOW()).toNumber();
+    });
+
+    after(async () => {
+        await chain.stop();
+    });
+
+    it('settles revealed rounds as wins, losses and draws with their payouts', async () => {
+        const bet = parseEther('0.1');
+        const seen = new Set();
+
+        // The contract move comes from a future block hash, so play until every outcome came up
+        for (let attempt = 0; attempt < 30 && seen.size < 3; attempt++) {
+            const { settled, contractMove, change } = await commitAndReveal(0, bet);
+            const outcome = OUTCOMES[settled.outcome];
+            seen.add(outcome);
+
+            assert.equal(settled.contractMove, contractMove);
+            assert.equal(outcome, contractMove === 2 ? 'win' : contractMove === 1 ? 'lose' : 'draw');
+            assert.equal(settled.bet.toString(), bet.toString());
+
+            const payout = { win: bet.mul(2), draw: bet, lose: ethers.BigNumber.from(0) }[outcome];
+            assert.equal(settled.payout.toString(), payout.toString());
+            assert.equal(change.toString(), payout.toString());
+            assert.equal(await lockedFunds(), '0');
+            assert.equal((await chain.contract.commitments(chain.accounts[1])).blockNumber.toString(), '0');
+        }
+
+        assert.deepEqual([...seen].sort(), ['draw', 'lose', 'win'], 'not every outcome came up in 30 rounds');
+    });
+
+    it('refuses a reveal with another salt or move, and a second open commitment', async () => {
+        const salt = hexlify(randomBytes(32));
+        const bet = parseEther('0.01');
+        await (await game.commit(commitmentOf(1, salt), { value: bet })).wait();
+
+        await assertReverts(game.commit(commitmentOf(1, salt), { value: bet }), 'Commitment already open');
+        await assertReverts(game.reveal(1, salt), 'Contract move not determined yet');
+        await mine(1);
+        await assertReverts(game.reveal(1, hexlify(randomBytes(32))), 'Move does not match commitment');
+        await assertReverts(game.reveal(2, salt), 'Move does not match commitment');
+
+        await (await game.reveal(1, salt)).wait();
+        assert.equal(await lockedFunds(), '0');
+    });
+
+    it('refunds a commitment cancelled before the contract move is decided', async () => {
+        const bet = parseEther('0.2');
+        await (await game.commit(commitmentOf(2, hexlify(randomBytes(32))), { value: bet })).wait();
+
+        const balanceBefore = await balanceOf(chain.accounts[1]);
+        const receipt = await (await game.cancelCommit()).wait();
+
+        assert.equal(receipt.events[0].event, 'CommitCancelled');
+        assert.equal(receipt.events[0].args.refund.toString(), bet.toString());
+        assert.equal((await balanceOf(chain.accounts[1])).sub(balanceBefore).add(gasCost(receipt)).toString(), bet.toString());
+        assert.equal(await lockedFunds(), '0');
+        await assertReverts(game.cancelCommit(), 'No open commitment');
+    });
+
+    it('refuses to cancel once the contract move is decided', async () => {
+        const salt = hexlify(randomBytes(32));
+        await (await game.commit(commitmentOf(0, salt), { value: parseEther('0.01') })).wait();
+        await mine(1);
+
+        await assertReverts(game.cancelCommit(), 'Contract move already determined');
+        await (await game.reveal(0, salt)).wait();
+    });
+
+    it('forfeits an unrevealed commitment to the house after the reveal window', async () => {
+        const salt = hexlify(randomBytes(32));
+        const bet = parseEther('0.3');
+        const { blockNumber } = await (await game.commit(commitmentOf(1, salt), { value: bet })).wait();
+        const house = chain.contract.connect(chain.owner);
+
+        await assertReverts(house.forfeit(chain.accounts[1]), 'Reveal window still open');
+
+        // The last block a reveal fits in is blockNumber + REVEAL_WINDOW
+        const current = await chain.provider.getBlockNumber();
+        await mine(blockNumber + revealWindow - current);
+        await assertReverts(game.reveal(1, salt), 'Reveal window expired');
+
+        const balanceBefore = await balanceOf(chain.contract.address);
+        const receipt = await (await house.forfeit(chain.accounts[1])).wait();
+
+        assert.equal(receipt.events[0].event, 'CommitForfeited');
+        assert.equal(receipt.events[0].args.player, chain.accounts[1]);
+        assert.equal(receipt.events[0].args.bet.toString(), bet.toString());
+        assert.equal((await balanceOf(chain.contract.address)).toString(), balanceBefore.toString());
+        assert.equal(await lockedFunds(), '0');
+        await assertReverts(house.forfeit(chain.accounts[1]), 'No open commitment');
+    });
+
+    it('keeps funds locked for open commitments out of withdraw()', async () => {
+        const bet = parseEther('1');
+        const salt = hexlify(randomBytes(32));
+        await (await game.commit(commitmentOf(0, salt), { value: bet })).wait();
+
+        const house = chain.contract.connect(chain.owner);
+        const free = (await balanceOf(chain.contract.address)).sub(await chain.contract.lockedFunds());
+
+        await assertReverts(house.withdraw(free.add(1)), 'Funds locked for open commitments');
+        await assertReverts(game.withdraw(1), 'Only owner can withdraw');
+
+        await (await house.withdraw(free)).wait();
+        assert.equal((await balanceOf(chain.contract.address)).toString(), bet.mul(2).toString());
+
+        // What is left still pays the open round, even a win
+        const receipt = await (await game.reveal(0, salt)).wait();
+        const { payout } = receipt.events.find(event => event.event === 'GameSettled').args;
+        assert.equal((await balanceOf(chain.contract.address)).toString(), bet.mul(2).sub(payout).toString());
+        assert.equal(await lockedFunds(), '0');
+    });
+});
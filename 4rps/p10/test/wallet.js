@@ -0,0 +1,44 @@
+// Stand-in for MetaMask's window.ethereum: an EIP-1193 provider that forwards to the local
+// chain as one account and can reject the next transaction the way MetaMask does.
+
+function createWallet(chain, address) {
+    const listeners = {};
+    let rejectNext = false;
+
+    return {
+        isMetaMask: true,
+
+        // The user clicks "Reject" on the next transaction prompt
+        rejectNextTransaction() {
+            rejectNext = true;
+        },
+
+        async request({ method, params }) {
+            if (method === 'eth_requestAccounts' || method === 'eth_accounts') return [address];
+
+            if (method === 'eth_sendTransaction' && rejectNext) {
+                rejectNext = false;
+                const error = new Error('MetaMask Tx Signature: User denied transaction signature.');
+                error.code = 4001;
+                throw error;
+            }
+
+            return chain.ganacheProvider.request({ method, params });
+        },
+
+        on(event, listener) {
+            (listeners[event] = listeners[event] || []).push(listener);
+        },
+
+        removeListener(event, listener) {
+            listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+        },
+
+        // Fire a wallet event such as accountsChanged
+        emit(event, ...args) {
+            (listeners[event] || []).forEach(listener => listener(...args));
+        }
+    };
+}
+
+module.exports = { createWallet };
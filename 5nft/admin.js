@@ -0,0 +1,345 @@
+// Issuance console for the contract owner (registrar staff), in place of running the owner
+// functions from Remix: issue a certificate to one graduate (ownerMint), bulk issue from a CSV
+// of addresses (mintBatch, CONFIG.MINT_BATCH_SIZE recipients per transaction), change the
+// metadata base URI and withdraw mint fees. The section only shows while the connected account
+// is the contract's owner(); the contract enforces onlyOwner either way.
+
+let isContractOwner = false;
+let adminBusy = false;
+let adminBaseURI = null;
+let adminBalance = null;
+// Recipients of the bulk issue: { line, address, status, reason, txHash }, status being ready,
+// issuing, issued, failed, invalid or duplicate
+let bulkRows = [];
+
+function initAdmin() {
+    document.getElementById('ownerMintForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        issueCertificate();
+    });
+    document.getElementById('baseURIForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        updateBaseURI();
+    });
+    document.getElementById('withdrawBtn').addEventListener('click', withdrawFees);
+    document.getElementById('bulkInput').addEventListener('input', readBulkInput);
+    document.getElementById('bulkFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        document.getElementById('bulkInput').value = await file.text();
+        e.target.value = '';
+        readBulkInput();
+    });
+    document.getElementById('bulkIssueBtn').addEventListener('click', issueBulk);
+}
+
+// Show the console to the contract owner, after connecting or switching accounts
+async function updateAdminSection() {
+    try {
+        const owner = await contract.methods.owner().call();
+        isContractOwner = owner.toLowerCase() === userAccount.toLowerCase();
+    } catch (error) {
+        console.error('Error reading the contract owner:', error);
+        isContractOwner = false;
+    }
+
+    document.getElementById('adminSection').classList.toggle('hidden', !isContractOwner);
+    if (isContractOwner) await refreshAdminState();
+}
+
+async function refreshAdminState() {
+    try {
+        const [baseURI, balance] = await Promise.all([
+            contract.methods.baseURI().call(),
+            web3.eth.getBalance(CONFIG.CONTRACT_ADDRESS)
+        ]);
+        adminBaseURI = baseURI;
+        adminBalance = web3.utils.fromWei(balance, 'ether');
+    } catch (error) {
+        console.error('Error reading the contract state:', error);
+    }
+    renderAdminSection();
+}
+
+function renderAdminSection() {
+    if (!isContractOwner) return;
+
+    const unknown = t('nft.verify.unavailable');
+    document.getElementById('currentBaseURI').textContent = adminBaseURI ?? unknown;
+    document.getElementById('contractBalance').textContent = t('nft.admin.balance', {
+        amount: adminBalance === null ? unknown : I18n.formatAmount(adminBalance, 'ETH')
+    });
+
+    const pending = bulkRows.filter(row => row.status === 'ready' || row.status === 'failed').length;
+    document.getElementById('bulkIssueBtn').textContent = adminBusy && bulkRows.some(row => row.status === 'issuing')
+        ? t('nft.admin.bulkIssuing')
+        : t('nft.admin.bulkButton', { count: pending });
+    document.getElementById('bulkIssueBtn').disabled = adminBusy || pending === 0;
+    document.getElementById('withdrawBtn').disabled = adminBusy || !(Number(adminBalance) > 0);
+    document.getElementById('bulkInput').disabled = adminBusy;
+    document.getElementById('bulkFile').disabled = adminBusy;
+    document.querySelectorAll('#ownerMintForm button, #baseURIForm button').forEach((button) => {
+        button.disabled = adminBusy;
+    });
+
+    renderBulkRows();
+}
+
+// Summary, progress bar and per-row status of the bulk issue
+function renderBulkRows() {
+    const count = status => bulkRows.filter(row => row.status === status).length;
+    const counts = {
+        ready: count('ready'),
+        issued: count('issued'),
+        failed: count('failed'),
+        skipped: count('invalid') + count('duplicate')
+    };
+    const total = bulkRows.length - counts.skipped;
+    const progress = document.getElementById('bulkProgress');
+
+    document.getElementById('bulkSummary').textContent = bulkRows.length > 0 ? t('nft.admin.bulkSummary', counts) : '';
+    progress.classList.toggle('hidden', counts.issued + counts.failed + count('issuing') === 0);
+    progress.max = Math.max(total, 1);
+    progress.value = counts.issued + counts.failed;
+
+    document.getElementById('bulkRows').innerHTML = bulkRows.length === 0 ? '' : `
+        <table class="bulk-table">
+            <thead>
+                <tr>
+                    <th>${t('nft.admin.row.line')}</th>
+                    <th>${t('nft.admin.row.address')}</th>
+                    <th>${t('nft.admin.row.status')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${bulkRows.map(row => `
+                    <tr class="bulk-${row.status}">
+                        <td>${row.line}</td>
+                        <td class="bulk-address">${escapeHtml(row.address)}</td>
+                        <td>${renderRowStatus(row)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Addresses are whatever was pasted or uploaded, and reasons are error messages: both are escaped
+function renderRowStatus(row) {
+    const status = t(`nft.admin.status.${row.status}`, { reason: escapeHtml(row.reason) });
+    const txUrl = row.txHash && getTxUrl(row.txHash);
+    return txUrl ? `<a href="${escapeHtml(txUrl)}" target="_blank" rel="noopener">${status}</a>` : status;
+}
+
+function readBulkInput() {
+    bulkRows = parseRecipients(document.getElementById('bulkInput').value);
+    renderAdminSection();
+}
+
+// Rows of a pasted or uploaded CSV. The first address on a line is the recipient and other
+// columns are ignored; lines before the first address (a header) are skipped.
+function parseRecipients(text) {
+    const seen = new Set();
+    const rows = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const cells = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        if (cells.every(cell => cell === '')) return;
+
+        const address = cells.find(cell => /^0x/i.test(cell)) || cells[0];
+        if (rows.length === 0 && !/^0x/i.test(address)) return;
+
+        let status = 'ready';
+        if (!web3.utils.isAddress(address)) {
+            status = 'invalid';
+        } else if (seen.has(address.toLowerCase())) {
+            status = 'duplicate';
+        }
+        seen.add(address.toLowerCase());
+        rows.push({ line: index + 1, address, status, reason: null, txHash: null });
+    });
+    return rows;
+}
+
+// Issue certificates to the ready rows, and again to the failed ones, a batch at a time
+async function issueBulk() {
+    const rows = bulkRows.filter(row => row.status === 'ready' || row.status === 'failed');
+    if (rows.length === 0) return;
+
+    adminBusy = true;
+    renderAdminSection();
+
+    try {
+        const [totalSupply, maxSupply] = await Promise.all([
+            contract.methods.totalSupply().call(),
+            contract.methods.maxSupply().call()
+        ]);
+        const room = Math.max(Number(maxSupply - totalSupply), 0);
+        rows.slice(room).forEach(row => failRow(row, t('nft.admin.supplyReached')));
+
+        const batches = [];
+        for (let i = 0; i < Math.min(room, rows.length); i += CONFIG.MINT_BATCH_SIZE) {
+            batches.push(rows.slice(i, Math.min(i + CONFIG.MINT_BATCH_SIZE, room)));
+        }
+
+        for (const [index, batch] of batches.entries()) {
+            if (!await issueBatch(batch, index, batches.length)) break;
+        }
+
+        const issued = rows.filter(row => row.status === 'issued').length;
+        const failed = rows.filter(row => row.status === 'failed').length;
+        if (failed > 0) {
+            Notify.error(t('nft.admin.bulkDone', { issued, failed }));
+        } else {
+            Notify.success(t('nft.admin.bulkDone', { issued, failed }));
+        }
+
+        await syncGalleryEvents();
+    } catch (error) {
+        console.error('Error issuing certificates:', error);
+        Notify.error(t('nft.admin.bulkFailed', { error: getErrorReason(error) }));
+    }
+
+    rows.filter(row => row.status === 'issuing').forEach(row => { row.status = 'ready'; });
+    adminBusy = false;
+    renderAdminSection();
+}
+
+// One mintBatch transaction. If simulating it reverts, each recipient is simulated on its own
+// through ownerMint, and the ones that would revert fail with their reason instead of taking
+// the batch down. Resolves to false when the run should stop (the owner rejected a signature).
+async function issueBatch(rows, index, count) {
+    rows.forEach((row) => {
+        row.status = 'issuing';
+        row.reason = null;
+    });
+    renderBulkRows();
+
+    let recipients = rows;
+    const batchError = await simulateMint('mintBatch', rows.map(row => row.address));
+    if (batchError) {
+        recipients = [];
+        for (const row of rows) {
+            const rowError = await simulateMint('ownerMint', row.address);
+            if (rowError) {
+                failRow(row, getErrorReason(rowError));
+            } else {
+                recipients.push(row);
+            }
+        }
+        // Every recipient is fine alone, so the batch as a whole is the problem
+        if (recipients.length === rows.length) {
+            rows.forEach(row => failRow(row, getErrorReason(batchError)));
+            return true;
+        }
+    }
+    renderBulkRows();
+    if (recipients.length === 0) return true;
+
+    const transaction = Notify.transaction(t('nft.tx.bulk', { index: index + 1, count }), { txUrl: getTxUrl });
+    try {
+        transaction.signing();
+        await contract.methods.mintBatch(recipients.map(row => row.address)).send({ from: userAccount })
+            .on('transactionHash', (hash) => {
+                transaction.submitted(hash);
+                recipients.forEach((row) => { row.txHash = hash; });
+            });
+
+        transaction.confirmed(t('nft.admin.batchIssued', { count: recipients.length }));
+        recipients.forEach((row) => { row.status = 'issued'; });
+        return true;
+    } catch (error) {
+        console.error(`Error issuing batch ${index + 1}:`, error);
+        const reason = getErrorReason(error);
+        transaction.failed(reason);
+        recipients.forEach(row => failRow(row, reason));
+        return !isRejectedError(error);
+    } finally {
+        renderBulkRows();
+    }
+}
+
+// Revert error of a mint as the owner would send it, or null if it would go through
+async function simulateMint(method, recipients) {
+    try {
+        await contract.methods[method](recipients).call({ from: userAccount });
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+function failRow(row, reason) {
+    row.status = 'failed';
+    row.reason = reason;
+}
+
+// Run one owner transaction with a toast, keeping the console disabled meanwhile. Resolves to
+// whether it was confirmed.
+async function sendAdminTransaction(label, method, successMessage) {
+    const transaction = Notify.transaction(label, { txUrl: getTxUrl });
+    adminBusy = true;
+    renderAdminSection();
+
+    try {
+        // Simulate first so a revert shows before the wallet prompt
+        await method.call({ from: userAccount });
+
+        transaction.signing();
+        await method.send({ from: userAccount })
+            .on('transactionHash', (hash) => transaction.submitted(hash));
+
+        transaction.confirmed(successMessage);
+        return true;
+    } catch (error) {
+        console.error(`Error in ${label}:`, error);
+        transaction.failed(getErrorReason(error));
+        return false;
+    } finally {
+        adminBusy = false;
+        renderAdminSection();
+    }
+}
+
+async function issueCertificate() {
+    const input = document.getElementById('ownerMintAddress');
+    const address = input.value.trim();
+
+    if (!web3.utils.isAddress(address)) {
+        Notify.error(t('nft.admin.invalidAddress', { address }));
+        return;
+    }
+
+    const confirmed = await sendAdminTransaction(t('nft.tx.ownerMint'), contract.methods.ownerMint(address),
+        t('nft.admin.minted', { address: formatAddress(address) }));
+    if (confirmed) {
+        input.value = '';
+        await syncGalleryEvents();
+    }
+}
+
+async function updateBaseURI() {
+    const input = document.getElementById('baseURIInput');
+    const baseURI = input.value.trim();
+
+    // Token URIs are the base URI followed by "<id>.json"
+    if (!baseURI.endsWith('/')) {
+        Notify.error(t('nft.admin.baseURISlash'));
+        return;
+    }
+
+    const confirmed = await sendAdminTransaction(t('nft.tx.baseURI'), contract.methods.changeBaseURI(baseURI),
+        t('nft.admin.baseURIChanged'));
+    if (confirmed) {
+        input.value = '';
+        await refreshAdminState();
+        // Every token URI changed, and the metadata cache goes with the old base URI
+        await loadAllNFTs();
+    }
+}
+
+async function withdrawFees() {
+    const confirmed = await sendAdminTransaction(t('nft.tx.withdraw'), contract.methods.withdraw(),
+        t('nft.admin.withdrawn'));
+    if (confirmed) await refreshAdminState();
+}
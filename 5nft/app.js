@@ -4,13 +4,52 @@ let contract;
 let userAccount;
 let allNFTs = [];
 let filteredNFTs = [];
+let mintCost = '0.001';
+let minting = false;
+
+// Page text comes from the shared message catalog (shared/i18n.js)
+const t = I18n.t;
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
+    I18n.init(document.getElementById('languageSelect'));
+    I18n.onChange(renderLocaleTexts);
+    renderMintSection();
     initializeEventListeners();
+    initProfile();
+    initVerify();
+    initAdmin();
     checkWalletConnection();
 });
 
+// Re-render the dynamic text after a language switch
+function renderLocaleTexts() {
+    renderMintSection();
+    // Every card has text in the old language
+    document.getElementById('nftGallery').innerHTML = '';
+    renderGallery();
+    renderProfile();
+    renderVerification();
+    renderAdminSection();
+}
+
+// Mint cost line and mint button label
+function renderMintSection() {
+    document.getElementById('mintCost').textContent = t('nft.mint.cost', { amount: I18n.formatAmount(mintCost, 'ETH') });
+    document.getElementById('mintBtn').textContent = minting ? t('nft.mint.minting') : t('nft.mint.button');
+}
+
+// Label of a metadata trait in the current language; unknown traits keep their own name
+function getTraitLabel(traitType) {
+    const key = `nft.trait.${traitType}`;
+    return t(key) === key ? traitType : t(key);
+}
+
+// Display value of a trait; years are formatted for the current language
+function formatTraitValue(traitType, value) {
+    return traitType === 'Year' ? I18n.formatYear(value) : value;
+}
+
 // Initialize all event listeners
 function initializeEventListeners() {
     document.getElementById('connectWallet').addEventListener('click', connectWallet);
@@ -22,7 +61,20 @@ function initializeEventListeners() {
     document.getElementById('programFilter').addEventListener('change', applyFilters);
     document.getElementById('gradeFilter').addEventListener('change', applyFilters);
     document.getElementById('typeFilter').addEventListener('change', applyFilters);
+    document.getElementById('ownerFilter').addEventListener('change', (e) => {
+        document.getElementById('ownerAddressInput').classList.toggle('hidden', e.target.value !== 'address');
+        applyFilters();
+    });
+    document.getElementById('ownerAddressInput').addEventListener('input', applyFilters);
     document.getElementById('resetFilters').addEventListener('click', resetFilters);
+    document.getElementById('showMoreBtn').addEventListener('click', showMore);
+    
+    // Infinite scroll: load the next page once the end of the gallery comes into view
+    if ('IntersectionObserver' in window) {
+        new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) showMore();
+        }, { rootMargin: '200px' }).observe(document.getElementById('galleryMore'));
+    }
     
     // Debug buttons
     document.getElementById('debugBtn').addEventListener('click', showDebugInfo);
@@ -30,7 +82,7 @@ function initializeEventListeners() {
         if (contract) {
             loadAllNFTs();
         } else {
-            alert('Please connect wallet first!');
+            Notify.error(t('nft.error.connectFirst'));
         }
     });
     
@@ -58,7 +110,7 @@ async function checkWalletConnection() {
 // Connect to MetaMask wallet
 async function connectWallet() {
     if (typeof window.ethereum === 'undefined') {
-        alert('Please install MetaMask to use this DApp!');
+        Notify.error(t('nft.error.installMetaMask'));
         return;
     }
 
@@ -74,12 +126,17 @@ async function connectWallet() {
         
         // Initialize contract
         contract = new web3.eth.Contract(CONFIG.CONTRACT_ABI, CONFIG.CONTRACT_ADDRESS);
+        multicall = null;
         
         // Update UI
         updateWalletUI();
+        mintCost = web3.utils.fromWei(await contract.methods.cost().call(), 'ether');
+        renderMintSection();
         
-        // Load NFTs
+        // Load NFTs, then follow new mints and transfers
         await loadAllNFTs();
+        startEventWatcher();
+        showProfileRoute();
         
         // Enable mint button
         document.getElementById('mintBtn').disabled = false;
@@ -91,7 +148,7 @@ async function connectWallet() {
         showLoading(false);
     } catch (error) {
         console.error('Error connecting wallet:', error);
-        alert('Failed to connect wallet: ' + error.message);
+        Notify.error(t('nft.error.connectFailed', { error: error.message }));
         showLoading(false);
     }
 }
@@ -115,129 +172,233 @@ async function updateWalletUI() {
     
     const shortAddress = `${userAccount.slice(0, 6)}...${userAccount.slice(-4)}`;
     document.getElementById('walletAddress').textContent = shortAddress;
+    document.getElementById('myCertificatesLink').href = getProfileUrl(userAccount);
     
+    await Promise.all([updateUserTokenCount(), updateAdminSection()]);
+}
+
+// Number of certificates the connected account holds
+async function updateUserTokenCount() {
     try {
         const userTokens = await contract.methods.getAllTokensOfOwner(userAccount).call();
-        document.getElementById('userTokenCount').textContent = userTokens.length;
+        document.getElementById('userTokenCount').textContent = I18n.formatNumber(userTokens.length);
     } catch (error) {
         console.error('Error getting user tokens:', error);
         document.getElementById('userTokenCount').textContent = '0';
     }
 }
 
-// Load all NFTs from the contract
+// Multicall3 aggregate3(): many calls in one eth_call, each allowed to fail on its own
+const MULTICALL_ABI = [{
+    inputs: [{
+        components: [
+            { internalType: 'address', name: 'target', type: 'address' },
+            { internalType: 'bool', name: 'allowFailure', type: 'bool' },
+            { internalType: 'bytes', name: 'callData', type: 'bytes' }
+        ],
+        internalType: 'struct Multicall3.Call3[]',
+        name: 'calls',
+        type: 'tuple[]'
+    }],
+    name: 'aggregate3',
+    outputs: [{
+        components: [
+            { internalType: 'bool', name: 'success', type: 'bool' },
+            { internalType: 'bytes', name: 'returnData', type: 'bytes' }
+        ],
+        internalType: 'struct Multicall3.Result[]',
+        name: 'returnData',
+        type: 'tuple[]'
+    }],
+    stateMutability: 'payable',
+    type: 'function'
+}];
+
+// Milliseconds between gallery refreshes while metadata streams in
+const RENDER_INTERVAL = 200;
+
+let multicall = null;
+let loadGeneration = 0;
+let galleryLoading = false;
+let renderTimer = null;
+let visibleCount = CONFIG.PAGE_SIZE;
+
+// Run task over items with at most `limit` running at once; results keep the items' order
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Multicall3 contract if the connected chain has it, else null (checked once per connection)
+async function getMulticall() {
+    if (multicall === null) {
+        const code = await web3.eth.getCode(CONFIG.MULTICALL_ADDRESS);
+        multicall = code && code !== '0x'
+            ? new web3.eth.Contract(MULTICALL_ABI, CONFIG.MULTICALL_ADDRESS)
+            : false;
+        console.log(multicall ? '📦 Batching reads through Multicall3' : '📦 No Multicall3 on this chain, reading in parallel');
+    }
+    return multicall;
+}
+
+// Call a view function of the certificate contract once per argument list, in batches.
+// outputType is the ABI type of its single return value; a call that fails gives null.
+async function readMany(method, argsList, outputType) {
+    const batcher = await getMulticall();
+    
+    if (!batcher) {
+        return mapWithConcurrency(argsList, CONFIG.METADATA_CONCURRENCY, args =>
+            contract.methods[method](...args).call().catch(() => null));
+    }
+    
+    const results = [];
+    for (let i = 0; i < argsList.length; i += CONFIG.READ_BATCH_SIZE) {
+        const calls = argsList.slice(i, i + CONFIG.READ_BATCH_SIZE).map(args => ({
+            target: CONFIG.CONTRACT_ADDRESS,
+            allowFailure: true,
+            callData: contract.methods[method](...args).encodeABI()
+        }));
+        const responses = await batcher.methods.aggregate3(calls).call();
+        results.push(...responses.map(response => (response.success
+            ? web3.eth.abi.decodeParameter(outputType, response.returnData)
+            : null)));
+    }
+    return results;
+}
+
+// Metadata of one token from the cache, else from IPFS (then cached)
+async function loadNFT(tokenId, tokenURI) {
+    const cached = await getCachedMetadata(tokenId, tokenURI);
+    // Entries cached before integrity checks existed are fetched again
+    if (cached?.integrity) return { tokenId, ...cached };
+    
+    console.log(`🔍 Loading NFT #${tokenId}, URI:`, tokenURI);
+    const metadata = tokenURI ? await fetchMetadata(tokenURI) : null;
+    
+    if (metadata) {
+        console.log(`✅ NFT #${tokenId} loaded:`, metadata.name);
+        // A tampered copy is not kept: another gateway may serve the real file next time
+        if (metadata.integrity.status !== 'tampered') await putCachedMetadata(tokenId, tokenURI, metadata);
+        return { tokenId, ...metadata };
+    }
+    
+    console.warn(`⚠️ Failed to load metadata for NFT #${tokenId}`);
+    // Even if metadata fails, add a placeholder flagged as missing; it is not cached, so the next load retries it
+    return {
+        tokenId,
+        name: null,
+        description: null,
+        image: null,
+        attributes: [],
+        integrity: { status: 'missing', problems: [] }
+    };
+}
+
+// Load all NFTs from the contract: IDs and URIs in batched reads, then metadata a few at a time,
+// rendering the gallery as it arrives. A newer call supersedes a running one.
 async function loadAllNFTs() {
+    const generation = ++loadGeneration;
+    
     try {
+        galleryLoading = true;
         showLoading(true);
         
-        // Get total supply
-        const totalSupply = await contract.methods.totalSupply().call();
-        const maxSupply = await contract.methods.maxSupply().call();
+        // Block first, before any read: events after it are applied on top of what is read here
+        const blockNumber = await web3.eth.getBlockNumber();
+        const [totalSupply, maxSupply, baseURI] = await Promise.all([
+            contract.methods.totalSupply().call(),
+            contract.methods.maxSupply().call(),
+            contract.methods.baseURI().call()
+        ]);
         
         console.log('📊 Total Supply:', totalSupply, 'Max Supply:', maxSupply);
         
         // Update stats
-        document.getElementById('totalSupply').textContent = totalSupply;
-        document.getElementById('maxSupply').textContent = maxSupply;
+        document.getElementById('totalSupply').textContent = I18n.formatNumber(totalSupply);
+        document.getElementById('maxSupply').textContent = I18n.formatNumber(maxSupply);
         
+        await syncCachedBaseURI(baseURI);
+        
+        const indexes = Array.from({ length: Number(totalSupply) }, (_, i) => [i]);
+        const tokenIds = (await readMany('tokenByIndex', indexes, 'uint256'))
+            .filter(tokenId => tokenId !== null)
+            .map(tokenId => tokenId.toString());
+        const tokenArgs = tokenIds.map(tokenId => [tokenId]);
+        const tokenURIs = await readMany('tokenURI', tokenArgs, 'string');
+        const owners = await readMany('ownerOf', tokenArgs, 'address');
+        if (generation !== loadGeneration) return;
+        
+        const loaded = new Array(tokenIds.length);
+        let loadedCount = 0;
+        updateLoadingProgress(0, tokenIds.length);
         allNFTs = [];
+        visibleCount = CONFIG.PAGE_SIZE;
+        renderGallery();
         
-        // Load all NFTs
-        for (let i = 0; i < totalSupply; i++) {
-            try {
-                const tokenId = await contract.methods.tokenByIndex(i).call();
-                const tokenURI = await contract.methods.tokenURI(tokenId).call();
-                
-                console.log(`🔍 Loading NFT #${tokenId}, URI:`, tokenURI);
-                
-                // Fetch metadata
-                const metadata = await fetchMetadata(tokenURI);
-                
-                if (metadata) {
-                    console.log(`✅ NFT #${tokenId} loaded:`, metadata.name);
-                    allNFTs.push({
-                        tokenId: tokenId,
-                        ...metadata
-                    });
-                } else {
-                    console.warn(`⚠️ Failed to load metadata for NFT #${tokenId}`);
-                    // Even if metadata fails, add a placeholder
-                    allNFTs.push({
-                        tokenId: tokenId,
-                        name: `Certificate #${tokenId}`,
-                        description: 'Metadata loading failed',
-                        image: null,
-                        attributes: []
-                    });
-                }
-            } catch (error) {
-                console.error(`❌ Error loading NFT ${i}:`, error);
-            }
-        }
+        await mapWithConcurrency(tokenIds, CONFIG.METADATA_CONCURRENCY, async (tokenId, index) => {
+            if (generation !== loadGeneration) return;
+            
+            loaded[index] = { ...await loadNFT(tokenId, tokenURIs[index]), owner: owners[index] };
+            if (generation !== loadGeneration) return;
+            
+            loadedCount++;
+            updateLoadingProgress(loadedCount, tokenIds.length);
+            // Keep token order however the fetches finish
+            allNFTs = loaded.filter(Boolean);
+            scheduleRender();
+        });
+        if (generation !== loadGeneration) return;
         
         console.log('📦 Total NFTs loaded:', allNFTs.length);
         
-        // Display NFTs
-        filteredNFTs = [...allNFTs];
-        displayNFTs(filteredNFTs);
-        updateFilteredCount();
-        
+        markEventsSeen(blockNumber);
+        galleryLoading = false;
+        renderGallery();
         showLoading(false);
     } catch (error) {
+        if (generation !== loadGeneration) return;
         console.error('❌ Error loading NFTs:', error);
-        alert('Error loading NFTs. Check console for details.');
+        Notify.error(t('nft.error.loadFailed'));
+        galleryLoading = false;
         showLoading(false);
     }
 }
 
-// Fetch metadata from IPFS with multiple gateway fallbacks
+// Refresh the gallery at most every RENDER_INTERVAL while metadata streams in
+function scheduleRender() {
+    if (renderTimer) return;
+    renderTimer = setTimeout(() => {
+        renderTimer = null;
+        renderGallery();
+    }, RENDER_INTERVAL);
+}
+
+function updateLoadingProgress(loadedCount, total) {
+    document.getElementById('loadingProgress').textContent = t('nft.loadingProgress', {
+        loaded: I18n.formatNumber(loadedCount),
+        total: I18n.formatNumber(total)
+    });
+}
+
+// Fetch metadata from IPFS through the gateways (gateways.js), checked by integrity.js
 async function fetchMetadata(uri) {
-    // Multiple IPFS gateways for reliability
-    const gateways = [
-        'https://gateway.pinata.cloud/ipfs/',
-        'https://ipfs.io/ipfs/',
-        'https://cloudflare-ipfs.com/ipfs/',
-        'https://dweb.link/ipfs/'
-    ];
-    
     console.log('🔗 Fetching metadata from:', uri);
     
-    for (const gateway of gateways) {
-        try {
-            // Convert IPFS URI to HTTP gateway URL
-            const url = uri.replace('ipfs://', gateway);
-            console.log('🌐 Trying gateway:', url);
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            if (!response.ok) {
-                console.warn(`⚠️ Gateway failed (${response.status}):`, gateway);
-                continue;
-            }
-            
-            const metadata = await response.json();
-            console.log('✅ Metadata loaded from:', gateway);
-            
-            // Convert image URI if needed
-            if (metadata.image && metadata.image.startsWith('ipfs://')) {
-                metadata.image = metadata.image.replace('ipfs://', gateway);
-                console.log('🖼️ Image URL:', metadata.image);
-            }
-            
-            return metadata;
-        } catch (error) {
-            console.warn(`❌ Gateway error (${gateway}):`, error.message);
-            // Continue to next gateway
-        }
-    }
+    const file = await fetchCertificateFile(uri);
+    if (!file) return null;
     
-    console.error('❌ All gateways failed for:', uri);
-    return null;
+    if (file.metadata.image) console.log('🖼️ Image URL:', file.metadata.image);
+    return { ...file.metadata, integrity: file.integrity };
 }
 
 // Display NFTs in the gallery
@@ -247,29 +408,32 @@ function displayNFTs(nfts) {
     
     console.log('🎨 Displaying', nfts.length, 'NFTs in gallery');
     
-    gallery.innerHTML = '';
-    
     if (nfts.length === 0) {
-        noResults.classList.remove('hidden');
+        gallery.innerHTML = '';
+        // Certificates may still be on their way
+        noResults.classList.toggle('hidden', galleryLoading);
         console.warn('⚠️ No NFTs to display');
         return;
     }
     
     noResults.classList.add('hidden');
     
-    nfts.forEach((nft, index) => {
-        console.log(`🎴 Creating card for NFT #${nft.tokenId}`, nft);
-        const card = createNFTCard(nft);
-        gallery.appendChild(card);
-    });
+    // Keep the cards whose certificate has not changed, so only new or updated ones are drawn
+    const cards = new Map([...gallery.children].map(card => [cardNFTs.get(card), card]));
+    gallery.replaceChildren(...nfts.map(nft => cards.get(nft) || createNFTCard(nft)));
     
     console.log('✅ Gallery updated with', gallery.children.length, 'cards');
 }
 
+// Certificate each gallery card was drawn from
+const cardNFTs = new WeakMap();
+
 // Create NFT card element
 function createNFTCard(nft) {
     const card = document.createElement('div');
     card.className = 'nft-card';
+    card.dataset.tokenId = nft.tokenId;
+    cardNFTs.set(card, nft);
     card.onclick = () => showNFTDetails(nft);
     
     // Extract attributes
@@ -280,46 +444,75 @@ function createNFTCard(nft) {
         });
     }
     
+    // Metadata is escaped: anyone can make a token point at any file
+    const name = escapeHtml(getNFTName(nft));
+    
     card.innerHTML = `
-        <div class="nft-image">
-            ${nft.image ? `<img src="${nft.image}" alt="${nft.name}" onerror="this.parentElement.innerHTML='🎓'">` : '🎓'}
-        </div>
+        ${renderIntegrityBadge(nft)}
+        <div class="nft-image">${nft.image ? '' : '🎓'}</div>
         <div class="nft-details">
-            <h3 class="nft-title">${nft.name || 'Certificate #' + nft.tokenId}</h3>
-            <p class="nft-description">${nft.description || ''}</p>
+            <h3 class="nft-title">${name}</h3>
+            <p class="nft-description">${escapeHtml(getNFTDescription(nft))}</p>
             <div class="nft-attributes">
                 ${attributes['Graduate Name'] ? `
                     <div class="attribute">
-                        <span class="attribute-label">Graduate:</span>
-                        <span class="attribute-value">${attributes['Graduate Name']}</span>
+                        <span class="attribute-label">${t('nft.card.graduate')}</span>
+                        <span class="attribute-value">${escapeHtml(attributes['Graduate Name'])}</span>
                     </div>
                 ` : ''}
                 ${attributes['Program'] ? `
                     <div class="attribute">
-                        <span class="attribute-label">Program:</span>
-                        <span class="attribute-value">${attributes['Program']}</span>
+                        <span class="attribute-label">${t('nft.card.program')}</span>
+                        <span class="attribute-value">${escapeHtml(attributes['Program'])}</span>
                     </div>
                 ` : ''}
                 ${attributes['Grade'] ? `
-                    <div class="attribute grade-${attributes['Grade']}">
-                        <span class="attribute-label">Grade:</span>
-                        <span class="attribute-value">${attributes['Grade']}</span>
+                    <div class="attribute grade-${escapeHtml(attributes['Grade'])}">
+                        <span class="attribute-label">${t('nft.card.grade')}</span>
+                        <span class="attribute-value">${escapeHtml(attributes['Grade'])}</span>
                     </div>
                 ` : ''}
                 ${attributes['Certificate Type'] ? `
                     <div class="attribute">
-                        <span class="attribute-label">Type:</span>
-                        <span class="attribute-value">${attributes['Certificate Type']}</span>
+                        <span class="attribute-label">${t('nft.card.type')}</span>
+                        <span class="attribute-value">${escapeHtml(attributes['Certificate Type'])}</span>
+                    </div>
+                ` : ''}
+                ${nft.owner ? `
+                    <div class="attribute">
+                        <span class="attribute-label">${t('nft.card.owner')}</span>
+                        <a class="attribute-value owner-link" href="${escapeHtml(getProfileUrl(nft.owner))}" title="${escapeHtml(nft.owner)}">${escapeHtml(formatOwner(nft.owner))}</a>
                     </div>
                 ` : ''}
             </div>
-            <div class="token-id">Token ID: ${nft.tokenId}</div>
+            <div class="token-id">${t('nft.card.tokenId', { id: nft.tokenId })}</div>
         </div>
     `;
     
+    if (nft.image) {
+        card.querySelector('.nft-image').append(createImage(nft.image, getNFTName(nft), (img) => {
+            img.parentElement.textContent = '🎓';
+        }));
+    }
+    
+    // The owner link opens the owner's profile, not the details modal
+    card.querySelector('.owner-link')?.addEventListener('click', (e) => e.stopPropagation());
+    
     return card;
 }
 
+// Certificate name from the metadata, or a numbered placeholder
+function getNFTName(nft) {
+    return nft.name || t('nft.card.name', { id: nft.tokenId });
+}
+
+function getNFTDescription(nft) {
+    const status = nft.integrity?.status;
+    if (status === 'missing') return t('nft.card.metadataFailed');
+    if (status === 'tampered') return t('nft.card.metadataTampered');
+    return nft.description || '';
+}
+
 // Show NFT details in modal
 function showNFTDetails(nft) {
     const modal = document.getElementById('nftModal');
@@ -332,28 +525,47 @@ function showNFTDetails(nft) {
         });
     }
     
+    const name = escapeHtml(getNFTName(nft));
+    
     modalBody.innerHTML = `
         <div style="text-align: center;">
             <div class="nft-image" style="margin-bottom: 20px; border-radius: 10px; overflow: hidden;">
-                ${nft.image ? `<img src="${nft.image}" alt="${nft.name}" style="width: 100%; height: auto;" onerror="this.parentElement.innerHTML='<div style=\\'font-size: 8rem;\\'>🎓</div>'">` : '<div style="font-size: 8rem;">🎓</div>'}
+                ${nft.image ? '' : '<div style="font-size: 8rem;">🎓</div>'}
             </div>
-            <h2 style="margin-bottom: 15px;">${nft.name || 'Certificate #' + nft.tokenId}</h2>
-            <p style="color: var(--text-secondary); margin-bottom: 20px;">${nft.description || ''}</p>
+            <h2 style="margin-bottom: 15px;">${name}</h2>
+            <p style="color: var(--text-secondary); margin-bottom: 20px;">${escapeHtml(getNFTDescription(nft))}</p>
+            ${renderIntegrityDetails(nft)}
             <div style="text-align: left; background: var(--dark-bg); padding: 20px; border-radius: 10px;">
-                <h3 style="margin-bottom: 15px; color: var(--primary-color);">Certificate Details</h3>
+                <h3 style="margin-bottom: 15px; color: var(--primary-color);">${t('nft.modal.details')}</h3>
                 ${Object.entries(attributes).map(([key, value]) => `
                     <div style="display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid var(--border-color);">
-                        <span style="color: var(--text-secondary);">${key}:</span>
-                        <span style="font-weight: 600;">${value}</span>
+                        <span style="color: var(--text-secondary);">${escapeHtml(getTraitLabel(key))}:</span>
+                        <span style="font-weight: 600;">${escapeHtml(formatTraitValue(key, value))}</span>
                     </div>
                 `).join('')}
+                ${nft.owner ? `
+                    <div style="display: flex; justify-content: space-between; gap: 10px; padding: 10px 0; border-bottom: 1px solid var(--border-color);">
+                        <span style="color: var(--text-secondary);">${t('nft.modal.owner')}</span>
+                        <a class="owner-link" href="${escapeHtml(getProfileUrl(nft.owner))}" style="font-weight: 600; overflow-wrap: anywhere; text-align: right;">${escapeHtml(isUserAddress(nft.owner) ? t('nft.card.you', { address: nft.owner }) : nft.owner)}</a>
+                    </div>
+                ` : ''}
                 <div style="display: flex; justify-content: space-between; padding: 10px 0; margin-top: 10px;">
-                    <span style="color: var(--text-secondary);">Token ID:</span>
+                    <span style="color: var(--text-secondary);">${t('nft.modal.tokenId')}</span>
                     <span style="font-weight: 600; color: var(--accent-color);">${nft.tokenId}</span>
                 </div>
             </div>
+            <button id="verifyLinkBtn" class="btn-secondary" style="margin-top: 20px;">${t('nft.verify.share')}</button>
+            <div id="verifyLinkBox" class="verify-link-box"></div>
         </div>
     `;
+    if (nft.image) {
+        const img = createImage(nft.image, getNFTName(nft), () => {
+            img.parentElement.innerHTML = '<div style="font-size: 8rem;">🎓</div>';
+        });
+        img.style.cssText = 'width: 100%; height: auto;';
+        modalBody.querySelector('.nft-image').append(img);
+    }
+    document.getElementById('verifyLinkBtn').addEventListener('click', () => showVerificationLink(nft.tokenId));
     
     modal.classList.remove('hidden');
 }
@@ -363,12 +575,46 @@ function closeModal() {
     document.getElementById('nftModal').classList.add('hidden');
 }
 
-// Apply search and filters
+// Show the first visibleCount matching certificates and the pagination below them
+function renderGallery() {
+    filterNFTs();
+    displayNFTs(filteredNFTs.slice(0, visibleCount));
+    updateFilteredCount();
+    updatePagination();
+}
+
+// Apply search and filters, back on the first page
 function applyFilters() {
+    visibleCount = CONFIG.PAGE_SIZE;
+    renderGallery();
+}
+
+// Next page of cards, from the button or when the end of the gallery scrolls into view
+function showMore() {
+    if (visibleCount >= filteredNFTs.length) return;
+    visibleCount += CONFIG.PAGE_SIZE;
+    renderGallery();
+}
+
+function updatePagination() {
+    const shown = Math.min(visibleCount, filteredNFTs.length);
+    document.getElementById('galleryMore').classList.toggle('hidden', shown >= filteredNFTs.length);
+    document.getElementById('galleryPageInfo').textContent = t('nft.gallery.showing', {
+        shown: I18n.formatNumber(shown),
+        total: I18n.formatNumber(filteredNFTs.length)
+    });
+}
+
+// Certificates matching the search box and filters
+function filterNFTs() {
     const searchTerm = document.getElementById('searchInput').value.toLowerCase();
     const programFilter = document.getElementById('programFilter').value;
     const gradeFilter = document.getElementById('gradeFilter').value;
     const typeFilter = document.getElementById('typeFilter').value;
+    const ownerFilter = document.getElementById('ownerFilter').value;
+    const ownerAddress = (ownerFilter === 'mine'
+        ? userAccount || ''
+        : document.getElementById('ownerAddressInput').value.trim()).toLowerCase();
     
     filteredNFTs = allNFTs.filter(nft => {
         // Search filter
@@ -399,11 +645,14 @@ function applyFilters() {
             matchesType = typeAttr?.value === typeFilter;
         }
         
-        return matchesSearch && matchesProgram && matchesGrade && matchesType;
+        // Owner filter: the connected account, or any owner whose address contains the input
+        let matchesOwner = true;
+        if (ownerFilter && ownerAddress) {
+            matchesOwner = !!nft.owner && nft.owner.toLowerCase().includes(ownerAddress);
+        }
+        
+        return matchesSearch && matchesProgram && matchesGrade && matchesType && matchesOwner;
     });
-    
-    displayNFTs(filteredNFTs);
-    updateFilteredCount();
 }
 
 // Reset all filters
@@ -412,52 +661,78 @@ function resetFilters() {
     document.getElementById('programFilter').value = '';
     document.getElementById('gradeFilter').value = '';
     document.getElementById('typeFilter').value = '';
+    document.getElementById('ownerFilter').value = '';
+    document.getElementById('ownerAddressInput').value = '';
+    document.getElementById('ownerAddressInput').classList.add('hidden');
     
-    filteredNFTs = [...allNFTs];
-    displayNFTs(filteredNFTs);
-    updateFilteredCount();
+    applyFilters();
 }
 
 // Update filtered count
 function updateFilteredCount() {
-    document.getElementById('filteredCount').textContent = filteredNFTs.length;
+    document.getElementById('filteredCount').textContent = I18n.formatNumber(filteredNFTs.length);
 }
 
 // Mint new NFT
 async function mintNFT() {
     if (!userAccount) {
-        alert('Please connect your wallet first!');
+        Notify.error(t('nft.error.connectFirst'));
         return;
     }
     
+    const mintBtn = document.getElementById('mintBtn');
+    const transaction = Notify.transaction(t('nft.tx.mint'), { txUrl: getTxUrl });
+    
     try {
-        const mintBtn = document.getElementById('mintBtn');
         mintBtn.disabled = true;
-        mintBtn.textContent = 'Minting...';
+        minting = true;
+        renderMintSection();
         
         const cost = await contract.methods.cost().call();
+        const mint = contract.methods.safeMint(userAccount);
         
-        const tx = await contract.methods.safeMint(userAccount).send({
-            from: userAccount,
-            value: cost
-        });
+        // Simulate first so a revert (supply reached, already claimed...) shows before the wallet prompt
+        await mint.call({ from: userAccount, value: cost });
         
-        alert('Certificate minted successfully! Transaction: ' + tx.transactionHash);
+        transaction.signing();
+        await mint.send({ from: userAccount, value: cost })
+            .on('transactionHash', (hash) => transaction.submitted(hash));
         
-        // Reload NFTs
-        await loadAllNFTs();
-        await updateWalletUI();
+        transaction.confirmed(t('nft.mint.success'));
         
-        mintBtn.disabled = false;
-        mintBtn.textContent = 'Mint Certificate';
+        // Add the new certificate from its events instead of reloading the collection
+        await syncGalleryEvents();
     } catch (error) {
         console.error('Error minting NFT:', error);
-        alert('Failed to mint certificate: ' + error.message);
-        
-        const mintBtn = document.getElementById('mintBtn');
-        mintBtn.disabled = false;
-        mintBtn.textContent = 'Mint Certificate';
+        transaction.failed(getErrorReason(error));
     }
+    
+    mintBtn.disabled = false;
+    minting = false;
+    renderMintSection();
+}
+
+// Block explorer link of a transaction on the wallet's network, or null if the network is unknown
+function getTxUrl(hash) {
+    const explorer = CONFIG.EXPLORER_URLS[window.ethereum?.chainId];
+    return explorer ? `${explorer}/tx/${hash}` : null;
+}
+
+// Readable reason of a failed call or transaction, with the contract's revert message when there is one
+function getErrorReason(error) {
+    const errors = [error, error.innerError, error.cause, error.error].filter(Boolean);
+    
+    if (isRejectedError(error)) return t('nft.error.rejected');
+    
+    const reason = errors.map(e => e.reason).find(Boolean)
+        || errors.map(e => e.message).find(message => message && message.includes('revert'))
+        || error.message;
+    return reason.replace(/^.*execution reverted:?\s*/i, '') || error.message;
+}
+
+// Whether the user turned down the wallet prompt
+function isRejectedError(error) {
+    return [error, error.innerError, error.cause, error.error].filter(Boolean).some(e => e.code === 4001);
 }
 
 // Show/hide loading indicator
@@ -470,11 +745,27 @@ function showLoading(show) {
     }
 }
 
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text for an innerHTML template. Metadata, CSV cells and chain data are never markup.
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
 // Utility function to format address
 function formatAddress(address) {
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
 }
 
+function isUserAddress(address) {
+    return !!userAccount && !!address && address.toLowerCase() === userAccount.toLowerCase();
+}
+
+// Short owner address, marked when it is the connected account
+function formatOwner(address) {
+    return isUserAddress(address) ? t('nft.card.you', { address: formatAddress(address) }) : formatAddress(address);
+}
+
 // Show debug information
 function showDebugInfo() {
     console.log('\n═══════════════════════════════════════════════');
@@ -491,20 +782,30 @@ function showDebugInfo() {
         console.log(`    Name: ${nft.name}`);
         console.log(`    Description: ${nft.description}`);
         console.log(`    Image: ${nft.image || 'No image'}`);
+        console.log(`    Owner: ${nft.owner}`);
+        console.log(`    Integrity: ${nft.integrity?.status}`, nft.integrity?.problems || []);
         console.log(`    Attributes:`, nft.attributes);
     });
     console.log('\n💡 DOM Gallery Cards:', document.querySelectorAll('.nft-card').length);
     console.log('═══════════════════════════════════════════════\n');
     
-    alert(`✅ Debug info printed to console!\n\nAll NFTs: ${allNFTs.length}\nFiltered: ${filteredNFTs.length}\nGallery Cards: ${document.querySelectorAll('.nft-card').length}\n\nPress F12 to see detailed logs.`);
+    Notify.info(t('nft.debug.printed', {
+        all: allNFTs.length,
+        filtered: filteredNFTs.length,
+        cards: document.querySelectorAll('.nft-card').length
+    }));
 }
 
 // Export functions for debugging (optional)
 window.debugNFT = {
     reloadNFTs: loadAllNFTs,
+    syncEvents: () => syncGalleryEvents(),
     showNFTs: () => console.log(allNFTs),
     showFiltered: () => console.log(filteredNFTs),
     getContract: () => contract,
     getWeb3: () => web3,
+    clearCache: clearMetadataCache,
+    gatewayHealth: () => console.table(gatewayHealth),
+    resetGatewayHealth: () => resetGatewayHealth(),
     debugInfo: showDebugInfo
 };
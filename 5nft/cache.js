@@ -0,0 +1,113 @@
+// IndexedDB cache of certificate metadata, so reloads and mints only fetch what is new.
+// Entries are keyed by contract, token ID and token URI: after changeBaseURI every token has a
+// new URI and misses the cache, and syncCachedBaseURI() drops the entries of the old base URI.
+
+const CACHE_DB_NAME = 'certificate-gallery';
+const CACHE_DB_VERSION = 1;
+const METADATA_STORE = 'metadata';
+const BASE_URI_STORE = 'baseURI';
+
+let cacheDbPromise = null;
+
+// Turn an IndexedDB request into a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open (and on first use create) the cache database; resolves null where IndexedDB is unavailable
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const metadata = db.createObjectStore(METADATA_STORE, { keyPath: 'key' });
+                metadata.createIndex('contract', 'contract');
+                db.createObjectStore(BASE_URI_STORE, { keyPath: 'contract' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ Metadata cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return cacheDbPromise;
+}
+
+function getCacheKey(tokenId, uri) {
+    return `${CONFIG.CONTRACT_ADDRESS.toLowerCase()}:${tokenId}:${uri}`;
+}
+
+// Cached metadata of a token at its current URI, or null
+async function getCachedMetadata(tokenId, uri) {
+    try {
+        const db = await openCacheDb();
+        if (!db) return null;
+
+        const store = db.transaction(METADATA_STORE).objectStore(METADATA_STORE);
+        const entry = await requestToPromise(store.get(getCacheKey(tokenId, uri)));
+        return entry ? entry.metadata : null;
+    } catch (error) {
+        console.warn(`⚠️ Cache read failed for NFT #${tokenId}:`, error);
+        return null;
+    }
+}
+
+async function putCachedMetadata(tokenId, uri, metadata) {
+    try {
+        const db = await openCacheDb();
+        if (!db) return;
+
+        const store = db.transaction(METADATA_STORE, 'readwrite').objectStore(METADATA_STORE);
+        await requestToPromise(store.put({
+            key: getCacheKey(tokenId, uri),
+            contract: CONFIG.CONTRACT_ADDRESS.toLowerCase(),
+            tokenId: String(tokenId),
+            uri,
+            metadata,
+            cachedAt: Date.now()
+        }));
+    } catch (error) {
+        console.warn(`⚠️ Cache write failed for NFT #${tokenId}:`, error);
+    }
+}
+
+// Drop this contract's cached metadata if its base URI changed since the cache was filled
+async function syncCachedBaseURI(baseURI) {
+    try {
+        const db = await openCacheDb();
+        if (!db) return;
+
+        const contract = CONFIG.CONTRACT_ADDRESS.toLowerCase();
+        const saved = await requestToPromise(db.transaction(BASE_URI_STORE).objectStore(BASE_URI_STORE).get(contract));
+        if (saved && saved.baseURI === baseURI) return;
+
+        const tx = db.transaction([METADATA_STORE, BASE_URI_STORE], 'readwrite');
+        const keys = await requestToPromise(tx.objectStore(METADATA_STORE).index('contract').getAllKeys(contract));
+        keys.forEach(key => tx.objectStore(METADATA_STORE).delete(key));
+        tx.objectStore(BASE_URI_STORE).put({ contract, baseURI });
+
+        if (saved) console.log(`🧹 Base URI changed, dropped ${keys.length} cached metadata entries`);
+    } catch (error) {
+        console.warn('⚠️ Cache base URI check failed:', error);
+    }
+}
+
+// Forget every cached entry (debug helper)
+async function clearMetadataCache() {
+    const db = await openCacheDb();
+    if (!db) return;
+
+    const tx = db.transaction([METADATA_STORE, BASE_URI_STORE], 'readwrite');
+    tx.objectStore(METADATA_STORE).clear();
+    tx.objectStore(BASE_URI_STORE).clear();
+}
@@ -0,0 +1,62 @@
+// Shape of certificate metadata (see metadata/*.json), shared by the gallery's integrity
+// checks and the metadata generator. validate() lists problems as { code, trait }; their
+// messages are the nft.integrity.problem.<code> strings.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CertificateSchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const REQUIRED_TRAITS = ['Graduate Name', 'Program', 'Grade', 'Year', 'Certificate Type'];
+
+    // Checks of particular trait values, by trait
+    const TRAIT_FORMATS = {
+        'Grade': { pattern: /^[A-F][+-]?$/, code: 'grade' },
+        'Year': { pattern: /^\d{4}$/, code: 'year' }
+    };
+
+    function isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    function validate(metadata) {
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            return [{ code: 'notObject' }];
+        }
+
+        const problems = [];
+        if (!isText(metadata.name)) problems.push({ code: 'name' });
+        if (metadata.description !== undefined && typeof metadata.description !== 'string') {
+            problems.push({ code: 'description' });
+        }
+        if (metadata.image !== undefined && !isText(metadata.image)) problems.push({ code: 'image' });
+
+        const attributes = metadata.attributes;
+        if (!Array.isArray(attributes) || attributes.some(attr => !attr || typeof attr.trait_type !== 'string')) {
+            problems.push({ code: 'attributes' });
+            return problems;
+        }
+
+        for (const trait of REQUIRED_TRAITS) {
+            const matches = attributes.filter(attr => attr.trait_type === trait);
+            const value = matches[0]?.value;
+
+            if (matches.length === 0) {
+                problems.push({ code: 'missingTrait', trait });
+            } else if (matches.length > 1) {
+                problems.push({ code: 'duplicateTrait', trait });
+            } else if (!isText(value) && typeof value !== 'number') {
+                problems.push({ code: 'emptyTrait', trait });
+            } else if (TRAIT_FORMATS[trait] && !TRAIT_FORMATS[trait].pattern.test(String(value))) {
+                problems.push({ code: TRAIT_FORMATS[trait].code, trait });
+            }
+        }
+        return problems;
+    }
+
+    return { REQUIRED_TRAITS, validate };
+});
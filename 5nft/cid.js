@@ -0,0 +1,312 @@
+// Content identifiers (CIDs) of IPFS files and directories, computed locally: the gallery
+// checks fetched metadata against the CID in its tokenURI (integrity.js), and the metadata
+// generator addresses a folder before it is uploaded (tools/generate-metadata.js).
+//
+// Covers what `ipfs add` produces for small files, hashed with SHA-256: single-block UnixFS
+// files (CIDv0) or raw leaves (CIDv1), and plain directories (not HAMT-sharded ones).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(globalThis.crypto);
+    } else {
+        root.CID = factory(root.crypto);
+    }
+})(typeof self !== 'undefined' ? self : this, function (webCrypto) {
+    'use strict';
+
+    const DAG_PB = 0x70;
+    const RAW = 0x55;
+    const SHA2_256 = 0x12;
+    const UNIXFS_DIRECTORY = 1;
+    const UNIXFS_FILE = 2;
+    // Largest file the default chunker keeps in one block
+    const CHUNK_SIZE = 262144;
+
+    const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+    function concat(parts) {
+        const out = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    function compareBytes(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return a.length - b.length;
+    }
+
+    function utf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    function encodeVarint(value) {
+        const out = [];
+        while (value >= 0x80) {
+            out.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        out.push(value);
+        return Uint8Array.from(out);
+    }
+
+    // [value, offset after it]
+    function decodeVarint(bytes, offset) {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            if (offset >= bytes.length) throw new Error('Truncated varint');
+            byte = bytes[offset++];
+            value += (byte & 0x7f) * scale;
+            scale *= 0x80;
+        } while (byte & 0x80);
+        return [value, offset];
+    }
+
+    function base58Encode(bytes) {
+        const digits = [0];
+        for (const byte of bytes) {
+            let carry = byte;
+            for (let i = 0; i < digits.length; i++) {
+                carry += digits[i] * 256;
+                digits[i] = carry % 58;
+                carry = Math.floor(carry / 58);
+            }
+            while (carry > 0) {
+                digits.push(carry % 58);
+                carry = Math.floor(carry / 58);
+            }
+        }
+        const zeros = bytes.findIndex(byte => byte !== 0);
+        const leading = '1'.repeat(zeros === -1 ? bytes.length : zeros);
+        return leading + digits.reverse().map(digit => BASE58[digit]).join('').replace(/^1+/, '');
+    }
+
+    function base58Decode(text) {
+        const bytes = [0];
+        for (const char of text) {
+            let carry = BASE58.indexOf(char);
+            if (carry < 0) throw new Error(`Invalid base58 character "${char}"`);
+            for (let i = 0; i < bytes.length; i++) {
+                carry += bytes[i] * 58;
+                bytes[i] = carry & 0xff;
+                carry >>= 8;
+            }
+            while (carry > 0) {
+                bytes.push(carry & 0xff);
+                carry >>= 8;
+            }
+        }
+        const zeros = text.length - text.replace(/^1+/, '').length;
+        const value = bytes.reverse();
+        const start = value.findIndex(byte => byte !== 0);
+        return Uint8Array.from([...new Array(zeros).fill(0), ...(start === -1 ? [] : value.slice(start))]);
+    }
+
+    function base32Encode(bytes) {
+        let bits = 0;
+        let buffer = 0;
+        let out = '';
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                out += BASE32[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) out += BASE32[(buffer << (5 - bits)) & 31];
+        return out;
+    }
+
+    function base32Decode(text) {
+        let bits = 0;
+        let buffer = 0;
+        const out = [];
+        for (const char of text.toLowerCase()) {
+            const value = BASE32.indexOf(char);
+            if (value < 0) throw new Error(`Invalid base32 character "${char}"`);
+            buffer = (buffer << 5) | value;
+            bits += 5;
+            if (bits >= 8) {
+                out.push((buffer >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return Uint8Array.from(out);
+    }
+
+    // CIDs are { version, codec, multihash } with the multihash as bytes
+
+    // Binary CID (as in dag-pb links)
+    function decode(bytes) {
+        if (bytes.length === 34 && bytes[0] === SHA2_256 && bytes[1] === 32) {
+            return { version: 0, codec: DAG_PB, multihash: bytes };
+        }
+        const [version, codecOffset] = decodeVarint(bytes, 0);
+        if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+        const [codec, hashOffset] = decodeVarint(bytes, codecOffset);
+        return { version, codec, multihash: bytes.slice(hashOffset) };
+    }
+
+    // CIDv0 ("Qm...") or base32 CIDv1 ("b...")
+    function parse(text) {
+        if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(text)) {
+            return { version: 0, codec: DAG_PB, multihash: base58Decode(text) };
+        }
+        if (/^b[a-z2-7]+$/i.test(text)) return decode(base32Decode(text.slice(1)));
+        throw new Error(`Unsupported CID "${text}"`);
+    }
+
+    function toBytes(cid) {
+        return cid.version === 0
+            ? cid.multihash
+            : concat([encodeVarint(1), encodeVarint(cid.codec), cid.multihash]);
+    }
+
+    function format(cid) {
+        return cid.version === 0 ? base58Encode(cid.multihash) : `b${base32Encode(toBytes(cid))}`;
+    }
+
+    function equals(a, b) {
+        return compareBytes(toBytes(a), toBytes(b)) === 0;
+    }
+
+    async function sha256(bytes) {
+        return new Uint8Array(await webCrypto.subtle.digest('SHA-256', bytes));
+    }
+
+    async function forBlock(block, { version, codec }) {
+        const multihash = concat([Uint8Array.of(SHA2_256, 32), await sha256(block)]);
+        return { version, codec, multihash };
+    }
+
+    // Whether a block hashes to cid; null when cid uses a hash other than SHA-256
+    async function matchesBlock(block, cid) {
+        if (cid.multihash[0] !== SHA2_256 || cid.multihash[1] !== 32) return null;
+        return compareBytes(await sha256(block), cid.multihash.subarray(2)) === 0;
+    }
+
+    // Protobuf fields of dag-pb nodes and UnixFS data
+    function varintField(field, value) {
+        return concat([encodeVarint(field << 3), encodeVarint(value)]);
+    }
+
+    function bytesField(field, bytes) {
+        return concat([encodeVarint((field << 3) | 2), encodeVarint(bytes.length), bytes]);
+    }
+
+    // { field: [values] } of a protobuf message; length-delimited values are bytes
+    function readFields(bytes) {
+        const fields = {};
+        let offset = 0;
+        while (offset < bytes.length) {
+            const [key, valueOffset] = decodeVarint(bytes, offset);
+            let value;
+            if ((key & 7) === 0) {
+                [value, offset] = decodeVarint(bytes, valueOffset);
+            } else if ((key & 7) === 2) {
+                const [length, start] = decodeVarint(bytes, valueOffset);
+                value = bytes.subarray(start, start + length);
+                offset = start + length;
+            } else {
+                throw new Error(`Unsupported protobuf wire type ${key & 7}`);
+            }
+            (fields[key >> 3] = fields[key >> 3] || []).push(value);
+        }
+        return fields;
+    }
+
+    function encodeUnixFS(type, data, fileSize) {
+        return concat([
+            varintField(1, type),
+            data && data.length > 0 ? bytesField(2, data) : new Uint8Array(0),
+            fileSize === undefined ? new Uint8Array(0) : varintField(3, fileSize)
+        ]);
+    }
+
+    // dag-pb node: links first, then data
+    function encodeNode(links, data) {
+        return concat([
+            ...links.map(link => bytesField(2, concat([
+                bytesField(1, toBytes(link.cid)),
+                bytesField(2, utf8(link.name)),
+                varintField(3, link.size)
+            ]))),
+            bytesField(1, data)
+        ]);
+    }
+
+    // { data, links: [{ name, cid, size }] } of a dag-pb block
+    function decodeNode(block) {
+        const fields = readFields(block);
+        const links = (fields[2] || []).map((link) => {
+            const linkFields = readFields(link);
+            return {
+                name: new TextDecoder().decode(linkFields[2]?.[0] || new Uint8Array(0)),
+                cid: decode(linkFields[1][0]),
+                size: linkFields[3]?.[0] || 0
+            };
+        });
+        return { data: fields[1]?.[0] || null, links };
+    }
+
+    // UnixFS type of a dag-pb node's data (UNIXFS_DIRECTORY, UNIXFS_FILE, ...)
+    function unixfsType(data) {
+        return data ? readFields(data)[1]?.[0] : undefined;
+    }
+
+    // Block of a single-block file as `ipfs add` stores it, or null for a larger file
+    function encodeFile(bytes, codec) {
+        if (bytes.length > CHUNK_SIZE) return null;
+        return codec === RAW ? bytes : encodeNode([], encodeUnixFS(UNIXFS_FILE, bytes, bytes.length));
+    }
+
+    // Whether file content is what cid addresses; null when this cannot be told (several blocks,
+    // other codec or hash)
+    async function matchesFile(bytes, cid) {
+        if (cid.codec !== RAW && cid.codec !== DAG_PB) return null;
+        const block = encodeFile(bytes, cid.codec);
+        return block ? matchesBlock(block, cid) : null;
+    }
+
+    // { cid, size } of a small file as `ipfs add` computes it: a UnixFS node under CIDv0,
+    // a raw leaf under CIDv1. size is what a directory link to it records.
+    async function fileCID(bytes, { version = 1 } = {}) {
+        const codec = version === 0 ? DAG_PB : RAW;
+        const block = encodeFile(bytes, codec);
+        if (!block) throw new Error(`Files over ${CHUNK_SIZE} bytes take several blocks`);
+        return { cid: await forBlock(block, { version, codec }), size: block.length };
+    }
+
+    // { cid, size, block } of a directory of entries { name, cid, size }
+    async function directoryCID(entries, { version = 1 } = {}) {
+        const links = [...entries].sort((a, b) => compareBytes(utf8(a.name), utf8(b.name)));
+        const block = encodeNode(links, encodeUnixFS(UNIXFS_DIRECTORY));
+        const size = links.reduce((total, link) => total + link.size, block.length);
+        return { cid: await forBlock(block, { version, codec: DAG_PB }), size, block };
+    }
+
+    return {
+        DAG_PB,
+        RAW,
+        UNIXFS_DIRECTORY,
+        UNIXFS_FILE,
+        parse,
+        format,
+        equals,
+        matchesBlock,
+        matchesFile,
+        decodeNode,
+        unixfsType,
+        fileCID,
+        directoryCID
+    };
+});
@@ -3,6 +3,58 @@ const CONFIG = {
     // Replace with your deployed contract address
     CONTRACT_ADDRESS: '0x37c19e066829D5cdB02119E9F4D6616f4bA9D1F0',
     
+    // Block explorers by chain id (as reported by the wallet), for transaction links
+    EXPLORER_URLS: {
+        '0x1': 'https://etherscan.io',
+        '0xaa36a7': 'https://sepolia.etherscan.io'
+    },
+    
+    // Network the contract is deployed on, read without a wallet by the public verification
+    // page (#verify): its chain id, a public JSON-RPC endpoint, and the contract's deployment
+    // block, where the search for mint transactions starts. Replace null with the block of your
+    // deployment; left null, the block is looked up from the chain (the RPC must serve old state).
+    CHAIN_ID: '0xaa36a7',
+    RPC_URL: 'https://ethereum-sepolia-rpc.publicnode.com',
+    DEPLOY_BLOCK: null,
+    
+    // Multicall3 (same address on most EVM chains); contract reads are batched through it when
+    // the connected chain has it, and sent as parallel calls otherwise
+    MULTICALL_ADDRESS: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    READ_BATCH_SIZE: 100,
+    
+    // Metadata requests in flight at once, and gallery cards shown per page
+    METADATA_CONCURRENCY: 6,
+    PAGE_SIZE: 24,
+    
+    // Milliseconds between checks for new CertificateMinted / Transfer events, and the most
+    // blocks asked for in one log query while catching up
+    EVENT_POLL_INTERVAL: 15000,
+    EVENT_BLOCK_RANGE: 5000,
+    
+    // IPFS gateways metadata and images are fetched through, ordered by their health scores
+    // (kept between sessions). Unscored gateways keep this order, so a local IPFS node's
+    // gateway (e.g. 'http://127.0.0.1:8080/ipfs/') listed first is tried first.
+    IPFS_GATEWAYS: [
+        'https://gateway.pinata.cloud/ipfs/',
+        'https://ipfs.io/ipfs/',
+        'https://cloudflare-ipfs.com/ipfs/',
+        'https://dweb.link/ipfs/'
+    ],
+    
+    // Folders served over plain HTTP standing in for IPFS directories, by CID, e.g.
+    // { 'bafybei...': 'metadata/' } to serve this repo's metadata during development.
+    // They are tried before any gateway.
+    IPFS_STATIC_DIRS: {},
+    
+    // Gateways asked at once for a file (the next one starts when one fails), and
+    // milliseconds before a request is given up
+    GATEWAY_RACE_SIZE: 2,
+    GATEWAY_TIMEOUT: 8000,
+    
+    // Recipients per mintBatch transaction in the owner's bulk issue, to stay well under the
+    // block gas limit
+    MINT_BATCH_SIZE: 50,
+    
     // Replace with your contract ABI (you'll get this from Remix after compilation)
     CONTRACT_ABI: 
         [
@@ -479,6 +531,19 @@ const CONFIG = {
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "_to",
+				"type": "address"
+			}
+		],
+		"name": "ownerMint",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
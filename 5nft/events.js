@@ -0,0 +1,140 @@
+// Live gallery updates from the contract's CertificateMinted and Transfer events.
+// Logs are polled from the block after the last one seen (injected wallets do not reliably
+// support eth_subscribe), so events missed while the wallet or network was away are
+// backfilled on the next successful poll instead of being lost.
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+let lastSeenBlock = null;
+let eventTimer = null;
+let eventSync = null;
+let eventSyncQueued = false;
+
+// Start polling once per page; the gallery load sets the block to start from
+function startEventWatcher() {
+    if (eventTimer) return;
+    eventTimer = setInterval(syncGalleryEvents, CONFIG.EVENT_POLL_INTERVAL);
+    window.addEventListener('online', syncGalleryEvents);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') syncGalleryEvents();
+    });
+}
+
+// The gallery reflects the chain up to this block
+function markEventsSeen(blockNumber) {
+    lastSeenBlock = Number(blockNumber);
+}
+
+// Apply the events since the last seen block; a call during a running sync runs it again after
+function syncGalleryEvents() {
+    if (eventSync) {
+        eventSyncQueued = true;
+        return eventSync;
+    }
+
+    eventSync = (async () => {
+        do {
+            eventSyncQueued = false;
+            await pollGalleryEvents();
+        } while (eventSyncQueued);
+    })().finally(() => {
+        eventSync = null;
+    });
+    return eventSync;
+}
+
+async function pollGalleryEvents() {
+    // A full load is running and will set the block to continue from
+    if (!contract || lastSeenBlock === null || galleryLoading) return;
+
+    const generation = loadGeneration;
+
+    try {
+        const latestBlock = Number(await web3.eth.getBlockNumber());
+
+        while (lastSeenBlock < latestBlock) {
+            const fromBlock = lastSeenBlock + 1;
+            const toBlock = Math.min(latestBlock, lastSeenBlock + CONFIG.EVENT_BLOCK_RANGE);
+            const events = await contract.getPastEvents('allEvents', { fromBlock, toBlock });
+            if (generation !== loadGeneration) return;
+
+            await applyGalleryEvents(events);
+            if (generation !== loadGeneration) return;
+
+            lastSeenBlock = toBlock;
+        }
+    } catch (error) {
+        // Keep lastSeenBlock: the next poll picks up from the same block
+        console.warn(`⚠️ Event sync failed, will retry from block ${lastSeenBlock + 1}:`, error);
+    }
+}
+
+// Add minted certificates, move transferred ones and drop burned ones, touching only their cards
+async function applyGalleryEvents(events) {
+    const minted = new Set();
+    const owners = new Map();
+    let supplyChanged = false;
+    let userTouched = false;
+
+    for (const event of events) {
+        const values = event.returnValues;
+
+        if (event.event === 'CertificateMinted') {
+            minted.add(values.tokenId.toString());
+        } else if (event.event === 'Transfer') {
+            const tokenId = values.tokenId.toString();
+            if (isZeroAddress(values.from)) minted.add(tokenId);
+            if (isZeroAddress(values.from) || isZeroAddress(values.to)) supplyChanged = true;
+            if (isUserAddress(values.from) || isUserAddress(values.to)) userTouched = true;
+            owners.set(tokenId, values.to);
+        }
+    }
+
+    if (minted.size > 0) console.log(`🔔 ${minted.size} new certificate(s) minted`);
+
+    // Tokens the last full load already has (minted while it ran) are not fetched again
+    const knownIds = new Set(allNFTs.map(nft => nft.tokenId));
+    const newIds = [...minted].filter(tokenId => !knownIds.has(tokenId) && !isZeroAddress(owners.get(tokenId)));
+
+    if (newIds.length > 0) {
+        const tokenURIs = await readMany('tokenURI', newIds.map(tokenId => [tokenId]), 'string');
+        const added = await mapWithConcurrency(newIds, CONFIG.METADATA_CONCURRENCY, (tokenId, index) =>
+            loadNFT(tokenId, tokenURIs[index]));
+
+        allNFTs = [...allNFTs, ...added].sort((a, b) => Number(a.tokenId) - Number(b.tokenId));
+    }
+
+    owners.forEach((owner, tokenId) => {
+        if (isZeroAddress(owner)) {
+            allNFTs = allNFTs.filter(nft => nft.tokenId !== tokenId);
+            return;
+        }
+
+        const nft = allNFTs.find(item => item.tokenId === tokenId);
+        if (!nft || nft.owner === owner) return;
+        nft.owner = owner;
+        if (!newIds.includes(tokenId)) updateNFTCard(nft);
+    });
+
+    // Unchanged cards are kept; this places new cards and applies the owner filter to moved ones
+    if (owners.size > 0) {
+        renderGallery();
+        refreshProfile();
+    }
+
+    if (supplyChanged) {
+        const totalSupply = await contract.methods.totalSupply().call();
+        document.getElementById('totalSupply').textContent = I18n.formatNumber(totalSupply);
+    }
+    if (userTouched) await updateUserTokenCount();
+}
+
+// Redraw one certificate's card in place, if it is on the page
+function updateNFTCard(nft) {
+    const card = document.querySelector(`#nftGallery .nft-card[data-token-id="${nft.tokenId}"]`);
+    if (card) card.replaceWith(createNFTCard(nft));
+}
+
+function isZeroAddress(address) {
+    return !!address && address.toLowerCase() === ZERO_ADDRESS;
+}
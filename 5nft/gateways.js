@@ -0,0 +1,174 @@
+// IPFS access through the gateways in CONFIG.IPFS_GATEWAYS (and static folders standing in
+// for directories). A file is requested from GATEWAY_RACE_SIZE sources at once; the first good
+// answer wins and the other requests are cancelled. Each request updates its gateway's health
+// score (success rate and latency, kept in localStorage), which orders the gateways for the
+// next file. Images get their own ordered list of URLs and fall back along it on load errors.
+
+const GATEWAY_HEALTH_KEY = 'nft-gateway-health';
+// Weight of the latest request in a gateway's running averages
+const HEALTH_WEIGHT = 0.3;
+// Abort reason of the requests that lost a race
+const RACE_LOST = 'race lost';
+
+let gatewayHealth = loadGatewayHealth();
+let healthSaveTimer = null;
+
+function loadGatewayHealth() {
+    try {
+        return JSON.parse(localStorage.getItem(GATEWAY_HEALTH_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Written at most once a second, as a gallery load makes many requests
+function scheduleHealthSave() {
+    if (healthSaveTimer) return;
+    healthSaveTimer = setTimeout(() => {
+        healthSaveTimer = null;
+        try {
+            localStorage.setItem(GATEWAY_HEALTH_KEY, JSON.stringify(gatewayHealth));
+        } catch (error) {
+            console.warn('⚠️ Could not save gateway health:', error.message);
+        }
+    }, 1000);
+}
+
+// ok is null for a request that lost a race: it took at least latency, but may have succeeded
+function recordGatewayResult(gateway, ok, latency) {
+    const health = gatewayHealth[gateway] || { success: 1, latency };
+    if (ok !== null) health.success += HEALTH_WEIGHT * ((ok ? 1 : 0) - health.success);
+    health.latency += HEALTH_WEIGHT * (latency - health.latency);
+    gatewayHealth[gateway] = health;
+    scheduleHealthSave();
+}
+
+// Expected milliseconds to an answer, counting each failure as a timeout; 0 for a gateway
+// not tried yet, so new gateways get a chance
+function getGatewayScore(gateway) {
+    const health = gatewayHealth[gateway];
+    return health ? health.latency + (1 - health.success) * CONFIG.GATEWAY_TIMEOUT : 0;
+}
+
+function resetGatewayHealth() {
+    gatewayHealth = {};
+    localStorage.removeItem(GATEWAY_HEALTH_KEY);
+}
+
+function toGatewayUrl(uri, gateway) {
+    return uri.replace('ipfs://', gateway);
+}
+
+// { gateway, url } to fetch an ipfs:// URI from, best first: the static folder standing in
+// for its CID, then the gateways by score (ties keep the configured order)
+function getIpfsSources(uri) {
+    const [root, ...path] = uri.replace('ipfs://', '').split('/');
+    const staticDir = CONFIG.IPFS_STATIC_DIRS[root.split('?')[0]];
+    const sources = staticDir && path.length > 0 ? [{ gateway: staticDir, url: staticDir + path.join('/') }] : [];
+
+    const gateways = CONFIG.IPFS_GATEWAYS
+        .map((gateway, order) => ({ gateway, order, score: getGatewayScore(gateway) }))
+        .sort((a, b) => a.score - b.score || a.order - b.order);
+    return sources.concat(gateways.map(({ gateway }) => ({ gateway, url: toGatewayUrl(uri, gateway) })));
+}
+
+// Fetch an IPFS URI, racing the best sources. read(response, gateway) turns the response into
+// data (JSON, bytes...); a source whose response cannot be read counts as failed and the next
+// one is tried. Resolves to { data, gateway }, or null when every source failed.
+function fetchFromGateways(uri, read, accept = 'application/json') {
+    const sources = getIpfsSources(uri);
+    const controllers = [];
+    let next = 0;
+    let pending = 0;
+
+    return new Promise((resolve) => {
+        let settled = false;
+
+        const startNext = () => {
+            if (settled) return;
+            if (next >= sources.length) {
+                if (pending === 0) {
+                    settled = true;
+                    console.error('❌ All gateways failed for:', uri);
+                    resolve(null);
+                }
+                return;
+            }
+
+            const source = sources[next++];
+            const controller = new AbortController();
+            controllers.push(controller);
+            pending++;
+
+            fetchFromSource(source, read, accept, controller).then((data) => {
+                pending--;
+                if (settled) return;
+                settled = true;
+                controllers.forEach(other => other !== controller && other.abort(RACE_LOST));
+                console.log('✅ Loaded from:', source.gateway);
+                resolve({ data, gateway: source.gateway });
+            }, (error) => {
+                pending--;
+                if (controller.signal.reason !== RACE_LOST) {
+                    console.warn(`❌ Gateway error (${source.gateway}):`, error.message);
+                }
+                startNext();
+            });
+        };
+
+        for (let i = 0; i < CONFIG.GATEWAY_RACE_SIZE; i++) startNext();
+    });
+}
+
+// One request of a race, given up after CONFIG.GATEWAY_TIMEOUT
+async function fetchFromSource(source, read, accept, controller) {
+    const started = Date.now();
+    const timer = setTimeout(() => controller.abort(new Error(`Timed out after ${CONFIG.GATEWAY_TIMEOUT} ms`)), CONFIG.GATEWAY_TIMEOUT);
+    console.log('🌐 Trying gateway:', source.url);
+
+    try {
+        const response = await fetch(source.url, {
+            method: 'GET',
+            headers: {
+                'Accept': accept
+            },
+            signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await read(response, source.gateway);
+        recordGatewayResult(source.gateway, true, Date.now() - started);
+        return data;
+    } catch (error) {
+        const lost = controller.signal.reason === RACE_LOST;
+        recordGatewayResult(source.gateway, lost ? null : false, Date.now() - started);
+        throw controller.signal.aborted && controller.signal.reason instanceof Error ? controller.signal.reason : error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// <img> of an image URI. An IPFS image falls back along its other sources on load errors;
+// onExhausted(img) runs when none is left. The URI comes from metadata, so it is only ever set
+// as a property, never written into markup.
+function createImage(uri, alt, onExhausted) {
+    const [src, ...fallbacks] = uri.startsWith('ipfs://') ? getIpfsSources(uri).map(source => source.url) : [uri];
+    const img = document.createElement('img');
+    img.alt = alt;
+    img.dataset.fallbacks = fallbacks.join(' ');
+    img.addEventListener('error', () => {
+        if (!showNextImage(img)) onExhausted(img);
+    });
+    img.src = src;
+    return img;
+}
+
+// Load the next source of an image; false when none is left
+function showNextImage(img) {
+    const [next, ...rest] = (img.dataset.fallbacks || '').split(' ').filter(Boolean);
+    if (!next) return false;
+
+    img.dataset.fallbacks = rest.join(' ');
+    img.src = next;
+    return true;
+}
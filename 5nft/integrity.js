@@ -0,0 +1,149 @@
+// Integrity of certificate metadata. The file behind a tokenURI is hashed against the CID the
+// URI names (looked up in the directory block for ipfs://<folder>/<file> URIs) and checked
+// against the certificate schema. Each certificate gets nft.integrity = { status, problems }:
+//   verified   - content matches its CID and the schema
+//   unverified - matches the schema, but the CID could not be checked (e.g. no gateway serves raw blocks)
+//   tampered   - every gateway served content that does not match the CID
+//   malformed  - not JSON, or not a certificate (problems lists what is wrong)
+//   missing    - no gateway returned the file
+
+// Directory links by CID, fetched once per session
+const directoryLinks = new Map();
+
+// Fetch and check the metadata file at an IPFS URI. Resolves to { bytes, metadata, integrity },
+// or null when no gateway returned it. A gateway serving content that does not match the CID
+// is passed over for the next one; when all of them do, metadata is empty and integrity.cid
+// names the content the URI stands for.
+async function fetchCertificateFile(uri) {
+    const expected = await resolveExpectedCID(uri);
+    let altered = null;
+
+    const result = await fetchFromGateways(uri, async (response) => {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const matches = expected && await CID.matchesFile(bytes, expected);
+        if (matches === false) {
+            altered = altered || bytes;
+            throw new Error('Content does not match its CID');
+        }
+        return { bytes, hash: matches ? 'verified' : 'unchecked' };
+    });
+
+    const file = result ? result.data : altered && { bytes: altered, hash: 'mismatch' };
+    if (!file) return null;
+
+    // Altered content is not shown at all, only the CID it should have had
+    if (file.hash === 'mismatch') {
+        console.warn('⚠️ Metadata tampered:', uri);
+        return { bytes: file.bytes, metadata: {}, integrity: { status: 'tampered', problems: [], cid: CID.format(expected) } };
+    }
+
+    // Images keep their ipfs:// URI; gateways.js picks the gateway when they are shown
+    const { metadata, problems } = parseCertificate(file.bytes);
+
+    const status = problems.length > 0 ? 'malformed'
+        : file.hash === 'verified' ? 'verified' : 'unverified';
+    if (status !== 'verified') console.warn(`⚠️ Metadata ${status}:`, uri, problems);
+
+    return { bytes: file.bytes, metadata, integrity: { status, problems } };
+}
+
+// Metadata from a file and its schema problems. Fields of the wrong type are dropped, so a
+// malformed certificate still renders.
+function parseCertificate(bytes) {
+    let metadata;
+    try {
+        metadata = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        return { metadata: {}, problems: [{ code: 'notJson' }] };
+    }
+
+    const problems = CertificateSchema.validate(metadata);
+    if (problems.some(problem => problem.code === 'notObject')) return { metadata: {}, problems };
+
+    const text = value => (typeof value === 'string' ? value : null);
+    return {
+        metadata: {
+            ...metadata,
+            name: text(metadata.name),
+            description: text(metadata.description),
+            image: text(metadata.image),
+            attributes: Array.isArray(metadata.attributes)
+                ? metadata.attributes.filter(attr => attr && typeof attr.trait_type === 'string')
+                : []
+        },
+        problems
+    };
+}
+
+// CID the file at an ipfs:// URI must hash to; null when it cannot be worked out
+async function resolveExpectedCID(uri) {
+    const match = uri.match(/^ipfs:\/\/([^/?#]+)([^?#]*)$/);
+    if (!match) return null;
+
+    try {
+        let cid = CID.parse(match[1]);
+        for (const name of match[2].split('/').filter(Boolean)) {
+            const links = await getDirectoryLinks(cid);
+            const link = links && links.find(entry => entry.name === decodeURIComponent(name));
+            if (!link) return null;
+            cid = link.cid;
+        }
+        return cid;
+    } catch (error) {
+        console.warn('⚠️ Could not resolve the CID of', uri, error.message);
+        return null;
+    }
+}
+
+function getDirectoryLinks(cid) {
+    const key = CID.format(cid);
+    if (!directoryLinks.has(key)) {
+        directoryLinks.set(key, fetchDirectoryLinks(cid).then((links) => {
+            // Not remembered, so the next load tries again
+            if (!links) directoryLinks.delete(key);
+            return links;
+        }));
+    }
+    return directoryLinks.get(key);
+}
+
+// Links of a directory from its raw block, which must hash to the CID. Null when no gateway
+// serves the block, or for sharded (HAMT) directories, which are not walked.
+async function fetchDirectoryLinks(cid) {
+    if (cid.codec !== CID.DAG_PB) return null;
+
+    const result = await fetchFromGateways(`ipfs://${CID.format(cid)}?format=raw`, async (response) => {
+        const block = new Uint8Array(await response.arrayBuffer());
+        if (!await CID.matchesBlock(block, cid)) throw new Error('Block does not match its CID');
+        return block;
+    }, 'application/vnd.ipld.raw');
+    if (!result) return null;
+
+    const node = CID.decodeNode(result.data);
+    return CID.unixfsType(node.data) === CID.UNIXFS_DIRECTORY ? node.links : null;
+}
+
+// Card badge of a certificate that is verified or has a problem; none while it is unverified
+function renderIntegrityBadge(nft) {
+    const status = nft.integrity?.status;
+    if (!status || status === 'unverified') return '';
+    return `<span class="integrity-badge integrity-${status}" title="${t(`nft.integrity.status.${status}`)}">${t(`nft.integrity.badge.${status}`)}</span>`;
+}
+
+// Integrity status and problems of a certificate, for the details modal
+function renderIntegrityDetails(nft) {
+    if (!nft.integrity) return '';
+    const { status, problems } = nft.integrity;
+    return `
+        <div class="integrity-details integrity-${status}">
+            <h3>${t('nft.integrity.title')}</h3>
+            <p>${t(`nft.integrity.status.${status}`)}</p>
+            ${nft.integrity.cid ? `<p class="integrity-cid">${t('nft.integrity.cid', { cid: escapeHtml(nft.integrity.cid) })}</p>` : ''}
+            ${problems.length > 0 ? `<ul>${problems.map(problem => `<li>${escapeHtml(getProblemText(problem))}</li>`).join('')}</ul>` : ''}
+        </div>
+    `;
+}
+
+function getProblemText(problem) {
+    return t(`nft.integrity.problem.${problem.code}`, { trait: problem.trait ? getTraitLabel(problem.trait) : '' });
+}
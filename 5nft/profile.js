@@ -0,0 +1,114 @@
+// Profile view listing the certificates held by one address, at #owner/<address>.
+// Holdings come from the contract's getAllTokensOfOwner view; certificates the gallery has
+// already loaded are reused, the rest are fetched like gallery cards (through the cache).
+
+const PROFILE_ROUTE = /^#owner\/(.*)$/;
+
+let profileAddress = null;
+let profileNFTs = null;
+let profileState = null;
+let profileGeneration = 0;
+
+function initProfile() {
+    window.addEventListener('hashchange', showProfileRoute);
+    showProfileRoute();
+}
+
+function getProfileUrl(address) {
+    return `#owner/${address}`;
+}
+
+// Show the profile or the gallery, whichever the URL asks for
+function showProfileRoute() {
+    const match = location.hash.match(PROFILE_ROUTE);
+
+    if (!match) {
+        profileAddress = null;
+        profileGeneration++;
+        document.body.classList.remove('profile-open');
+        document.getElementById('profileSection').classList.add('hidden');
+        return;
+    }
+
+    closeModal();
+    document.body.classList.add('profile-open');
+    document.getElementById('profileSection').classList.remove('hidden');
+    window.scrollTo(0, 0);
+    openProfile(decodeURIComponent(match[1]));
+}
+
+async function openProfile(address) {
+    const generation = ++profileGeneration;
+    profileAddress = address;
+    profileNFTs = null;
+
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        profileState = 'invalid';
+    } else if (!contract) {
+        // Shown again once the wallet connects
+        profileState = 'connect';
+    } else {
+        profileState = 'loading';
+    }
+    renderProfile();
+    if (profileState !== 'loading') return;
+
+    try {
+        const tokenIds = (await contract.methods.getAllTokensOfOwner(address).call()).map(tokenId => tokenId.toString());
+        const loaded = new Map(allNFTs.map(nft => [nft.tokenId, nft]));
+        const missing = tokenIds.filter(tokenId => !loaded.has(tokenId));
+
+        const tokenURIs = await readMany('tokenURI', missing.map(tokenId => [tokenId]), 'string');
+        const fetched = await mapWithConcurrency(missing, CONFIG.METADATA_CONCURRENCY, async (tokenId, index) =>
+            ({ ...await loadNFT(tokenId, tokenURIs[index]), owner: address }));
+        fetched.forEach(nft => loaded.set(nft.tokenId, nft));
+        if (generation !== profileGeneration) return;
+
+        profileNFTs = tokenIds.map(tokenId => loaded.get(tokenId));
+        profileState = 'loaded';
+    } catch (error) {
+        if (generation !== profileGeneration) return;
+        console.error(`❌ Error loading certificates of ${address}:`, error);
+        profileState = 'failed';
+    }
+    renderProfile();
+}
+
+// Reload the open profile, e.g. after a transfer to or from its address
+function refreshProfile() {
+    if (profileAddress) openProfile(profileAddress);
+}
+
+function renderProfile() {
+    if (!profileAddress) return;
+
+    const own = isUserAddress(profileAddress);
+    const explorer = CONFIG.EXPLORER_URLS[window.ethereum?.chainId];
+    const addressLine = document.getElementById('profileAddress');
+    const gallery = document.getElementById('profileGallery');
+
+    document.getElementById('profileTitle').textContent = own ? t('nft.profile.mine') : t('nft.profile.title');
+    addressLine.textContent = profileAddress;
+    if (explorer && profileState !== 'invalid') {
+        const link = document.createElement('a');
+        link.href = `${explorer}/address/${profileAddress}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.className = 'profile-link';
+        link.textContent = t('nft.profile.explorer');
+        addressLine.append(' · ', link);
+    }
+
+    const summaries = {
+        invalid: t('nft.profile.invalid'),
+        connect: t('nft.profile.connect'),
+        loading: t('nft.loading'),
+        failed: t('nft.profile.loadFailed'),
+        loaded: profileNFTs && profileNFTs.length > 0
+            ? t('nft.profile.count', { count: profileNFTs.length })
+            : t('nft.profile.empty')
+    };
+    document.getElementById('profileSummary').textContent = summaries[profileState];
+
+    gallery.replaceChildren(...(profileNFTs || []).map(createNFTCard));
+}
@@ -0,0 +1,132 @@
+// CIDs, the certificate schema and the metadata generator. No dependencies: run with
+//   node --test 5nft/test/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CID = require('../cid');
+const CertificateSchema = require('../certificate-schema');
+
+const GENERATOR = path.join(__dirname, '..', 'tools', 'generate-metadata.js');
+const HELLO = Buffer.from('hello world\n');
+
+// Run the generator; resolves to its exit code and output instead of failing on a non-zero exit
+function generate(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [GENERATOR, ...args], (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('CID', () => {
+    // What `ipfs add` reports for the same content
+    it('matches ipfs add for a small file, as CIDv0 and CIDv1', async () => {
+        assert.equal(CID.format((await CID.fileCID(HELLO, { version: 0 })).cid), 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+        assert.equal(CID.format((await CID.fileCID(HELLO, { version: 1 })).cid), 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4');
+    });
+
+    it('matches ipfs add for an empty directory, as CIDv0 and CIDv1', async () => {
+        assert.equal(CID.format((await CID.directoryCID([], { version: 0 })).cid), 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn');
+        assert.equal(CID.format((await CID.directoryCID([], { version: 1 })).cid), 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354');
+    });
+
+    // Reference CIDs of a folder holding hello.txt, from the UnixFS importer behind `ipfs add -r`
+    it('matches ipfs add -r for a directory with a file, as CIDv0 and CIDv1', async () => {
+        const expected = {
+            0: 'QmfLiVjH2vujCVP2e75zyzBYmpcjktmDeU1YBz6Ct8BBsc',
+            1: 'bafybeidhkumeonuwkebh2i4fc7o7lguehauradvlk57gzake6ggjsy372a'
+        };
+        for (const version of [0, 1]) {
+            const { cid, size } = await CID.fileCID(HELLO, { version });
+            const folder = await CID.directoryCID([{ name: 'hello.txt', cid, size }], { version });
+            assert.equal(CID.format(folder.cid), expected[version]);
+        }
+    });
+
+    it('parses what it formats', async () => {
+        for (const version of [0, 1]) {
+            const text = CID.format((await CID.fileCID(HELLO, { version })).cid);
+            assert.equal(CID.format(CID.parse(text)), text);
+        }
+    });
+});
+
+describe('CertificateSchema', () => {
+    const certificate = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'metadata', '0.json'), 'utf8'));
+
+    it('accepts the published certificate metadata', () => {
+        assert.deepEqual(CertificateSchema.validate(certificate()), []);
+    });
+
+    it('lists a missing trait and a malformed grade', () => {
+        const metadata = certificate();
+        metadata.attributes = metadata.attributes
+            .filter(attr => attr.trait_type !== 'Program')
+            .map(attr => (attr.trait_type === 'Grade' ? { ...attr, value: 'excellent' } : attr));
+
+        assert.deepEqual(CertificateSchema.validate(metadata), [
+            { code: 'missingTrait', trait: 'Program' },
+            { code: 'grade', trait: 'Grade' }
+        ]);
+    });
+});
+
+describe('generate-metadata', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificates-'));
+        fs.writeFileSync(path.join(dir, 'roster.csv'), [
+            'name,program,grade,year,type,image',
+            'Aibek Zhandos,Computer Science,A,2025,Bachelor\'s Degree,bafkreigq64dgwlqzqb2mtqqtalbqi6csirr36kfor4ncsmkzpkssx33nqu',
+            '"Smith, Anna",Data Science,B+,2024,Master\'s Degree,https://example.com/anna.png'
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'bad.csv'), 'name,program,grade,year,type\nNo Year,Physics,A,,Diploma\n');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes a certificate per graduate and prints the CID of the folder', async () => {
+        const out = path.join(dir, 'metadata');
+        const { code, stdout } = await generate([path.join(dir, 'roster.csv'), '--out', out]);
+        assert.equal(code, 0);
+        assert.deepEqual(fs.readdirSync(out).sort(), ['0.json', '1.json']);
+
+        const anna = JSON.parse(fs.readFileSync(path.join(out, '1.json'), 'utf8'));
+        assert.equal(anna.name, 'Graduate Certificate #1');
+        assert.equal(anna.image, 'https://example.com/anna.png');
+        assert.deepEqual(anna.attributes[0], { trait_type: 'Graduate Name', value: 'Smith, Anna' });
+        assert.deepEqual(CertificateSchema.validate(anna), []);
+
+        const aibek = JSON.parse(fs.readFileSync(path.join(out, '0.json'), 'utf8'));
+        assert.equal(aibek.image, 'ipfs://bafkreigq64dgwlqzqb2mtqqtalbqi6csirr36kfor4ncsmkzpkssx33nqu');
+
+        // Reference CID of the folder of these two files, from the UnixFS importer behind `ipfs add -r --cid-version=1`
+        const folder = 'bafybeibc4svk2oclyyhtazvvwvxag7ktyovxkix6lygurcafobpgcy75k4';
+        assert.match(stdout, new RegExp(`Folder CID: ${folder}\\n`));
+        assert.match(stdout, new RegExp(`Base URI:   ipfs://${folder}/\\n`));
+    });
+
+    it('prints the CIDv0 of the folder with --cid-version 0', async () => {
+        const { code, stdout } = await generate([path.join(dir, 'roster.csv'), '--out', path.join(dir, 'metadata-v0'), '--cid-version', '0']);
+        assert.equal(code, 0);
+        assert.match(stdout, /Folder CID: QmQVKkNUL3Zapd7VzuRo8X3huP2nN1qmp52J2eAbvcm15Q\n/);
+    });
+
+    it('refuses a roster with invalid graduates and writes nothing', async () => {
+        const out = path.join(dir, 'rejected');
+        const { code, stderr } = await generate([path.join(dir, 'bad.csv'), '--out', out]);
+
+        assert.equal(code, 1);
+        assert.match(stderr, /Roster entry 1 \(0\.json\)/);
+        assert.match(stderr, /1 of 1 graduates have problems; nothing was written/);
+        assert.equal(fs.existsSync(out), false);
+    });
+});
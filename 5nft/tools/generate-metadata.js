@@ -0,0 +1,216 @@
+// Certificate metadata generator: turns a roster of graduates into the numbered files the
+// gallery reads (<tokenId>.json, shaped like metadata/*.json), checks them against the
+// certificate schema and computes the CID the folder will have on IPFS, so the contract's base
+// URI is known before the upload.
+//
+//   node tools/generate-metadata.js <roster.csv|roster.json> [--out <dir>] [--cid-version 0|1] [--dry-run]
+//
+//   --out          folder to write, metadata/ by default. It must hold nothing but the
+//                  generated files, or the uploaded folder gets another CID.
+//   --cid-version  1 (default) as `ipfs add -r --cid-version=1` computes it, 0 as `ipfs add -r`
+//   --dry-run      check the roster and print the CID without writing anything
+//
+// The roster is a CSV with a header row or a JSON array of objects, with the columns name,
+// program, grade, year, type and image (an ipfs:// or https:// URI, or a bare CID). Rows are
+// tokens 0, 1, 2... in the order the contract mints them, so the roster lists every
+// certificate, the ones already issued included: the base URI serves them all.
+
+const fs = require('fs');
+const path = require('path');
+
+const CID = require('../cid');
+const CertificateSchema = require('../certificate-schema');
+const I18n = require('../../shared/i18n');
+
+// Roster column of each certificate trait; the trait names are accepted as headers too
+const COLUMNS = {
+    name: 'Graduate Name',
+    program: 'Program',
+    grade: 'Grade',
+    year: 'Year',
+    type: 'Certificate Type',
+    image: null
+};
+
+function parseArgs(argv) {
+    const options = { roster: null, out: path.join(__dirname, '..', 'metadata'), cidVersion: 1, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.out = path.resolve(argv[++i] || '');
+        } else if (arg === '--cid-version') {
+            options.cidVersion = Number(argv[++i]);
+            if (options.cidVersion !== 0 && options.cidVersion !== 1) throw new Error('--cid-version must be 0 or 1');
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.roster = path.resolve(arg);
+        }
+    }
+
+    if (!options.roster) throw new Error('Usage: node tools/generate-metadata.js <roster.csv|roster.json> [--out <dir>] [--cid-version 0|1] [--dry-run]');
+    return options;
+}
+
+// Rows of cells, with quoted cells holding commas, newlines and "" for a quote
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error('Unterminated quoted cell in the roster');
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Column a roster header names, or undefined for columns that are not used
+function findColumn(header) {
+    const key = header.trim().toLowerCase();
+    return Object.keys(COLUMNS).find(column => column === key || (COLUMNS[column] || '').toLowerCase() === key);
+}
+
+// Graduates as { name, program, grade, year, type, image } objects, in roster order
+function readRoster(file) {
+    const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    let records;
+
+    if (path.extname(file).toLowerCase() === '.json') {
+        records = JSON.parse(text);
+        if (!Array.isArray(records)) throw new Error('A JSON roster must be an array of graduates');
+    } else {
+        const [header = [], ...rows] = parseCsv(text);
+        records = rows.map(cells => Object.fromEntries(header.map((name, index) => [name, cells[index]])));
+    }
+
+    return records.map((record) => {
+        const graduate = {};
+        for (const [key, value] of Object.entries(record || {})) {
+            const column = findColumn(key);
+            if (column) graduate[column] = value === undefined || value === null ? '' : String(value).trim();
+        }
+        return graduate;
+    });
+}
+
+// A bare CID names an IPFS file; anything else is kept as given
+function toImageURI(image) {
+    if (!image || /^[a-z]+:\/\//i.test(image)) return image;
+    try {
+        CID.parse(image.split('/')[0]);
+        return `ipfs://${image}`;
+    } catch (error) {
+        return image;
+    }
+}
+
+// Metadata of one certificate, in the shape of metadata/*.json
+function buildMetadata(graduate, tokenId) {
+    return {
+        name: `Graduate Certificate #${tokenId}`,
+        description: `Certificate of Completion for ${graduate.program} Program`,
+        image: toImageURI(graduate.image || ''),
+        attributes: Object.entries(COLUMNS)
+            .filter(([, trait]) => trait)
+            .map(([column, trait]) => ({ trait_type: trait, value: graduate[column] }))
+    };
+}
+
+// Schema problems of a certificate, worded as the gallery words them
+function checkMetadata(metadata) {
+    return CertificateSchema.validate(metadata)
+        .map(problem => I18n.t(`nft.integrity.problem.${problem.code}`, { trait: problem.trait || '' }));
+}
+
+// Files in the output folder that are not generated, and would end up in the upload
+function findStrayFiles(dir, names) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => !names.includes(name));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const graduates = readRoster(options.roster);
+    if (graduates.length === 0) throw new Error('The roster has no graduates');
+
+    const files = graduates.map((graduate, tokenId) => {
+        const metadata = buildMetadata(graduate, tokenId);
+        return {
+            tokenId,
+            graduate,
+            name: `${tokenId}.json`,
+            bytes: Buffer.from(JSON.stringify(metadata, null, 2) + '\n'),
+            problems: checkMetadata(metadata)
+        };
+    });
+
+    const invalid = files.filter(file => file.problems.length > 0);
+    if (invalid.length > 0) {
+        invalid.forEach((file) => {
+            console.error(`❌ Roster entry ${file.tokenId + 1} (${file.name}): ${file.problems.join(' ')}`);
+        });
+        throw new Error(`${invalid.length} of ${files.length} graduates have problems; nothing was written`);
+    }
+
+    const stray = findStrayFiles(options.out, files.map(file => file.name));
+    if (stray.length > 0) {
+        throw new Error(`${options.out} also holds ${stray.join(', ')}; remove them or choose another --out, as the folder is uploaded whole`);
+    }
+
+    const entries = [];
+    for (const file of files) {
+        const { cid, size } = await CID.fileCID(file.bytes, { version: options.cidVersion });
+        entries.push({ name: file.name, cid, size });
+        console.log(`${file.name.padEnd(10)} ${CID.format(cid)}  ${file.graduate.name}`);
+    }
+    const folder = await CID.directoryCID(entries, { version: options.cidVersion });
+    const baseURI = `ipfs://${CID.format(folder.cid)}/`;
+
+    if (!options.dryRun) {
+        fs.mkdirSync(options.out, { recursive: true });
+        files.forEach(file => fs.writeFileSync(path.join(options.out, file.name), file.bytes));
+        console.log(`\n✅ Wrote ${files.length} certificates to ${options.out}`);
+    }
+
+    const addCommand = options.cidVersion === 1 ? 'ipfs add -r --cid-version=1' : 'ipfs add -r';
+    console.log(`\nFolder CID: ${CID.format(folder.cid)}`);
+    console.log(`Base URI:   ${baseURI}`);
+    console.log(`\nUpload the folder with \`${addCommand} ${path.relative(process.cwd(), options.out) || '.'}\` and check it reports this CID,`);
+    console.log(`then set the base URI from the issuance console, or call changeBaseURI("${baseURI}").`);
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
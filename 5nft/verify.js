@@ -0,0 +1,311 @@
+// Public verification of a certificate at #verify/<tokenId>[/<fingerprint>], for employers.
+// Everything is read through CONFIG.RPC_URL, so no wallet is needed and the answer always
+// comes from the configured network, whatever a connected wallet points at. Links shared
+// from the details modal carry a fingerprint (the start of the SHA-256 of the metadata file),
+// so metadata changed after the link was issued shows up as a mismatch. The metadata also goes
+// through the gallery's integrity checks (integrity.js).
+
+const VERIFY_ROUTE = /^#verify(?:\/([^/]*)(?:\/([0-9a-fA-F]+))?)?$/;
+const FINGERPRINT_LENGTH = 16;
+
+let readOnlyChain = null;
+let deployBlockLookup = null;
+let verification = null;
+let verifyGeneration = 0;
+
+function initVerify() {
+    window.addEventListener('hashchange', showVerifyRoute);
+    document.getElementById('verifyForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const hash = `#verify/${encodeURIComponent(document.getElementById('verifyInput').value.trim())}`;
+        // Checking the same token again does not change the URL
+        if (location.hash === hash) {
+            showVerifyRoute();
+        } else {
+            location.hash = hash;
+        }
+    });
+    showVerifyRoute();
+}
+
+// web3 and contract on the configured RPC, created on first use
+function getReadOnlyChain() {
+    if (!readOnlyChain) {
+        const rpc = new Web3(CONFIG.RPC_URL);
+        readOnlyChain = {
+            web3: rpc,
+            contract: new rpc.eth.Contract(CONFIG.CONTRACT_ABI, CONFIG.CONTRACT_ADDRESS)
+        };
+    }
+    return readOnlyChain;
+}
+
+function showVerifyRoute() {
+    const match = location.hash.match(VERIFY_ROUTE);
+
+    document.body.classList.toggle('verify-open', !!match);
+    document.getElementById('verifySection').classList.toggle('hidden', !match);
+    if (!match) {
+        verifyGeneration++;
+        verification = null;
+        return;
+    }
+
+    closeModal();
+    const tokenId = decodeURIComponent(match[1] || '');
+    document.getElementById('verifyInput').value = tokenId;
+
+    if (tokenId) {
+        verifyCertificate(tokenId, match[2]);
+    } else {
+        verification = null;
+        renderVerification();
+    }
+}
+
+async function verifyCertificate(tokenId, fingerprint) {
+    const generation = ++verifyGeneration;
+
+    if (!/^\d+$/.test(tokenId)) {
+        verification = { tokenId, state: 'invalid' };
+        renderVerification();
+        return;
+    }
+
+    verification = { tokenId, state: 'checking' };
+    renderVerification();
+
+    try {
+        const result = await checkCertificate(tokenId, fingerprint);
+        if (generation !== verifyGeneration) return;
+        verification = { tokenId, state: 'done', ...result };
+    } catch (error) {
+        if (generation !== verifyGeneration) return;
+        console.error(`❌ Error verifying certificate #${tokenId}:`, error);
+        verification = { tokenId, state: 'failed', error: error.message };
+    }
+    renderVerification();
+}
+
+// Chain and metadata checks of one token. Resolves to { verdict, reasons, owner, tokenURI,
+// metadata, integrity, mint }; verdict is valid, notFound or mismatch, reasons (integrity,
+// fingerprint) explain a mismatch.
+async function checkCertificate(tokenId, fingerprint) {
+    const { contract: reader } = getReadOnlyChain();
+
+    const owner = await reader.methods.ownerOf(tokenId).call().catch((error) => {
+        if (isRevertError(error)) return null;
+        throw error;
+    });
+    if (!owner) return { verdict: 'notFound', reasons: [] };
+
+    const [tokenURI, mint] = await Promise.all([
+        reader.methods.tokenURI(tokenId).call(),
+        findMintTransaction(tokenId)
+    ]);
+
+    const reasons = [];
+    const file = await fetchCertificateFile(tokenURI);
+    const integrity = file ? file.integrity : { status: 'missing', problems: [] };
+
+    if (!['verified', 'unverified'].includes(integrity.status)) reasons.push('integrity');
+    if (file) {
+        const actual = await getFingerprint(file.bytes);
+        if (fingerprint && actual && actual !== fingerprint.toLowerCase()) reasons.push('fingerprint');
+    }
+
+    const verdict = reasons.length > 0 ? 'mismatch' : 'valid';
+    return { verdict, reasons, owner, tokenURI, metadata: file?.metadata || null, integrity, mint };
+}
+
+// Block the contract was deployed in: CONFIG.DEPLOY_BLOCK, or the first block holding its code,
+// found by a binary search and kept for the session
+function getDeployBlock() {
+    if (CONFIG.DEPLOY_BLOCK !== null) return Promise.resolve(CONFIG.DEPLOY_BLOCK);
+
+    if (!deployBlockLookup) {
+        deployBlockLookup = (async () => {
+            const { web3: rpc } = getReadOnlyChain();
+            let low = 0;
+            let high = Number(await rpc.eth.getBlockNumber());
+
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                const code = await rpc.eth.getCode(CONFIG.CONTRACT_ADDRESS, middle);
+                if (code && code !== '0x') {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            return low;
+        })().catch((error) => {
+            deployBlockLookup = null;
+            throw error;
+        });
+    }
+    return deployBlockLookup;
+}
+
+// Transaction and block time of a token's mint, or null if the logs cannot be searched.
+// Logs are asked for CONFIG.EVENT_BLOCK_RANGE blocks at a time, as public RPCs cap the range.
+async function findMintTransaction(tokenId) {
+    const { web3: rpc, contract: reader } = getReadOnlyChain();
+
+    try {
+        const [deployBlock, latestBlock] = await Promise.all([getDeployBlock(), rpc.eth.getBlockNumber().then(Number)]);
+
+        for (let fromBlock = deployBlock; fromBlock <= latestBlock; fromBlock += CONFIG.EVENT_BLOCK_RANGE) {
+            const toBlock = Math.min(latestBlock, fromBlock + CONFIG.EVENT_BLOCK_RANGE - 1);
+            const [event] = await reader.getPastEvents('Transfer', {
+                filter: { from: ZERO_ADDRESS, tokenId },
+                fromBlock,
+                toBlock
+            });
+            if (!event) continue;
+
+            const block = await rpc.eth.getBlock(event.blockNumber);
+            return { hash: event.transactionHash, timestamp: Number(block.timestamp) };
+        }
+        return null;
+    } catch (error) {
+        console.warn(`⚠️ Could not find the mint transaction of #${tokenId}:`, error);
+        return null;
+    }
+}
+
+// Whether a failed call was a revert (e.g. ownerOf a token that does not exist), not a network error
+function isRevertError(error) {
+    return [error, error.innerError, error.cause].filter(Boolean)
+        .some(e => e.name === 'ContractExecutionError' || /revert/i.test(e.message || ''));
+}
+
+// First FINGERPRINT_LENGTH hex digits of the SHA-256 of a file; null where Web Crypto is unavailable
+async function getFingerprint(bytes) {
+    if (!window.crypto?.subtle) return null;
+
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('').slice(0, FINGERPRINT_LENGTH);
+}
+
+function renderVerification() {
+    const result = document.getElementById('verifyResult');
+
+    result.classList.toggle('hidden', !verification);
+    if (!verification) return;
+
+    const { tokenId, state } = verification;
+    const messages = {
+        checking: t('nft.verify.checking'),
+        invalid: t('nft.verify.invalidId'),
+        failed: t('nft.verify.failed', { error: escapeHtml(verification.error) })
+    };
+
+    if (state !== 'done') {
+        result.innerHTML = `<p class="verify-status">${messages[state]}</p>`;
+        return;
+    }
+
+    const { verdict, reasons, owner, tokenURI, metadata, integrity, mint } = verification;
+    const explorer = CONFIG.EXPLORER_URLS[CONFIG.CHAIN_ID];
+    const unavailable = t('nft.verify.unavailable');
+    const reasonTexts = reasons.flatMap(reason => (reason === 'integrity'
+        ? [
+            t(`nft.integrity.status.${integrity.status}`),
+            ...(integrity.cid ? [t('nft.integrity.cid', { cid: escapeHtml(integrity.cid) })] : []),
+            ...integrity.problems.map(problem => escapeHtml(getProblemText(problem)))
+        ]
+        : [t(`nft.verify.reason.${reason}`)]));
+
+    const banner = `
+        <div class="verdict verdict-${verdict}">
+            <h3>${t(`nft.verify.verdict.${verdict}`)}</h3>
+            <p>${verdict === 'notFound' ? t('nft.verify.notFoundDetail', { id: tokenId }) : t(`nft.verify.${verdict}Detail`)}</p>
+            ${verdict === 'valid' ? `<p>${t(`nft.integrity.status.${integrity.status}`)}</p>` : ''}
+            ${reasonTexts.length > 0 ? `<ul>${reasonTexts.map(text => `<li>${text}</li>`).join('')}</ul>` : ''}
+        </div>
+    `;
+    if (verdict === 'notFound') {
+        result.innerHTML = banner;
+        return;
+    }
+
+    const nft = { tokenId, ...metadata };
+    // Metadata and chain values are escaped: anyone can make a token point at any file
+    const name = escapeHtml(getNFTName(nft));
+    const rows = [
+        [t('nft.modal.tokenId'), tokenId],
+        ...(metadata?.attributes || []).map(attr => [`${escapeHtml(getTraitLabel(attr.trait_type))}:`, escapeHtml(formatTraitValue(attr.trait_type, attr.value))]),
+        [t('nft.modal.owner'), explorer ? `<a href="${explorer}/address/${escapeHtml(owner)}" target="_blank" rel="noopener">${escapeHtml(owner)}</a>` : escapeHtml(owner)],
+        [t('nft.verify.mintTx'), !mint ? unavailable : explorer ? `<a href="${explorer}/tx/${escapeHtml(mint.hash)}" target="_blank" rel="noopener">${escapeHtml(mint.hash)}</a>` : escapeHtml(mint.hash)],
+        [t('nft.verify.issuedAt'), mint ? I18n.formatDate(new Date(mint.timestamp * 1000)) : unavailable],
+        [t('nft.verify.metadataUri'), escapeHtml(tokenURI)]
+    ];
+
+    result.innerHTML = `
+        ${banner}
+        <div class="verify-certificate">
+            <h3>${name}</h3>
+            ${metadata?.description ? `<p class="verify-description">${escapeHtml(metadata.description)}</p>` : ''}
+            <div class="verify-details">
+                ${rows.map(([label, value]) => `
+                    <div class="verify-row">
+                        <span class="verify-label">${label}</span>
+                        <span class="verify-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    if (metadata?.image) {
+        const img = createImage(metadata.image, getNFTName(nft), () => img.remove());
+        img.className = 'verify-image';
+        result.querySelector('.verify-certificate').prepend(img);
+    }
+}
+
+// Verification link and QR code of a certificate, shown in the details modal
+async function showVerificationLink(tokenId) {
+    const box = document.getElementById('verifyLinkBox');
+    box.textContent = t('nft.verify.creatingLink');
+
+    try {
+        const { contract: reader } = getReadOnlyChain();
+        const tokenURI = await reader.methods.tokenURI(tokenId).call();
+        const file = await fetchCertificateFile(tokenURI);
+        // Content that fails its CID check gets no fingerprint
+        const fingerprint = file && file.integrity.status !== 'tampered' && await getFingerprint(file.bytes);
+        const url = `${location.origin}${location.pathname}#verify/${tokenId}${fingerprint ? `/${fingerprint}` : ''}`;
+
+        box.innerHTML = `
+            <p class="verify-link-hint">${t('nft.verify.shareHint')}</p>
+            <div class="verify-link">
+                <input type="text" class="search-input" readonly value="${escapeHtml(url)}" aria-label="${t('nft.verify.share')}">
+                <button type="button" class="btn-secondary">${t('nft.verify.copy')}</button>
+            </div>
+            ${createQRCode(url)}
+        `;
+        box.querySelector('button').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(url);
+                Notify.success(t('nft.verify.copied'));
+            } catch (error) {
+                box.querySelector('input').select();
+            }
+        });
+    } catch (error) {
+        console.error(`❌ Error creating the verification link of #${tokenId}:`, error);
+        box.textContent = t('nft.verify.shareFailed', { error: error.message });
+    }
+}
+
+// QR code image of a link (qrcode-generator from the CDN); empty if the library did not load
+function createQRCode(text) {
+    if (typeof qrcode === 'undefined') return '';
+
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return `<img class="verify-qr" src="${qr.createDataURL(4, 8)}" alt="${t('nft.verify.qrAlt')}">`;
+}
@@ -0,0 +1,188 @@
+// Message catalog and locale formatting shared by the Rock Paper Scissors game (4rps/p10)
+// and the certificate gallery (5nft). Messages live in shared/locales/<locale>.js, one file
+// per language. The chosen language is kept in localStorage, so both dApps open in it.
+//
+// Messages are templates with {name} placeholders. A message can also be an object of
+// plural forms ({ one, few, many, other }) picked by the `count` parameter.
+// Static page text is marked with data-i18n attributes and translated by translatePage().
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const I18n = factory();
+        ['en', 'kk', 'ru'].forEach(locale => I18n.addMessages(locale, require(`./locales/${locale}`)));
+        module.exports = I18n;
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Supported languages, each named in itself for the language picker
+    const LANGUAGES = {
+        en: 'English',
+        kk: 'Қазақша',
+        ru: 'Русский'
+    };
+
+    // Locale tags used for Intl number and date formatting
+    const INTL_LOCALES = {
+        en: 'en-US',
+        kk: 'kk-KZ',
+        ru: 'ru-RU'
+    };
+
+    const DEFAULT_LOCALE = 'en';
+    const STORAGE_KEY = 'dapp-locale';
+
+    // Attribute carrying a message key -> attribute it translates (null: the element's text)
+    const TRANSLATED_ATTRIBUTES = {
+        'data-i18n': null,
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-title': 'title',
+        'data-i18n-aria-label': 'aria-label'
+    };
+
+    const catalogs = {};
+    const listeners = [];
+    let locale = DEFAULT_LOCALE;
+
+    function addMessages(name, messages) {
+        catalogs[name] = { ...catalogs[name], ...messages };
+    }
+
+    function getLocale() {
+        return locale;
+    }
+
+    function getIntlLocale() {
+        return INTL_LOCALES[locale];
+    }
+
+    // Whether the current language has its own message for a key
+    function has(key) {
+        return !!catalogs[locale] && key in catalogs[locale];
+    }
+
+    // Pick the plural form of a message for a count
+    function selectPlural(forms, count) {
+        const form = new Intl.PluralRules(getIntlLocale()).select(count);
+        return forms[form] ?? forms.other;
+    }
+
+    // Message for a key in the current language, falling back to English and then to the key
+    function t(key, params = {}) {
+        let message = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE]?.[key] ?? key;
+        if (typeof message === 'object') message = selectPlural(message, params.count);
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (name in params ? String(params[name]) : placeholder));
+    }
+
+    function formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(getIntlLocale(), options).format(value);
+    }
+
+    // Format a decimal amount ("0.015", as from formatEther/fromWei) with its currency symbol.
+    // Without fractionDigits every significant decimal is kept.
+    function formatAmount(value, symbol, fractionDigits) {
+        const options = fractionDigits === undefined
+            ? { maximumFractionDigits: 18 }
+            : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits };
+        return `${formatNumber(value, options)} ${symbol}`;
+    }
+
+    function formatDate(date, options = { dateStyle: 'short', timeStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(getIntlLocale(), options).format(date);
+    }
+
+    // Format a year such as a certificate's "2025"; anything that is not a year is returned as is
+    function formatYear(year) {
+        const value = Number(year);
+        if (!Number.isInteger(value) || value <= 0) return String(year);
+        return formatDate(new Date(value, 6, 1), { year: 'numeric' });
+    }
+
+    // Translate every element marked with data-i18n attributes below root
+    function translatePage(root = document) {
+        Object.entries(TRANSLATED_ATTRIBUTES).forEach(([attribute, target]) => {
+            root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                const message = t(element.getAttribute(attribute));
+                if (target) element.setAttribute(target, message);
+                else element.textContent = message;
+            });
+        });
+        if (root === document) document.documentElement.lang = locale;
+    }
+
+    // Switch language, save the choice and let the apps re-render their dynamic text
+    function setLocale(name) {
+        if (!LANGUAGES[name] || name === locale) return;
+
+        locale = name;
+        try {
+            localStorage.setItem(STORAGE_KEY, name);
+        } catch (error) {
+            console.error('Error saving language:', error);
+        }
+
+        translatePage();
+        listeners.forEach(listener => {
+            try {
+                listener(name);
+            } catch (error) {
+                console.error('Error in language listener:', error);
+            }
+        });
+    }
+
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // Saved language, else the browser's if supported, else English
+    function detectLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            console.error('Error reading language:', error);
+        }
+        if (LANGUAGES[saved]) return saved;
+
+        const browser = (navigator.languages || [navigator.language || ''])
+            .map(tag => String(tag).slice(0, 2).toLowerCase())
+            .find(name => LANGUAGES[name]);
+        return browser || DEFAULT_LOCALE;
+    }
+
+    // Pick the language, translate the static page and wire up the language picker
+    function init(select) {
+        locale = detectLocale();
+        translatePage();
+
+        if (select) {
+            select.innerHTML = Object.entries(LANGUAGES)
+                .map(([name, label]) => `<option value="${name}">${label}</option>`)
+                .join('');
+            select.value = locale;
+            select.addEventListener('change', () => setLocale(select.value));
+            onChange(name => { select.value = name; });
+        }
+    }
+
+    return {
+        LANGUAGES,
+        addMessages,
+        getLocale,
+        has,
+        t,
+        formatNumber,
+        formatAmount,
+        formatDate,
+        formatYear,
+        translatePage,
+        setLocale,
+        onChange,
+        init
+    };
+});
@@ -0,0 +1,442 @@
+// English messages. Keys: common.* for both dApps, rps.* for the game (4rps/p10),
+// nft.* for the certificate gallery (5nft). English is the fallback for missing keys.
+(function (root) {
+    const messages = {
+        'common.language': 'Language',
+        'common.notifications': 'Notifications',
+        'common.dismiss': 'Dismiss',
+        'common.tx.signing': '{label}: confirm the transaction in your wallet...',
+        'common.tx.submitted': '{label} submitted. Waiting for confirmation...',
+        'common.tx.confirmed': '{label} confirmed.',
+        'common.tx.failed': '{label} failed: {reason}',
+        'common.tx.view': 'View on explorer',
+
+        // Game page
+        'rps.pageTitle': 'rps game',
+        'rps.header.title': '🎮 Rock Paper Scissors 🎮',
+        'rps.header.subtitle': 'Blockchain Edition',
+        'rps.wallet.connect': 'Connect Wallet',
+        'rps.wallet.connected': 'Connected ✓',
+        'rps.wallet.switchNetwork': 'Switch Network',
+        'rps.info.contractBalance': 'Contract Balance:',
+        'rps.info.userBalance': 'Your Balance:',
+        'rps.score.you': 'you',
+        'rps.score.contract': 'contract',
+        'rps.actionMsg': 'Connect your wallet and make your bet!',
+        'rps.notDeployed': 'Rock Paper Scissors is not deployed on this network (chain {chainId}). Switch to {network} to play.',
+
+        // Moves and outcomes
+        'rps.move.r': 'Rock',
+        'rps.move.p': 'Paper',
+        'rps.move.s': 'Scissors',
+        'rps.move.rShortcut': 'Rock (R)',
+        'rps.move.pShortcut': 'Paper (P)',
+        'rps.move.sShortcut': 'Scissors (S)',
+        'rps.move.group': 'Your move',
+        'rps.outcome.win': 'Win',
+        'rps.outcome.lose': 'Loss',
+        'rps.outcome.draw': 'Draw',
+
+        // Bet
+        'rps.bet.label': 'Your Bet:',
+        'rps.bet.max': 'MAX',
+        'rps.bet.idle': 'Min: {min} | Max: {max}',
+        'rps.bet.limits': 'Min: {min} | Max: {max} ({reason})',
+        'rps.bet.unavailable': 'Min: {min} | Betting unavailable (limited by {reason})',
+        'rps.bet.invalid': 'Please enter a valid bet amount!',
+        'rps.bet.tooSmall': 'Bet must be at least {min}',
+        'rps.bet.tooLarge': 'Bet cannot exceed {max} ({reason})',
+        'rps.limit.contract max bet': 'contract max bet',
+        'rps.limit.house bankroll': 'house bankroll',
+        'rps.limit.your balance minus gas': 'your balance minus gas',
+
+        // Result line
+        'rps.result.connect': 'Connect your wallet to start playing!',
+        'rps.result.choose': 'Choose your move and place your bet!',
+        'rps.result.user': 'user',
+        'rps.result.comp': 'comp',
+        'rps.result.win': '{player} beats {contract}. You win {amount}!',
+        'rps.result.lose': '{player} loses to {contract}. You lost...',
+        'rps.result.draw': "{player} equals {contract}. It's a draw. {refund}",
+        'rps.result.drawKept': 'The contract kept your bet.',
+        'rps.result.drawReturned': '{amount} returned.',
+        'rps.result.noRounds': 'Game played! Check console for details.',
+        'rps.status.checking': '⏳ Checking your bet...',
+        'rps.status.signing': '⏳ Loading... Waiting for blockchain transaction...',
+        'rps.status.sent': '⏳ Transaction sent! Waiting for confirmation...',
+
+        // Errors
+        'rps.error.installMetaMask': 'Please install MetaMask!',
+        'rps.error.connectFirst': 'Please connect your wallet first!',
+        'rps.error.connectFailed': 'Failed to connect: {error}',
+        'rps.error.rejected': 'Transaction rejected by user.',
+        'rps.error.cancelledInWallet': 'Your transaction was cancelled in the wallet. No bet was placed.',
+        'rps.error.insufficientFunds': 'Insufficient funds for bet + gas.',
+        'rps.error.generic': 'Error: {error}',
+
+        // Transaction names in notifications
+        'rps.tx.play': 'Bet',
+        'rps.tx.playBatch': 'Batch bet',
+        'rps.tx.commit': 'Move commitment',
+        'rps.tx.reveal': 'Move reveal',
+        'rps.tx.cancelCommit': 'Commitment cancel',
+        'rps.tx.forfeit': 'Expired commitment clearing',
+        'rps.tx.deposit': 'Deposit',
+        'rps.tx.withdraw': 'Withdrawal',
+        // Contract revert reasons: the English texts are REVERT_MESSAGES in 4rps/p10/config.js,
+        // other languages translate them as 'rps.revert.<reason>'
+
+        // Keyboard and settings
+        'rps.keys.label': 'Keys:',
+        'rps.keys.play': 'to play,',
+        'rps.keys.replay': 'to replay your last bet',
+        'rps.settings.sound': 'Sound effects',
+        'rps.settings.reducedMotion': 'Reduce motion',
+
+        // Commit-reveal
+        'rps.commit.toggle': "Commit-reveal mode (the contract move can't be predicted)",
+        'rps.commit.reveal': 'Reveal',
+        'rps.commit.cancel': 'Cancel & refund',
+        'rps.commit.forfeit': 'Clear expired commitment',
+        'rps.commit.waitingTx': '⏳ Waiting for your commitment transaction to confirm...',
+        'rps.commit.signing': '⏳ Loading... Waiting for commitment transaction...',
+        'rps.commit.sent': '⏳ Commitment sent! Waiting for confirmation...',
+        'rps.commit.committed': '{move} committed. Waiting for the contract move...',
+        'rps.commit.expired': 'Your {bet} commitment was not revealed by block {deadline} and is forfeited to the house. Clear it to play commit-reveal rounds again.',
+        'rps.commit.secretMissing': 'You have an open {bet} commitment from block {block}, but its move and salt are not stored in this browser. It cannot be revealed here and is forfeited after block {deadline}.',
+        'rps.commit.waitingBlock': '{move} committed for {bet}. The contract move is decided by block {block}; until then the commitment can be cancelled for a full refund.',
+        'rps.commit.ready': 'Ready to reveal {move} for {bet}. Reveal before block {deadline} ({blocksLeft} blocks left) or the bet is forfeited.',
+        'rps.commit.revealSigning': '⏳ Loading... Waiting for reveal transaction...',
+        'rps.commit.revealSent': '⏳ Reveal sent! Waiting for confirmation...',
+        'rps.commit.revealRejected': 'Reveal rejected. Reveal before the deadline or the bet is forfeited.',
+        'rps.commit.revealFailed': 'Reveal failed: {error}',
+        'rps.commit.cancelSigning': '⏳ Loading... Waiting for cancel transaction...',
+        'rps.commit.cancelled': 'Commitment cancelled and bet refunded.',
+        'rps.commit.cancelFailed': 'Cancel failed: {error}',
+        'rps.commit.forfeitSigning': '⏳ Loading... Waiting for transaction...',
+        'rps.commit.cleared': 'Expired commitment cleared.',
+
+        // Pending transactions after a reload
+        'rps.pending.resuming': '⏳ Resuming your pending {move} bet of {bet}...',
+        'rps.pending.reverted': 'Your {bet} bet was reverted by the contract. Only gas was spent.',
+        'rps.pending.replaced': 'Your pending {bet} bet was replaced by another transaction. No bet was placed.',
+        'rps.pending.dropped': 'Your pending {bet} bet was dropped by the network. No funds were spent.',
+        'rps.pending.checkFailed': 'Could not check your pending {bet} bet: {error}. Retrying...',
+
+        // Series and queued moves
+        'rps.series.mode': 'Mode:',
+        'rps.series.single': 'Single rounds',
+        'rps.series.bestOf3': 'Best of 3',
+        'rps.series.bestOf5': 'Best of 5',
+        'rps.series.queue': 'Queue of moves',
+        'rps.series.queuePlaceholder': 'e.g. RPSRR',
+        'rps.series.oneTransaction': 'Batched, up to 10 moves per transaction',
+        'rps.series.playQueue': 'Play queue',
+        'rps.series.titleBestOf': 'Best of {size}',
+        'rps.series.titleQueue': 'Queue {played}/{size}',
+        'rps.series.inProgress': 'in progress',
+        'rps.series.won': 'won!',
+        'rps.series.lost': 'lost',
+        'rps.series.tied': 'tied',
+        'rps.series.status': '{title} {state} | You {wins} : {losses} Contract (draws: {draws}) | {money}',
+        'rps.series.money': 'Wagered: {wagered} | Paid out: {paidOut} | Net: {net}',
+        'rps.series.invalidQueue': 'Enter your moves as R, P and S letters, e.g. RPSR.',
+        'rps.series.commitRevealOn': 'Queued moves are played directly; turn off commit-reveal mode first.',
+        'rps.series.batchTooLarge': '{count} moves in one transaction bet {total}, more than {max} ({reason}). Lower the bet or queue fewer moves.',
+
+        // Game history
+        'rps.history.title': 'Your Game History',
+        'rps.history.loadOlder': 'Load older rounds',
+        'rps.history.connect': 'Connect your wallet to load your past rounds.',
+        'rps.history.time': 'Time',
+        'rps.history.you': 'You',
+        'rps.history.contract': 'Contract',
+        'rps.history.bet': 'Bet',
+        'rps.history.payout': 'Payout',
+        'rps.history.result': 'Result',
+        'rps.history.tx': 'Tx',
+        'rps.history.empty': 'No rounds found yet.',
+        'rps.history.scanning': 'Scanning for your past rounds...',
+        'rps.history.played': { one: '{count} round played.', other: '{count} rounds played.' },
+        'rps.history.foundSince': { one: '{count} round found since block {block}.', other: '{count} rounds found since block {block}.' },
+        'rps.history.loadFailed': 'Failed to load history: {error}',
+        'rps.scanningBlocks': 'Scanning blocks {from} - {to}...',
+        'rps.scannedBlocks': 'Scanned blocks {from} - {to}...',
+
+        // Live activity
+        'rps.feed.title': 'Live Activity',
+        'rps.feed.connect': "Connect your wallet to follow other players' rounds.",
+        'rps.feed.waiting': 'Waiting for rounds...',
+        'rps.feed.you': 'You',
+        'rps.feed.moves': '{player} vs {contract}',
+        'rps.feed.won': 'won {amount}',
+        'rps.feed.lost': 'lost {amount}',
+        'rps.feed.drewKept': 'drew, {amount} kept by the house',
+        'rps.feed.drewReturned': 'drew, {amount} returned',
+        'rps.feed.tx': 'tx',
+        'rps.feed.stats': 'Rounds: {rounds} | Wagered: {wagered} | House edge: {edge} | Biggest win today: {biggestWin}',
+        'rps.feed.biggestWin': '{amount} ({player})',
+
+        // Profit & loss
+        'rps.pnl.title': 'Profit & Loss',
+        'rps.pnl.export': 'Export CSV',
+        'rps.pnl.session': 'This session',
+        'rps.pnl.allTime': 'All time',
+        'rps.pnl.loaded': 'Loaded rounds',
+        'rps.pnl.sinceBlock': 'Since block {block}',
+        'rps.pnl.rounds': 'Rounds',
+        'rps.pnl.wagered': 'Wagered',
+        'rps.pnl.paidOut': 'Paid out',
+        'rps.pnl.gasSpent': 'Gas spent',
+        'rps.pnl.net': 'Net result',
+        'rps.pnl.rockWinRate': 'Rock win rate',
+        'rps.pnl.paperWinRate': 'Paper win rate',
+        'rps.pnl.scissorsWinRate': 'Scissors win rate',
+        'rps.pnl.longestWinStreak': 'Longest win streak',
+        'rps.pnl.longestLossStreak': 'Longest losing streak',
+        'rps.pnl.winRate': '{rate} ({wins}/{played})',
+
+        // House administration
+        'rps.admin.title': 'House Administration',
+        'rps.admin.refresh': 'Refresh',
+        'rps.admin.deposit': 'Deposit',
+        'rps.admin.withdraw': 'Withdraw',
+        'rps.admin.bankroll': 'Bankroll',
+        'rps.admin.lockedFunds': 'Locked for open commitments',
+        'rps.admin.freeBankroll': 'Free bankroll',
+        'rps.admin.maxBet': 'Max bet (on-chain)',
+        'rps.admin.coveredWins': 'Max-bet wins covered',
+        'rps.admin.exposure': 'Exposure',
+        'rps.admin.roundsPlayed': 'Rounds played',
+        'rps.admin.totalWagered': 'Total wagered',
+        'rps.admin.totalPaidOut': 'Total paid out',
+        'rps.admin.forfeited': 'Forfeited commitments',
+        'rps.admin.forfeitedValue': { one: '{count} bet, {amount}', other: '{count} bets, {amount}' },
+        'rps.admin.housePnl': 'House P&L',
+        'rps.admin.coversMaxBet': 'Covers a maximum bet',
+        'rps.admin.betsRevertAbove': 'Bets above {amount} will revert',
+        'rps.admin.statsUpTo': 'House statistics up to block {block}.',
+        'rps.admin.statsPartial': 'House statistics for blocks {from} - {to} only; Refresh scans older blocks.',
+        'rps.admin.loadFailed': 'Failed to load house statistics: {error}',
+        'rps.admin.invalidAmount': 'Enter a valid amount.',
+        'rps.admin.depositWaiting': '⏳ Waiting for deposit transaction...',
+        'rps.admin.deposited': 'Deposited {amount}.',
+        'rps.admin.depositRejected': 'Deposit rejected by user.',
+        'rps.admin.depositFailed': 'Deposit failed: {error}',
+        'rps.admin.withdrawTooMuch': 'Cannot withdraw more than the bankroll not locked for open commitments ({amount}).',
+        'rps.admin.withdrawWaiting': '⏳ Waiting for withdraw transaction...',
+        'rps.admin.withdrew': 'Withdrew {amount}.',
+        'rps.admin.withdrawRejected': 'Withdraw rejected by user.',
+        'rps.admin.withdrawFailed': 'Withdraw failed: {error}',
+
+        // Player vs player
+        'rps.pvp.title': 'Player vs Player',
+        'rps.pvp.createMatch': 'Create match',
+        'rps.pvp.openMatches': 'Open matches',
+        'rps.pvp.yourMatches': 'Your matches',
+        'rps.pvp.match': 'Match',
+        'rps.pvp.creator': 'Creator',
+        'rps.pvp.opponent': 'Opponent',
+        'rps.pvp.stake': 'Stake',
+        'rps.pvp.joinWith': 'Join with',
+        'rps.pvp.status': 'Status',
+        'rps.pvp.noOpenMatches': 'No open matches.',
+        'rps.pvp.noMatches': 'You have no matches yet.',
+        'rps.pvp.waitingOpponent': 'Waiting for an opponent',
+        'rps.pvp.cancelled': 'Cancelled, stake refunded',
+        'rps.pvp.moves': '{mine} vs {theirs}',
+        'rps.pvp.draw': '{moves}: draw, stake refunded',
+        'rps.pvp.won': '{moves}: you won {amount}',
+        'rps.pvp.lost': '{moves}: you lost',
+        'rps.pvp.opponentDidNotReveal': 'Opponent did not reveal: you won {amount}',
+        'rps.pvp.youDidNotReveal': 'You did not reveal in time: stake lost',
+        'rps.pvp.nobodyRevealed': 'Nobody revealed: stakes refunded',
+        'rps.pvp.deadlinePassed': 'Reveal deadline ({deadline}) passed',
+        'rps.pvp.revealBefore': 'Reveal your {move} before {deadline}',
+        'rps.pvp.secretMissing': 'Your move is not stored in this browser; it cannot be revealed here (deadline {deadline})',
+        'rps.pvp.waitingReveal': 'Waiting for the opponent to reveal before {deadline}',
+        'rps.pvp.action.cancel': 'Cancel',
+        'rps.pvp.action.reveal': 'Reveal',
+        'rps.pvp.action.claim': 'Claim timeout',
+        'rps.pvp.tx.create': 'Create match',
+        'rps.pvp.tx.join': 'Join match',
+        'rps.pvp.tx.reveal': 'Reveal',
+        'rps.pvp.tx.cancel': 'Cancel match',
+        'rps.pvp.tx.claim': 'Claim timeout',
+        'rps.pvp.tx.withdraw': 'Withdraw',
+        'rps.pvp.txWaiting': '⏳ Waiting for {label} transaction...',
+        'rps.pvp.txSent': '⏳ {label} sent! Waiting for confirmation...',
+        'rps.pvp.txConfirmed': '{label} confirmed.',
+        'rps.pvp.txFailed': '{label} failed: {error}',
+        'rps.pvp.invalidStake': 'Enter a valid stake.',
+        'rps.pvp.loadFailed': 'Failed to load matches: {error}',
+        'rps.pvp.loadOlder': 'Load older matches',
+        'rps.pvp.scannedSince': 'Showing matches created since block {block}.',
+        'rps.pvp.balance': 'Winnings and refunds to withdraw: {amount}',
+        'rps.pvp.withdraw': 'Withdraw',
+
+        // Certificate gallery page
+        'nft.pageTitle': 'Graduate Certificate NFT Gallery',
+        'nft.header.title': '🎓 Graduate Certificate NFT Gallery',
+        'nft.header.subtitle': 'Blockchain-Verified Educational Credentials',
+        'nft.wallet.connect': 'Connect Wallet',
+        'nft.wallet.connected': 'Connected:',
+        'nft.wallet.yourCertificates': 'Your Certificates:',
+        'nft.wallet.viewMine': 'View my certificates',
+        'nft.search.placeholder': 'Search by name, program, or grade...',
+        'nft.search.button': 'Search',
+        'nft.filter.program': 'Program:',
+        'nft.filter.allPrograms': 'All Programs',
+        'nft.filter.grade': 'Grade:',
+        'nft.filter.allGrades': 'All Grades',
+        'nft.filter.type': 'Certificate Type:',
+        'nft.filter.allTypes': 'All Types',
+        'nft.filter.owner': 'Owner:',
+        'nft.filter.allOwners': 'All Owners',
+        'nft.filter.mine': 'My Certificates',
+        'nft.filter.byAddress': 'By Address',
+        'nft.filter.ownerAddress': 'Owner address',
+        'nft.filter.reset': 'Reset Filters',
+        'nft.stats.total': 'Total Certificates',
+        'nft.stats.matching': 'Matching Results',
+        'nft.stats.max': 'Maximum Supply',
+        'nft.debug.check': '🔍 Check Console',
+        'nft.debug.reload': '🔄 Reload NFTs',
+        'nft.debug.printed': '✅ Debug info printed to console!\n\nAll NFTs: {all}\nFiltered: {filtered}\nGallery Cards: {cards}\n\nPress F12 to see detailed logs.',
+        'nft.loading': 'Loading certificates...',
+        'nft.loadingProgress': 'Loaded {loaded} of {total} certificates...',
+        'nft.gallery.showMore': 'Show more',
+        'nft.gallery.showing': 'Showing {shown} of {total}',
+        'nft.noResults': 'No certificates found matching your criteria.',
+        'nft.mint.title': 'Mint Your Certificate',
+        'nft.mint.cost': 'Cost: {amount}',
+        'nft.mint.button': 'Mint Certificate',
+        'nft.mint.minting': 'Minting...',
+        'nft.mint.success': 'Certificate minted successfully!',
+        'nft.error.installMetaMask': 'Please install MetaMask to use this DApp!',
+        'nft.error.connectFirst': 'Please connect your wallet first!',
+        'nft.error.connectFailed': 'Failed to connect wallet: {error}',
+        'nft.error.loadFailed': 'Error loading NFTs. Check console for details.',
+        'nft.error.rejected': 'Transaction rejected by user.',
+        'nft.tx.mint': 'Certificate mint',
+        'nft.tx.ownerMint': 'Certificate issue',
+        'nft.tx.bulk': 'Batch {index} of {count}',
+        'nft.tx.baseURI': 'Base URI update',
+        'nft.tx.withdraw': 'Fee withdrawal',
+        'nft.card.name': 'Certificate #{id}',
+        'nft.card.metadataFailed': 'Metadata loading failed',
+        'nft.card.metadataTampered': 'Metadata altered, not shown',
+        'nft.card.graduate': 'Graduate:',
+        'nft.card.program': 'Program:',
+        'nft.card.grade': 'Grade:',
+        'nft.card.type': 'Type:',
+        'nft.card.owner': 'Owner:',
+        'nft.card.you': '{address} (you)',
+        'nft.card.tokenId': 'Token ID: {id}',
+        'nft.modal.details': 'Certificate Details',
+        'nft.modal.tokenId': 'Token ID:',
+        'nft.modal.owner': 'Owner:',
+        'nft.trait.Graduate Name': 'Graduate Name',
+        'nft.trait.Program': 'Program',
+        'nft.trait.Grade': 'Grade',
+        'nft.trait.Year': 'Year',
+        'nft.trait.Certificate Type': 'Certificate Type',
+        'nft.profile.back': '← Back to gallery',
+        'nft.profile.title': 'Certificate Holder',
+        'nft.profile.mine': 'My Certificates',
+        'nft.profile.count': { one: '{count} certificate', other: '{count} certificates' },
+        'nft.profile.empty': 'This address holds no certificates.',
+        'nft.profile.invalid': 'Not a valid address.',
+        'nft.profile.connect': "Connect your wallet to view this address's certificates.",
+        'nft.profile.loadFailed': 'Could not load the certificates of this address.',
+        'nft.profile.explorer': 'View on block explorer',
+        'nft.verify.nav': '🔍 Verify a certificate',
+        'nft.verify.title': 'Verify a Certificate',
+        'nft.verify.intro': "Enter a certificate's token ID, or open the verification link or QR code shared by its holder. No wallet is needed.",
+        'nft.verify.placeholder': 'Token ID',
+        'nft.verify.button': 'Verify',
+        'nft.verify.checking': 'Checking the blockchain...',
+        'nft.verify.invalidId': 'A token ID is a whole number, like 42.',
+        'nft.verify.failed': 'Could not reach the network: {error}',
+        'nft.verify.verdict.valid': '✅ Valid certificate',
+        'nft.verify.verdict.notFound': '❌ Certificate not found',
+        'nft.verify.verdict.mismatch': '⚠️ Metadata mismatch',
+        'nft.verify.validDetail': 'This certificate was issued on the blockchain and its metadata checks out.',
+        'nft.verify.notFoundDetail': 'No certificate with token ID {id} has been issued.',
+        'nft.verify.mismatchDetail': 'This certificate was issued on the blockchain, but its metadata could not be confirmed:',
+        'nft.verify.reason.fingerprint': 'The metadata differs from the version this verification link was issued for.',
+        'nft.verify.mintTx': 'Mint transaction:',
+        'nft.verify.issuedAt': 'Issued:',
+        'nft.verify.metadataUri': 'Metadata URI:',
+        'nft.verify.unavailable': 'Unavailable',
+        'nft.verify.share': '🔗 Verification link',
+        'nft.verify.creatingLink': 'Creating the verification link...',
+        'nft.verify.shareHint': 'Share this link or QR code so anyone can verify the certificate, no wallet needed.',
+        'nft.verify.shareFailed': 'Could not create the verification link: {error}',
+        'nft.verify.copy': 'Copy',
+        'nft.verify.copied': 'Verification link copied.',
+        'nft.verify.qrAlt': 'QR code of the verification link',
+        'nft.integrity.title': 'Integrity',
+        'nft.integrity.badge.verified': '✔ Verified',
+        'nft.integrity.badge.tampered': '⚠ Tampered',
+        'nft.integrity.badge.malformed': '⚠ Malformed',
+        'nft.integrity.badge.missing': '✖ Missing',
+        'nft.integrity.status.verified': 'The metadata matches the content hash (CID) in its token URI.',
+        'nft.integrity.status.unverified': 'The metadata is well-formed, but its content hash could not be checked.',
+        'nft.integrity.status.tampered': 'The metadata does not match the content hash (CID) in its token URI: it has been altered.',
+        'nft.integrity.status.malformed': 'The metadata does not follow the certificate format.',
+        'nft.integrity.status.missing': 'The metadata could not be retrieved from IPFS.',
+        'nft.integrity.cid': 'Expected content hash (CID): {cid}',
+        'nft.integrity.problem.notJson': 'The file is not valid JSON.',
+        'nft.integrity.problem.notObject': 'The file is not a JSON object.',
+        'nft.integrity.problem.name': 'The name is missing.',
+        'nft.integrity.problem.description': 'The description is not text.',
+        'nft.integrity.problem.image': 'The image link is invalid.',
+        'nft.integrity.problem.attributes': 'The attribute list is missing or invalid.',
+        'nft.integrity.problem.missingTrait': 'The "{trait}" attribute is missing.',
+        'nft.integrity.problem.duplicateTrait': 'The "{trait}" attribute appears more than once.',
+        'nft.integrity.problem.emptyTrait': 'The "{trait}" attribute is empty.',
+        'nft.integrity.problem.year': 'The year is not a four-digit year.',
+        'nft.integrity.problem.grade': 'The grade is not a letter grade.',
+        'nft.admin.title': 'Issuance Console',
+        'nft.admin.intro': 'You are the contract owner. Certificates issued here are free and not limited to one per address.',
+        'nft.admin.mintTitle': 'Issue to a graduate',
+        'nft.admin.addressPlaceholder': 'Graduate wallet address (0x...)',
+        'nft.admin.mintButton': 'Issue certificate',
+        'nft.admin.invalidAddress': 'Not a valid address: {address}',
+        'nft.admin.minted': 'Certificate issued to {address}.',
+        'nft.admin.baseURITitle': 'Metadata base URI',
+        'nft.admin.currentBaseURI': 'Current:',
+        'nft.admin.baseURIPlaceholder': 'ipfs://<folder CID>/',
+        'nft.admin.baseURIButton': 'Update base URI',
+        'nft.admin.baseURISlash': 'The base URI must end with "/": token URIs are the base URI followed by "<id>.json".',
+        'nft.admin.baseURIChanged': 'Base URI updated. Reloading certificates...',
+        'nft.admin.feesTitle': 'Mint fees',
+        'nft.admin.balance': 'Contract balance: {amount}',
+        'nft.admin.withdrawButton': 'Withdraw',
+        'nft.admin.withdrawn': 'Mint fees withdrawn.',
+        'nft.admin.bulkTitle': 'Bulk issue',
+        'nft.admin.bulkHint': 'Paste or upload a CSV with one graduate per line. The first address on each line is used; a header line and other columns are ignored, and repeated addresses are skipped. Issue again to retry failed rows.',
+        'nft.admin.bulkPlaceholder': 'address,name\n0x...,Graduate Name',
+        'nft.admin.bulkFile': 'Upload CSV',
+        'nft.admin.bulkButton': { one: 'Issue {count} certificate', other: 'Issue {count} certificates' },
+        'nft.admin.bulkIssuing': 'Issuing...',
+        'nft.admin.bulkSummary': '{ready} ready · {issued} issued · {failed} failed · {skipped} skipped',
+        'nft.admin.batchIssued': { one: '{count} certificate issued.', other: '{count} certificates issued.' },
+        'nft.admin.bulkDone': 'Bulk issue finished: {issued} issued, {failed} failed.',
+        'nft.admin.bulkFailed': 'Bulk issue stopped: {error}',
+        'nft.admin.supplyReached': 'Max supply reached',
+        'nft.admin.row.line': 'Line',
+        'nft.admin.row.address': 'Address',
+        'nft.admin.row.status': 'Status',
+        'nft.admin.status.ready': 'Ready',
+        'nft.admin.status.issuing': 'Issuing...',
+        'nft.admin.status.issued': 'Issued',
+        'nft.admin.status.failed': 'Failed: {reason}',
+        'nft.admin.status.invalid': 'Not a valid address',
+        'nft.admin.status.duplicate': 'Repeated address, skipped'
+    };
+
+    if (typeof module === 'object' && module.exports) module.exports = messages;
+    else root.I18n.addMessages('en', messages);
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,468 @@
+// Kazakh messages; keys as in en.js
+(function (root) {
+    const messages = {
+        'common.language': 'Тіл',
+        'common.notifications': 'Хабарландырулар',
+        'common.dismiss': 'Жабу',
+        'common.tx.signing': '{label}: транзакцияны әмиянда растаңыз...',
+        'common.tx.submitted': '{label}: транзакция жіберілді. Растау күтілуде...',
+        'common.tx.confirmed': '{label}: транзакция расталды.',
+        'common.tx.failed': '{label}: қате — {reason}',
+        'common.tx.view': 'Шолғышта ашу',
+
+        // Game page
+        'rps.pageTitle': 'Тас, қайшы, қағаз',
+        'rps.header.title': '🎮 Тас, қайшы, қағаз 🎮',
+        'rps.header.subtitle': 'Блокчейн нұсқасы',
+        'rps.wallet.connect': 'Әмиянды қосу',
+        'rps.wallet.connected': 'Қосылды ✓',
+        'rps.wallet.switchNetwork': 'Желіні ауыстыру',
+        'rps.info.contractBalance': 'Келісімшарт балансы:',
+        'rps.info.userBalance': 'Сіздің балансыңыз:',
+        'rps.score.you': 'сіз',
+        'rps.score.contract': 'келісімшарт',
+        'rps.actionMsg': 'Әмиянды қосып, бәс тігіңіз!',
+        'rps.notDeployed': 'Ойын бұл желіде орнатылмаған (chain {chainId}). Ойнау үшін {network} желісіне ауысыңыз.',
+
+        // Moves and outcomes
+        'rps.move.r': 'Тас',
+        'rps.move.p': 'Қағаз',
+        'rps.move.s': 'Қайшы',
+        'rps.move.rShortcut': 'Тас (R)',
+        'rps.move.pShortcut': 'Қағаз (P)',
+        'rps.move.sShortcut': 'Қайшы (S)',
+        'rps.move.group': 'Сіздің жүрісіңіз',
+        'rps.outcome.win': 'Жеңіс',
+        'rps.outcome.lose': 'Жеңіліс',
+        'rps.outcome.draw': 'Тең',
+
+        // Bet
+        'rps.bet.label': 'Сіздің бәсіңіз:',
+        'rps.bet.max': 'МАКС',
+        'rps.bet.idle': 'Мин: {min} | Макс: {max}',
+        'rps.bet.limits': 'Мин: {min} | Макс: {max} ({reason})',
+        'rps.bet.unavailable': 'Мин: {min} | Бәс тігу мүмкін емес (шектеу: {reason})',
+        'rps.bet.invalid': 'Бәстің дұрыс сомасын енгізіңіз!',
+        'rps.bet.tooSmall': 'Бәс кемінде {min} болуы керек',
+        'rps.bet.tooLarge': 'Бәс {max} сомасынан аспауы керек ({reason})',
+        'rps.limit.contract max bet': 'келісімшарттың ең үлкен бәсі',
+        'rps.limit.house bankroll': 'казино банкі',
+        'rps.limit.your balance minus gas': 'газды шегергендегі балансыңыз',
+
+        // Result line
+        'rps.result.connect': 'Ойынды бастау үшін әмиянды қосыңыз!',
+        'rps.result.choose': 'Жүрісіңізді таңдап, бәс тігіңіз!',
+        'rps.result.user': 'сіз',
+        'rps.result.comp': 'келісімшарт',
+        'rps.result.win': '{player} {contract} ұтады. Сіз {amount} ұттыңыз!',
+        'rps.result.lose': '{player} {contract} алдында жеңіледі. Сіз ұтылдыңыз...',
+        'rps.result.draw': '{player} мен {contract}. Тең түсті. {refund}',
+        'rps.result.drawKept': 'Келісімшарт бәсіңізді өзінде қалдырды.',
+        'rps.result.drawReturned': '{amount} қайтарылды.',
+        'rps.result.noRounds': 'Ойын ойналды! Толығырақ консольде.',
+        'rps.status.checking': '⏳ Бәсіңіз тексерілуде...',
+        'rps.status.signing': '⏳ Жүктелуде... Блокчейн транзакциясы күтілуде...',
+        'rps.status.sent': '⏳ Транзакция жіберілді! Растау күтілуде...',
+
+        // Errors
+        'rps.error.installMetaMask': 'MetaMask орнатыңыз!',
+        'rps.error.connectFirst': 'Алдымен әмиянды қосыңыз!',
+        'rps.error.connectFailed': 'Қосылу сәтсіз аяқталды: {error}',
+        'rps.error.rejected': 'Транзакцияны пайдаланушы қабылдамады.',
+        'rps.error.cancelledInWallet': 'Транзакция әмиянда тоқтатылды. Бәс тігілген жоқ.',
+        'rps.error.insufficientFunds': 'Бәс пен газға қаражат жеткіліксіз.',
+        'rps.error.generic': 'Қате: {error}',
+
+        // Хабарландырулардағы транзакция атаулары
+        'rps.tx.play': 'Бәс',
+        'rps.tx.playBatch': 'Бәстер топтамасы',
+        'rps.tx.commit': 'Жүрісті бекіту',
+        'rps.tx.reveal': 'Жүрісті ашу',
+        'rps.tx.cancelCommit': 'Бекітуден бас тарту',
+        'rps.tx.forfeit': 'Мерзімі өткен бекітуді тазалау',
+        'rps.tx.deposit': 'Толықтыру',
+        'rps.tx.withdraw': 'Қаражат шығару',
+
+        // Contract revert reasons
+        'rps.revert.Bet too small': 'Бәсіңіз келісімшарттың ең аз бәсінен төмен.',
+        'rps.revert.Bet too large': 'Бәсіңіз келісімшарттың ең үлкен бәсінен жоғары.',
+        'rps.revert.Contract lacks funds for payout': 'Казино банкі мұндай ұтысты өтей алмайды. Кішірек бәс тігіп көріңіз.',
+        'rps.revert.Only owner can withdraw': 'Қаражатты тек келісімшарт иесі шығара алады.',
+        'rps.revert.Funds locked for open commitments': 'Банктің бір бөлігі ашық commit-reveal раундтарына сақталған.',
+        'rps.revert.Commitment already open': 'Жаңасын бастамас бұрын ашық commit-reveal раундын аяқтаңыз.',
+        'rps.revert.No open commitment': 'Сізде ашық commit-reveal раунды жоқ.',
+        'rps.revert.Contract move not determined yet': 'Ашар алдында тағы бір блок күтіңіз.',
+        'rps.revert.Contract move already determined': 'Тоқтатуға кеш: келісімшарттың жүрісі анықталып қойды.',
+        'rps.revert.Reveal window expired': 'Ашу мерзімі өтті; бәс жоғалды.',
+        'rps.revert.Reveal window still open': 'Міндеттемені әлі ашуға болады.',
+        'rps.revert.Move does not match commitment': 'Сақталған жүріс міндеттемеңізге сәйкес келмейді.',
+        'rps.revert.Invalid number of moves': 'Кезекке 1-ден 10-ға дейін жүріс қойыңыз.',
+        'rps.revert.Bet must split evenly': 'Жалпы бәс кезектегі жүрістерге тең бөлінуі керек.',
+        'rps.revert.Stake required': 'Матч үшін бәс енгізіңіз.',
+        'rps.revert.Stake must match': 'Бәсіңіз матч бәсіне тең болуы керек.',
+        'rps.revert.Match does not exist': 'Мұндай матч жоқ.',
+        'rps.revert.Match is not open': 'Бұл матч енді ашық емес.',
+        'rps.revert.Cannot join your own match': 'Өз матчыңызға қосыла алмайсыз.',
+        'rps.revert.Only creator can cancel': 'Матчты тек оны құрушы тоқтата алады.',
+        'rps.revert.Match is not in reveal stage': 'Бұл матч жүрістерді ашуды күтіп тұрған жоқ.',
+        'rps.revert.Reveal deadline passed': 'Ашу мерзімі өтіп кетті.',
+        'rps.revert.Reveal deadline not reached': 'Ашу мерзімі әлі өткен жоқ.',
+        'rps.revert.Already revealed': 'Сіз жүрісіңізді ашып қойдыңыз.',
+        'rps.revert.Not a player in this match': 'Сіз бұл матчтың ойыншысы емессіз.',
+        'rps.revert.Nothing to withdraw': 'Ойыншыға қарсы матчтардан шығаратын қаражатыңыз жоқ.',
+        'rps.revert.Withdrawal failed': 'Қаражатты мекенжайыңызға төлеу мүмкін болмады.',
+
+        // Keyboard and settings
+        'rps.keys.label': 'Пернелер:',
+        'rps.keys.play': '— ойнау,',
+        'rps.keys.replay': '— соңғы бәсті қайталау',
+        'rps.settings.sound': 'Дыбыс әсерлері',
+        'rps.settings.reducedMotion': 'Анимацияны азайту',
+
+        // Commit-reveal
+        'rps.commit.toggle': 'Commit-reveal режимі (келісімшарттың жүрісін болжау мүмкін емес)',
+        'rps.commit.reveal': 'Ашу',
+        'rps.commit.cancel': 'Тоқтатып, бәсті қайтару',
+        'rps.commit.forfeit': 'Мерзімі өткен міндеттемені тазалау',
+        'rps.commit.waitingTx': '⏳ Міндеттеме транзакциясының расталуы күтілуде...',
+        'rps.commit.signing': '⏳ Жүктелуде... Міндеттеме транзакциясы күтілуде...',
+        'rps.commit.sent': '⏳ Міндеттеме жіберілді! Растау күтілуде...',
+        'rps.commit.committed': '«{move}» жүрісі бекітілді. Келісімшарттың жүрісі күтілуде...',
+        'rps.commit.expired': '{bet} міндеттемеңіз {deadline} блогына дейін ашылмады, бәс казиноға өтті. Commit-reveal раундтарын қайта ойнау үшін оны тазалаңыз.',
+        'rps.commit.secretMissing': 'Сізде {block} блогынан бері {bet} ашық міндеттеме бар, бірақ оның жүрісі мен тұзы осы браузерде сақталмаған. Оны мұнда ашу мүмкін емес, {deadline} блогынан кейін бәс жоғалады.',
+        'rps.commit.waitingBlock': '«{move}» жүрісі {bet} бәсімен бекітілді. Келісімшарттың жүрісін {block} блогы анықтайды; оған дейін міндеттемені толық қайтарумен тоқтатуға болады.',
+        'rps.commit.ready': '«{move}» жүрісін {bet} бәсімен ашуға болады. {deadline} блогына дейін ашыңыз (қалған блоктар: {blocksLeft}), әйтпесе бәс жоғалады.',
+        'rps.commit.revealSigning': '⏳ Жүктелуде... Ашу транзакциясы күтілуде...',
+        'rps.commit.revealSent': '⏳ Ашу жіберілді! Растау күтілуде...',
+        'rps.commit.revealRejected': 'Ашу қабылданбады. Мерзім өткенше ашыңыз, әйтпесе бәс жоғалады.',
+        'rps.commit.revealFailed': 'Ашу сәтсіз аяқталды: {error}',
+        'rps.commit.cancelSigning': '⏳ Жүктелуде... Тоқтату транзакциясы күтілуде...',
+        'rps.commit.cancelled': 'Міндеттеме тоқтатылып, бәс қайтарылды.',
+        'rps.commit.cancelFailed': 'Тоқтату сәтсіз аяқталды: {error}',
+        'rps.commit.forfeitSigning': '⏳ Жүктелуде... Транзакция күтілуде...',
+        'rps.commit.cleared': 'Мерзімі өткен міндеттеме тазаланды.',
+
+        // Pending transactions after a reload
+        'rps.pending.resuming': '⏳ «{move}» жүрісіне {bet} күтудегі бәсіңізді бақылау жалғасуда...',
+        'rps.pending.reverted': '{bet} бәсіңізді келісімшарт қабылдамады. Тек газ жұмсалды.',
+        'rps.pending.replaced': 'Күтудегі {bet} бәсіңіз басқа транзакциямен ауыстырылды. Бәс тігілген жоқ.',
+        'rps.pending.dropped': 'Күтудегі {bet} бәсіңізді желі тастап кетті. Қаражат жұмсалған жоқ.',
+        'rps.pending.checkFailed': 'Күтудегі {bet} бәсіңізді тексеру мүмкін болмады: {error}. Қайта тексерілуде...',
+
+        // Series and queued moves
+        'rps.series.mode': 'Режим:',
+        'rps.series.single': 'Жеке раундтар',
+        'rps.series.bestOf3': '3 раундтың үздігі',
+        'rps.series.bestOf5': '5 раундтың үздігі',
+        'rps.series.queue': 'Жүрістер кезегі',
+        'rps.series.queuePlaceholder': 'мыс. RPSRR',
+        'rps.series.oneTransaction': 'Топтап, бір транзакцияда 10 жүріске дейін',
+        'rps.series.playQueue': 'Кезекті ойнау',
+        'rps.series.titleBestOf': '{size} раундтың үздігі',
+        'rps.series.titleQueue': 'Кезек {played}/{size}',
+        'rps.series.inProgress': 'жүріп жатыр',
+        'rps.series.won': 'жеңіспен аяқталды!',
+        'rps.series.lost': 'жеңіліспен аяқталды',
+        'rps.series.tied': 'тең',
+        'rps.series.status': '{title}: {state} | Сіз {wins} : {losses} Келісімшарт (тең: {draws}) | {money}',
+        'rps.series.money': 'Тігілді: {wagered} | Төленді: {paidOut} | Нәтиже: {net}',
+        'rps.series.invalidQueue': 'Жүрістерді R, P және S әріптерімен енгізіңіз, мысалы RPSR.',
+        'rps.series.commitRevealOn': 'Кезектегі жүрістер тікелей ойналады; алдымен commit-reveal режимін өшіріңіз.',
+        'rps.series.batchTooLarge': 'Бір транзакциядағы {count} жүріс {total} бәс тігеді, бұл {max} шамасынан көп ({reason}). Бәсті азайтыңыз немесе жүрістерді азырақ қойыңыз.',
+
+        // Game history
+        'rps.history.title': 'Ойындарыңыздың тарихы',
+        'rps.history.loadOlder': 'Ертерек раундтарды жүктеу',
+        'rps.history.connect': 'Өткен раундтарды жүктеу үшін әмиянды қосыңыз.',
+        'rps.history.time': 'Уақыт',
+        'rps.history.you': 'Сіз',
+        'rps.history.contract': 'Келісімшарт',
+        'rps.history.bet': 'Бәс',
+        'rps.history.payout': 'Төлем',
+        'rps.history.result': 'Нәтиже',
+        'rps.history.tx': 'Транзакция',
+        'rps.history.empty': 'Әзірге раундтар жоқ.',
+        'rps.history.scanning': 'Өткен раундтарыңыз ізделуде...',
+        'rps.history.played': '{count} раунд ойналды.',
+        'rps.history.foundSince': '{block} блогынан бері {count} раунд табылды.',
+        'rps.history.loadFailed': 'Тарихты жүктеу сәтсіз аяқталды: {error}',
+        'rps.scanningBlocks': '{from} - {to} блоктары қаралуда...',
+        'rps.scannedBlocks': '{from} - {to} блоктары қаралды...',
+
+        // Live activity
+        'rps.feed.title': 'Тікелей белсенділік',
+        'rps.feed.connect': 'Басқа ойыншылардың раундтарын бақылау үшін әмиянды қосыңыз.',
+        'rps.feed.waiting': 'Раундтар күтілуде...',
+        'rps.feed.you': 'Сіз',
+        'rps.feed.moves': '{player} пен {contract}',
+        'rps.feed.won': '{amount} ұтты',
+        'rps.feed.lost': '{amount} ұтылды',
+        'rps.feed.drewKept': 'тең, {amount} казинода қалды',
+        'rps.feed.drewReturned': 'тең, {amount} қайтарылды',
+        'rps.feed.tx': 'tx',
+        'rps.feed.stats': 'Раундтар: {rounds} | Тігілді: {wagered} | Казино артықшылығы: {edge} | Бүгінгі ең үлкен ұтыс: {biggestWin}',
+        'rps.feed.biggestWin': '{amount} ({player})',
+
+        // Profit & loss
+        'rps.pnl.title': 'Пайда мен шығын',
+        'rps.pnl.export': 'CSV экспорттау',
+        'rps.pnl.session': 'Осы сессия',
+        'rps.pnl.allTime': 'Барлық уақыт',
+        'rps.pnl.loaded': 'Жүктелген раундтар',
+        'rps.pnl.sinceBlock': '{block} блогынан бері',
+        'rps.pnl.rounds': 'Раундтар',
+        'rps.pnl.wagered': 'Тігілді',
+        'rps.pnl.paidOut': 'Төленді',
+        'rps.pnl.gasSpent': 'Газға жұмсалды',
+        'rps.pnl.net': 'Таза нәтиже',
+        'rps.pnl.rockWinRate': 'Таспен жеңу үлесі',
+        'rps.pnl.paperWinRate': 'Қағазбен жеңу үлесі',
+        'rps.pnl.scissorsWinRate': 'Қайшымен жеңу үлесі',
+        'rps.pnl.longestWinStreak': 'Ең ұзақ жеңістер сериясы',
+        'rps.pnl.longestLossStreak': 'Ең ұзақ жеңілістер сериясы',
+        'rps.pnl.winRate': '{rate} ({wins}/{played})',
+
+        // House administration
+        'rps.admin.title': 'Казиноны басқару',
+        'rps.admin.refresh': 'Жаңарту',
+        'rps.admin.deposit': 'Толықтыру',
+        'rps.admin.withdraw': 'Шығару',
+        'rps.admin.bankroll': 'Банк',
+        'rps.admin.lockedFunds': 'Ашық міндеттемелерге бұғатталған',
+        'rps.admin.freeBankroll': 'Бос банк',
+        'rps.admin.maxBet': 'Ең үлкен бәс (келісімшартта)',
+        'rps.admin.coveredWins': 'Ең үлкен бәспен өтелетін ұтыстар',
+        'rps.admin.exposure': 'Тәуекел',
+        'rps.admin.roundsPlayed': 'Ойналған раундтар',
+        'rps.admin.totalWagered': 'Барлығы тігілді',
+        'rps.admin.totalPaidOut': 'Барлығы төленді',
+        'rps.admin.forfeited': 'Айырылған міндеттемелер',
+        'rps.admin.forfeitedValue': '{count} бәс, {amount}',
+        'rps.admin.housePnl': 'Казино пайдасы',
+        'rps.admin.coversMaxBet': 'Ең үлкен бәсті өтейді',
+        'rps.admin.betsRevertAbove': '{amount} сомасынан жоғары бәстер қабылданбайды',
+        'rps.admin.statsUpTo': '{block} блогына дейінгі казино статистикасы.',
+        'rps.admin.statsPartial': 'Казино статистикасы тек {from} - {to} блоктары бойынша; ескі блоктарды қарау үшін Жаңарту басыңыз.',
+        'rps.admin.loadFailed': 'Казино статистикасын жүктеу сәтсіз аяқталды: {error}',
+        'rps.admin.invalidAmount': 'Дұрыс соманы енгізіңіз.',
+        'rps.admin.depositWaiting': '⏳ Толықтыру транзакциясы күтілуде...',
+        'rps.admin.deposited': '{amount} салынды.',
+        'rps.admin.depositRejected': 'Толықтыруды пайдаланушы қабылдамады.',
+        'rps.admin.depositFailed': 'Толықтыру сәтсіз аяқталды: {error}',
+        'rps.admin.withdrawTooMuch': 'Ашық міндеттемелерге бұғатталмаған банктен ({amount}) артық шығаруға болмайды.',
+        'rps.admin.withdrawWaiting': '⏳ Шығару транзакциясы күтілуде...',
+        'rps.admin.withdrew': '{amount} шығарылды.',
+        'rps.admin.withdrawRejected': 'Шығаруды пайдаланушы қабылдамады.',
+        'rps.admin.withdrawFailed': 'Шығару сәтсіз аяқталды: {error}',
+
+        // Player vs player
+        'rps.pvp.title': 'Ойыншы мен ойыншы',
+        'rps.pvp.createMatch': 'Матч құру',
+        'rps.pvp.openMatches': 'Ашық матчтар',
+        'rps.pvp.yourMatches': 'Сіздің матчтарыңыз',
+        'rps.pvp.match': 'Матч',
+        'rps.pvp.creator': 'Құрушы',
+        'rps.pvp.opponent': 'Қарсылас',
+        'rps.pvp.stake': 'Бәс',
+        'rps.pvp.joinWith': 'Жүріспен қосылу',
+        'rps.pvp.status': 'Күйі',
+        'rps.pvp.noOpenMatches': 'Ашық матчтар жоқ.',
+        'rps.pvp.noMatches': 'Сізде әлі матч жоқ.',
+        'rps.pvp.waitingOpponent': 'Қарсылас күтілуде',
+        'rps.pvp.cancelled': 'Тоқтатылды, бәс қайтарылды',
+        'rps.pvp.moves': '{mine} пен {theirs}',
+        'rps.pvp.draw': '{moves}: тең, бәс қайтарылды',
+        'rps.pvp.won': '{moves}: сіз {amount} ұттыңыз',
+        'rps.pvp.lost': '{moves}: сіз ұтылдыңыз',
+        'rps.pvp.opponentDidNotReveal': 'Қарсылас жүрісін ашпады: сіз {amount} ұттыңыз',
+        'rps.pvp.youDidNotReveal': 'Жүрісіңізді уақытында ашпадыңыз: бәс жоғалды',
+        'rps.pvp.nobodyRevealed': 'Ешкім жүрісін ашпады: бәстер қайтарылды',
+        'rps.pvp.deadlinePassed': 'Ашу мерзімі ({deadline}) өтті',
+        'rps.pvp.revealBefore': '«{move}» жүрісіңізді {deadline} дейін ашыңыз',
+        'rps.pvp.secretMissing': 'Жүрісіңіз осы браузерде сақталмаған, оны мұнда ашу мүмкін емес (мерзімі {deadline})',
+        'rps.pvp.waitingReveal': 'Қарсыластың {deadline} дейін жүрісін ашуы күтілуде',
+        'rps.pvp.action.cancel': 'Тоқтату',
+        'rps.pvp.action.reveal': 'Ашу',
+        'rps.pvp.action.claim': 'Уақыт өтуі бойынша алу',
+        'rps.pvp.tx.create': 'Матч құру',
+        'rps.pvp.tx.join': 'Матчқа қосылу',
+        'rps.pvp.tx.reveal': 'Ашу',
+        'rps.pvp.tx.cancel': 'Матчты тоқтату',
+        'rps.pvp.tx.claim': 'Уақыт өтуі бойынша алу',
+        'rps.pvp.tx.withdraw': 'Шығару',
+        'rps.pvp.txWaiting': '⏳ Транзакция күтілуде: {label}...',
+        'rps.pvp.txSent': '⏳ {label}: транзакция жіберілді! Растау күтілуде...',
+        'rps.pvp.txConfirmed': '{label}: расталды.',
+        'rps.pvp.txFailed': '{label}: сәтсіз аяқталды: {error}',
+        'rps.pvp.invalidStake': 'Дұрыс бәс енгізіңіз.',
+        'rps.pvp.loadFailed': 'Матчтарды жүктеу сәтсіз аяқталды: {error}',
+        'rps.pvp.loadOlder': 'Ескі матчтарды жүктеу',
+        'rps.pvp.scannedSince': '{block} блогынан бері құрылған матчтар көрсетілген.',
+        'rps.pvp.balance': 'Шығаруға болатын ұтыс пен қайтарым: {amount}',
+        'rps.pvp.withdraw': 'Шығару',
+
+        // Certificate gallery page
+        'nft.pageTitle': 'Түлектер сертификаттарының NFT галереясы',
+        'nft.header.title': '🎓 Түлектер сертификаттарының NFT галереясы',
+        'nft.header.subtitle': 'Блокчейнмен расталған білім құжаттары',
+        'nft.wallet.connect': 'Әмиянды қосу',
+        'nft.wallet.connected': 'Қосылды:',
+        'nft.wallet.yourCertificates': 'Сіздің сертификаттарыңыз:',
+        'nft.wallet.viewMine': 'Менің сертификаттарым',
+        'nft.search.placeholder': 'Аты, бағдарламасы немесе бағасы бойынша іздеу...',
+        'nft.search.button': 'Іздеу',
+        'nft.filter.program': 'Бағдарлама:',
+        'nft.filter.allPrograms': 'Барлық бағдарламалар',
+        'nft.filter.grade': 'Баға:',
+        'nft.filter.allGrades': 'Барлық бағалар',
+        'nft.filter.type': 'Сертификат түрі:',
+        'nft.filter.allTypes': 'Барлық түрлері',
+        'nft.filter.owner': 'Иесі:',
+        'nft.filter.allOwners': 'Барлық иелер',
+        'nft.filter.mine': 'Менің сертификаттарым',
+        'nft.filter.byAddress': 'Мекенжай бойынша',
+        'nft.filter.ownerAddress': 'Иесінің мекенжайы',
+        'nft.filter.reset': 'Сүзгілерді тазалау',
+        'nft.stats.total': 'Барлық сертификаттар',
+        'nft.stats.matching': 'Сәйкес нәтижелер',
+        'nft.stats.max': 'Ең көп шығарылым',
+        'nft.debug.check': '🔍 Консольді тексеру',
+        'nft.debug.reload': '🔄 NFT қайта жүктеу',
+        'nft.debug.printed': '✅ Жөндеу ақпараты консольге шығарылды!\n\nБарлық NFT: {all}\nСүзілген: {filtered}\nГалереядағы карталар: {cards}\n\nТолық журналды көру үшін F12 басыңыз.',
+        'nft.loading': 'Сертификаттар жүктелуде...',
+        'nft.loadingProgress': '{total} сертификаттың {loaded} жүктелді...',
+        'nft.gallery.showMore': 'Тағы көрсету',
+        'nft.gallery.showing': '{total} ішінен {shown} көрсетілген',
+        'nft.noResults': 'Шарттарыңызға сәйкес сертификаттар табылмады.',
+        'nft.mint.title': 'Сертификатыңызды шығарыңыз',
+        'nft.mint.cost': 'Құны: {amount}',
+        'nft.mint.button': 'Сертификат шығару',
+        'nft.mint.minting': 'Шығарылуда...',
+        'nft.mint.success': 'Сертификат сәтті шығарылды!',
+        'nft.error.installMetaMask': 'Қосымшаны пайдалану үшін MetaMask орнатыңыз!',
+        'nft.error.connectFirst': 'Алдымен әмиянды қосыңыз!',
+        'nft.error.connectFailed': 'Әмиянды қосу сәтсіз аяқталды: {error}',
+        'nft.error.loadFailed': 'NFT жүктеу қатесі. Толығырақ консольде.',
+        'nft.error.rejected': 'Транзакцияны пайдаланушы қабылдамады.',
+        'nft.tx.mint': 'Сертификат шығару',
+        'nft.tx.ownerMint': 'Сертификат беру',
+        'nft.tx.bulk': '{count} топтың {index}-і',
+        'nft.tx.baseURI': 'Негізгі URI жаңарту',
+        'nft.tx.withdraw': 'Алымдарды шығару',
+        'nft.card.name': '№{id} сертификат',
+        'nft.card.metadataFailed': 'Метадеректерді жүктеу сәтсіз аяқталды',
+        'nft.card.metadataTampered': 'Метадеректер өзгертілген, көрсетілмейді',
+        'nft.card.graduate': 'Түлек:',
+        'nft.card.program': 'Бағдарлама:',
+        'nft.card.grade': 'Баға:',
+        'nft.card.type': 'Түрі:',
+        'nft.card.owner': 'Иесі:',
+        'nft.card.you': '{address} (сіз)',
+        'nft.card.tokenId': 'Токен ID: {id}',
+        'nft.modal.details': 'Сертификат мәліметтері',
+        'nft.modal.tokenId': 'Токен ID:',
+        'nft.modal.owner': 'Иесі:',
+        'nft.trait.Graduate Name': 'Түлектің аты',
+        'nft.trait.Program': 'Бағдарлама',
+        'nft.trait.Grade': 'Баға',
+        'nft.trait.Year': 'Жыл',
+        'nft.trait.Certificate Type': 'Сертификат түрі',
+        'nft.profile.back': '← Галереяға оралу',
+        'nft.profile.title': 'Сертификат иесі',
+        'nft.profile.mine': 'Менің сертификаттарым',
+        'nft.profile.count': '{count} сертификат',
+        'nft.profile.empty': 'Бұл мекенжайда сертификаттар жоқ.',
+        'nft.profile.invalid': 'Мекенжай жарамсыз.',
+        'nft.profile.connect': 'Бұл мекенжайдың сертификаттарын көру үшін әмиянды қосыңыз.',
+        'nft.profile.loadFailed': 'Бұл мекенжайдың сертификаттарын жүктеу мүмкін болмады.',
+        'nft.profile.explorer': 'Блок шолғышында ашу',
+        'nft.verify.nav': '🔍 Сертификатты тексеру',
+        'nft.verify.title': 'Сертификатты тексеру',
+        'nft.verify.intro': 'Сертификаттың токен ID-ін енгізіңіз немесе иесі берген тексеру сілтемесін не QR-кодын ашыңыз. Әмиян қажет емес.',
+        'nft.verify.placeholder': 'Токен ID',
+        'nft.verify.button': 'Тексеру',
+        'nft.verify.checking': 'Блокчейнде тексерілуде...',
+        'nft.verify.invalidId': 'Токен ID — бүтін сан, мысалы 42.',
+        'nft.verify.failed': 'Желіге қосылу мүмкін болмады: {error}',
+        'nft.verify.verdict.valid': '✅ Сертификат жарамды',
+        'nft.verify.verdict.notFound': '❌ Сертификат табылмады',
+        'nft.verify.verdict.mismatch': '⚠️ Метадеректер сәйкес емес',
+        'nft.verify.validDetail': 'Сертификат блокчейнде шығарылған, метадеректері тексеруден өтті.',
+        'nft.verify.notFoundDetail': '{id} токен ID-і бар сертификат шығарылмаған.',
+        'nft.verify.mismatchDetail': 'Сертификат блокчейнде шығарылған, бірақ метадеректерін растау мүмкін болмады:',
+        'nft.verify.reason.fingerprint': 'Метадеректер осы тексеру сілтемесі берілген нұсқадан өзгеше.',
+        'nft.verify.mintTx': 'Шығару транзакциясы:',
+        'nft.verify.issuedAt': 'Шығарылған:',
+        'nft.verify.metadataUri': 'Метадеректер URI:',
+        'nft.verify.unavailable': 'Қолжетімсіз',
+        'nft.verify.share': '🔗 Тексеру сілтемесі',
+        'nft.verify.creatingLink': 'Тексеру сілтемесі жасалуда...',
+        'nft.verify.shareHint': 'Кез келген адам сертификатты әмиянсыз тексере алуы үшін осы сілтемені не QR-кодты бөлісіңіз.',
+        'nft.verify.shareFailed': 'Тексеру сілтемесін жасау мүмкін болмады: {error}',
+        'nft.verify.copy': 'Көшіру',
+        'nft.verify.copied': 'Тексеру сілтемесі көшірілді.',
+        'nft.verify.qrAlt': 'Тексеру сілтемесінің QR-коды',
+        'nft.integrity.title': 'Тұтастық',
+        'nft.integrity.badge.verified': '✔ Тексерілген',
+        'nft.integrity.badge.tampered': '⚠ Өзгертілген',
+        'nft.integrity.badge.malformed': '⚠ Қате пішім',
+        'nft.integrity.badge.missing': '✖ Жоқ',
+        'nft.integrity.status.verified': 'Метадеректер токен URI-індегі мазмұн хешіне (CID) сәйкес келеді.',
+        'nft.integrity.status.unverified': 'Метадеректер пішімі дұрыс, бірақ мазмұн хешін тексеру мүмкін болмады.',
+        'nft.integrity.status.tampered': 'Метадеректер токен URI-індегі мазмұн хешіне (CID) сәйкес келмейді: олар өзгертілген.',
+        'nft.integrity.status.malformed': 'Метадеректер сертификат пішіміне сәйкес емес.',
+        'nft.integrity.status.missing': 'Метадеректерді IPFS-тен алу мүмкін болмады.',
+        'nft.integrity.cid': 'Күтілген мазмұн хеші (CID): {cid}',
+        'nft.integrity.problem.notJson': 'Файл жарамды JSON емес.',
+        'nft.integrity.problem.notObject': 'Файл JSON нысаны емес.',
+        'nft.integrity.problem.name': 'Атауы жоқ.',
+        'nft.integrity.problem.description': 'Сипаттамасы мәтін емес.',
+        'nft.integrity.problem.image': 'Сурет сілтемесі жарамсыз.',
+        'nft.integrity.problem.attributes': 'Атрибуттар тізімі жоқ немесе жарамсыз.',
+        'nft.integrity.problem.missingTrait': '«{trait}» атрибуты жоқ.',
+        'nft.integrity.problem.duplicateTrait': '«{trait}» атрибуты бірнеше рет кездеседі.',
+        'nft.integrity.problem.emptyTrait': '«{trait}» атрибуты бос.',
+        'nft.integrity.problem.year': 'Жыл төрт таңбалы сан емес.',
+        'nft.integrity.problem.grade': 'Баға әріптік баға емес.',
+        'nft.admin.title': 'Беру консолі',
+        'nft.admin.intro': 'Сіз келісімшарт иесісіз. Мұнда берілетін сертификаттар тегін және бір мекенжайға біреумен шектелмейді.',
+        'nft.admin.mintTitle': 'Түлекке беру',
+        'nft.admin.addressPlaceholder': 'Түлектің әмиян мекенжайы (0x...)',
+        'nft.admin.mintButton': 'Сертификат беру',
+        'nft.admin.invalidAddress': 'Жарамсыз мекенжай: {address}',
+        'nft.admin.minted': 'Сертификат {address} мекенжайына берілді.',
+        'nft.admin.baseURITitle': 'Метадеректердің негізгі URI-і',
+        'nft.admin.currentBaseURI': 'Ағымдағы:',
+        'nft.admin.baseURIPlaceholder': 'ipfs://<қалта CID>/',
+        'nft.admin.baseURIButton': 'Негізгі URI-ді жаңарту',
+        'nft.admin.baseURISlash': 'Негізгі URI «/» таңбасымен аяқталуы керек: токен URI-і — негізгі URI және «<id>.json».',
+        'nft.admin.baseURIChanged': 'Негізгі URI жаңартылды. Сертификаттар қайта жүктелуде...',
+        'nft.admin.feesTitle': 'Шығару алымдары',
+        'nft.admin.balance': 'Келісімшарт балансы: {amount}',
+        'nft.admin.withdrawButton': 'Шығарып алу',
+        'nft.admin.withdrawn': 'Шығару алымдары алынды.',
+        'nft.admin.bulkTitle': 'Жаппай беру',
+        'nft.admin.bulkHint': 'Әр жолда бір түлек бар CSV файлын қойыңыз немесе жүктеңіз. Әр жолдағы бірінші мекенжай алынады; тақырып жолы мен басқа бағандар еленбейді, қайталанған мекенжайлар өткізіледі. Сәтсіз жолдарды қайталау үшін қайта беріңіз.',
+        'nft.admin.bulkPlaceholder': 'address,name\n0x...,Түлектің аты',
+        'nft.admin.bulkFile': 'CSV жүктеу',
+        'nft.admin.bulkButton': '{count} сертификат беру',
+        'nft.admin.bulkIssuing': 'Берілуде...',
+        'nft.admin.bulkSummary': '{ready} дайын · {issued} берілді · {failed} сәтсіз · {skipped} өткізілді',
+        'nft.admin.batchIssued': '{count} сертификат берілді.',
+        'nft.admin.bulkDone': 'Жаппай беру аяқталды: {issued} берілді, {failed} сәтсіз.',
+        'nft.admin.bulkFailed': 'Жаппай беру тоқтады: {error}',
+        'nft.admin.supplyReached': 'Ең көп саны жетті',
+        'nft.admin.row.line': 'Жол',
+        'nft.admin.row.address': 'Мекенжай',
+        'nft.admin.row.status': 'Күйі',
+        'nft.admin.status.ready': 'Дайын',
+        'nft.admin.status.issuing': 'Берілуде...',
+        'nft.admin.status.issued': 'Берілді',
+        'nft.admin.status.failed': 'Сәтсіз: {reason}',
+        'nft.admin.status.invalid': 'Жарамсыз мекенжай',
+        'nft.admin.status.duplicate': 'Қайталанған мекенжай, өткізілді'
+    };
+
+    if (typeof module === 'object' && module.exports) module.exports = messages;
+    else root.I18n.addMessages('kk', messages);
+})(typeof self !== 'undefined' ? self : this);
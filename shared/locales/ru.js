@@ -0,0 +1,483 @@
+// Russian messages; keys as in en.js
+(function (root) {
+    const messages = {
+        'common.language': 'Язык',
+        'common.notifications': 'Уведомления',
+        'common.dismiss': 'Закрыть',
+        'common.tx.signing': '{label}: подтвердите транзакцию в кошельке...',
+        'common.tx.submitted': '{label}: транзакция отправлена. Ожидание подтверждения...',
+        'common.tx.confirmed': '{label}: транзакция подтверждена.',
+        'common.tx.failed': '{label}: ошибка — {reason}',
+        'common.tx.view': 'Открыть в обозревателе',
+
+        // Game page
+        'rps.pageTitle': 'Камень, ножницы, бумага',
+        'rps.header.title': '🎮 Камень, ножницы, бумага 🎮',
+        'rps.header.subtitle': 'Блокчейн-версия',
+        'rps.wallet.connect': 'Подключить кошелёк',
+        'rps.wallet.connected': 'Подключено ✓',
+        'rps.wallet.switchNetwork': 'Сменить сеть',
+        'rps.info.contractBalance': 'Баланс контракта:',
+        'rps.info.userBalance': 'Ваш баланс:',
+        'rps.score.you': 'вы',
+        'rps.score.contract': 'контракт',
+        'rps.actionMsg': 'Подключите кошелёк и сделайте ставку!',
+        'rps.notDeployed': 'Игра не развёрнута в этой сети (chain {chainId}). Переключитесь на {network}, чтобы играть.',
+
+        // Moves and outcomes
+        'rps.move.r': 'Камень',
+        'rps.move.p': 'Бумага',
+        'rps.move.s': 'Ножницы',
+        'rps.move.rShortcut': 'Камень (R)',
+        'rps.move.pShortcut': 'Бумага (P)',
+        'rps.move.sShortcut': 'Ножницы (S)',
+        'rps.move.group': 'Ваш ход',
+        'rps.outcome.win': 'Победа',
+        'rps.outcome.lose': 'Поражение',
+        'rps.outcome.draw': 'Ничья',
+
+        // Bet
+        'rps.bet.label': 'Ваша ставка:',
+        'rps.bet.max': 'МАКС',
+        'rps.bet.idle': 'Мин: {min} | Макс: {max}',
+        'rps.bet.limits': 'Мин: {min} | Макс: {max} ({reason})',
+        'rps.bet.unavailable': 'Мин: {min} | Ставки недоступны (ограничение: {reason})',
+        'rps.bet.invalid': 'Введите корректную сумму ставки!',
+        'rps.bet.tooSmall': 'Ставка должна быть не меньше {min}',
+        'rps.bet.tooLarge': 'Ставка не может превышать {max} ({reason})',
+        'rps.limit.contract max bet': 'максимальная ставка контракта',
+        'rps.limit.house bankroll': 'банк казино',
+        'rps.limit.your balance minus gas': 'ваш баланс за вычетом газа',
+
+        // Result line
+        'rps.result.connect': 'Подключите кошелёк, чтобы начать игру!',
+        'rps.result.choose': 'Выберите ход и сделайте ставку!',
+        'rps.result.user': 'вы',
+        'rps.result.comp': 'контракт',
+        'rps.result.win': '{player} бьёт {contract}. Вы выиграли {amount}!',
+        'rps.result.lose': '{player} проигрывает {contract}. Вы проиграли...',
+        'rps.result.draw': '{player} и {contract}. Ничья. {refund}',
+        'rps.result.drawKept': 'Контракт оставил вашу ставку себе.',
+        'rps.result.drawReturned': 'Возвращено {amount}.',
+        'rps.result.noRounds': 'Игра сыграна! Подробности в консоли.',
+        'rps.status.checking': '⏳ Проверяем вашу ставку...',
+        'rps.status.signing': '⏳ Загрузка... Ожидание транзакции в блокчейне...',
+        'rps.status.sent': '⏳ Транзакция отправлена! Ожидание подтверждения...',
+
+        // Errors
+        'rps.error.installMetaMask': 'Установите MetaMask!',
+        'rps.error.connectFirst': 'Сначала подключите кошелёк!',
+        'rps.error.connectFailed': 'Не удалось подключиться: {error}',
+        'rps.error.rejected': 'Транзакция отклонена пользователем.',
+        'rps.error.cancelledInWallet': 'Транзакция отменена в кошельке. Ставка не сделана.',
+        'rps.error.insufficientFunds': 'Недостаточно средств для ставки и газа.',
+        'rps.error.generic': 'Ошибка: {error}',
+
+        // Названия транзакций в уведомлениях
+        'rps.tx.play': 'Ставка',
+        'rps.tx.playBatch': 'Пакет ставок',
+        'rps.tx.commit': 'Фиксация хода',
+        'rps.tx.reveal': 'Раскрытие хода',
+        'rps.tx.cancelCommit': 'Отмена фиксации',
+        'rps.tx.forfeit': 'Очистка просроченной фиксации',
+        'rps.tx.deposit': 'Пополнение',
+        'rps.tx.withdraw': 'Вывод средств',
+
+        // Contract revert reasons
+        'rps.revert.Bet too small': 'Ваша ставка меньше минимальной ставки контракта.',
+        'rps.revert.Bet too large': 'Ваша ставка больше максимальной ставки контракта.',
+        'rps.revert.Contract lacks funds for payout': 'Банк казино не покроет такой выигрыш. Попробуйте ставку поменьше.',
+        'rps.revert.Only owner can withdraw': 'Выводить средства может только владелец контракта.',
+        'rps.revert.Funds locked for open commitments': 'Часть банка зарезервирована для открытых раундов commit-reveal.',
+        'rps.revert.Commitment already open': 'Завершите открытый раунд commit-reveal, прежде чем начинать новый.',
+        'rps.revert.No open commitment': 'У вас нет открытого раунда commit-reveal.',
+        'rps.revert.Contract move not determined yet': 'Подождите ещё один блок перед раскрытием.',
+        'rps.revert.Contract move already determined': 'Отменять поздно: ход контракта уже определён.',
+        'rps.revert.Reveal window expired': 'Время раскрытия истекло; ставка потеряна.',
+        'rps.revert.Reveal window still open': 'Обязательство ещё можно раскрыть.',
+        'rps.revert.Move does not match commitment': 'Сохранённый ход не совпадает с вашим обязательством.',
+        'rps.revert.Invalid number of moves': 'Поставьте в очередь от 1 до 10 ходов.',
+        'rps.revert.Bet must split evenly': 'Общая ставка должна делиться поровну между ходами в очереди.',
+        'rps.revert.Stake required': 'Укажите ставку для матча.',
+        'rps.revert.Stake must match': 'Ваша ставка должна быть равна ставке матча.',
+        'rps.revert.Match does not exist': 'Такого матча не существует.',
+        'rps.revert.Match is not open': 'Этот матч уже не открыт.',
+        'rps.revert.Cannot join your own match': 'Нельзя присоединиться к собственному матчу.',
+        'rps.revert.Only creator can cancel': 'Отменить матч может только его создатель.',
+        'rps.revert.Match is not in reveal stage': 'Этот матч не ожидает раскрытия ходов.',
+        'rps.revert.Reveal deadline passed': 'Срок раскрытия прошёл.',
+        'rps.revert.Reveal deadline not reached': 'Срок раскрытия ещё не прошёл.',
+        'rps.revert.Already revealed': 'Вы уже раскрыли свой ход.',
+        'rps.revert.Not a player in this match': 'Вы не участвуете в этом матче.',
+        'rps.revert.Nothing to withdraw': 'Вам нечего выводить из матчей против игроков.',
+        'rps.revert.Withdrawal failed': 'Не удалось перевести средства на ваш адрес.',
+
+        // Keyboard and settings
+        'rps.keys.label': 'Клавиши:',
+        'rps.keys.play': '— сыграть,',
+        'rps.keys.replay': '— повторить последнюю ставку',
+        'rps.settings.sound': 'Звуковые эффекты',
+        'rps.settings.reducedMotion': 'Уменьшить анимацию',
+
+        // Commit-reveal
+        'rps.commit.toggle': 'Режим commit-reveal (ход контракта нельзя предсказать)',
+        'rps.commit.reveal': 'Раскрыть',
+        'rps.commit.cancel': 'Отменить и вернуть ставку',
+        'rps.commit.forfeit': 'Сбросить просроченное обязательство',
+        'rps.commit.waitingTx': '⏳ Ожидание подтверждения транзакции обязательства...',
+        'rps.commit.signing': '⏳ Загрузка... Ожидание транзакции обязательства...',
+        'rps.commit.sent': '⏳ Обязательство отправлено! Ожидание подтверждения...',
+        'rps.commit.committed': 'Ход «{move}» зафиксирован. Ожидание хода контракта...',
+        'rps.commit.expired': 'Ваше обязательство на {bet} не было раскрыто до блока {deadline}, ставка переходит казино. Сбросьте его, чтобы снова играть в режиме commit-reveal.',
+        'rps.commit.secretMissing': 'У вас открыто обязательство на {bet} из блока {block}, но его ход и соль не сохранены в этом браузере. Раскрыть его здесь нельзя, после блока {deadline} ставка будет потеряна.',
+        'rps.commit.waitingBlock': 'Ход «{move}» зафиксирован на {bet}. Ход контракта определит блок {block}; до этого обязательство можно отменить с полным возвратом.',
+        'rps.commit.ready': 'Можно раскрыть ход «{move}» на {bet}. Раскройте до блока {deadline} (осталось блоков: {blocksLeft}), иначе ставка будет потеряна.',
+        'rps.commit.revealSigning': '⏳ Загрузка... Ожидание транзакции раскрытия...',
+        'rps.commit.revealSent': '⏳ Раскрытие отправлено! Ожидание подтверждения...',
+        'rps.commit.revealRejected': 'Раскрытие отклонено. Раскройте ход до срока, иначе ставка будет потеряна.',
+        'rps.commit.revealFailed': 'Не удалось раскрыть ход: {error}',
+        'rps.commit.cancelSigning': '⏳ Загрузка... Ожидание транзакции отмены...',
+        'rps.commit.cancelled': 'Обязательство отменено, ставка возвращена.',
+        'rps.commit.cancelFailed': 'Не удалось отменить: {error}',
+        'rps.commit.forfeitSigning': '⏳ Загрузка... Ожидание транзакции...',
+        'rps.commit.cleared': 'Просроченное обязательство сброшено.',
+
+        // Pending transactions after a reload
+        'rps.pending.resuming': '⏳ Возобновляем отслеживание вашей ставки «{move}» на {bet}...',
+        'rps.pending.reverted': 'Ваша ставка {bet} отклонена контрактом. Потрачен только газ.',
+        'rps.pending.replaced': 'Ваша ожидающая ставка {bet} заменена другой транзакцией. Ставка не сделана.',
+        'rps.pending.dropped': 'Ваша ожидающая ставка {bet} отброшена сетью. Средства не списаны.',
+        'rps.pending.checkFailed': 'Не удалось проверить вашу ожидающую ставку {bet}: {error}. Повторяем...',
+
+        // Series and queued moves
+        'rps.series.mode': 'Режим:',
+        'rps.series.single': 'Отдельные раунды',
+        'rps.series.bestOf3': 'До 2 побед из 3',
+        'rps.series.bestOf5': 'До 3 побед из 5',
+        'rps.series.queue': 'Очередь ходов',
+        'rps.series.queuePlaceholder': 'напр. RPSRR',
+        'rps.series.oneTransaction': 'Пакетами до 10 ходов в транзакции',
+        'rps.series.playQueue': 'Сыграть очередь',
+        'rps.series.titleBestOf': 'Серия из {size}',
+        'rps.series.titleQueue': 'Очередь {played}/{size}',
+        'rps.series.inProgress': 'идёт',
+        'rps.series.won': 'выиграна!',
+        'rps.series.lost': 'проиграна',
+        'rps.series.tied': 'вничью',
+        'rps.series.status': '{title} {state} | Вы {wins} : {losses} Контракт (ничьих: {draws}) | {money}',
+        'rps.series.money': 'Поставлено: {wagered} | Выплачено: {paidOut} | Итог: {net}',
+        'rps.series.invalidQueue': 'Введите ходы буквами R, P и S, например RPSR.',
+        'rps.series.commitRevealOn': 'Ходы из очереди играются напрямую; сначала выключите режим commit-reveal.',
+        'rps.series.batchTooLarge': '{count} ходов в одной транзакции ставят {total}, больше чем {max} ({reason}). Уменьшите ставку или поставьте меньше ходов в очередь.',
+
+        // Game history
+        'rps.history.title': 'История ваших игр',
+        'rps.history.loadOlder': 'Загрузить более ранние раунды',
+        'rps.history.connect': 'Подключите кошелёк, чтобы загрузить прошлые раунды.',
+        'rps.history.time': 'Время',
+        'rps.history.you': 'Вы',
+        'rps.history.contract': 'Контракт',
+        'rps.history.bet': 'Ставка',
+        'rps.history.payout': 'Выплата',
+        'rps.history.result': 'Результат',
+        'rps.history.tx': 'Транзакция',
+        'rps.history.empty': 'Раундов пока нет.',
+        'rps.history.scanning': 'Ищем ваши прошлые раунды...',
+        'rps.history.played': {
+            one: 'Сыгран {count} раунд.',
+            few: 'Сыграно {count} раунда.',
+            many: 'Сыграно {count} раундов.',
+            other: 'Сыграно {count} раунда.'
+        },
+        'rps.history.foundSince': {
+            one: 'Найден {count} раунд с блока {block}.',
+            few: 'Найдено {count} раунда с блока {block}.',
+            many: 'Найдено {count} раундов с блока {block}.',
+            other: 'Найдено {count} раунда с блока {block}.'
+        },
+        'rps.history.loadFailed': 'Не удалось загрузить историю: {error}',
+        'rps.scanningBlocks': 'Сканируем блоки {from} - {to}...',
+        'rps.scannedBlocks': 'Просканированы блоки {from} - {to}...',
+
+        // Live activity
+        'rps.feed.title': 'Активность в реальном времени',
+        'rps.feed.connect': 'Подключите кошелёк, чтобы следить за раундами других игроков.',
+        'rps.feed.waiting': 'Ожидание раундов...',
+        'rps.feed.you': 'Вы',
+        'rps.feed.moves': '{player} против {contract}',
+        'rps.feed.won': 'выигрыш {amount}',
+        'rps.feed.lost': 'проигрыш {amount}',
+        'rps.feed.drewKept': 'ничья, {amount} осталось у казино',
+        'rps.feed.drewReturned': 'ничья, возвращено {amount}',
+        'rps.feed.tx': 'tx',
+        'rps.feed.stats': 'Раундов: {rounds} | Поставлено: {wagered} | Преимущество казино: {edge} | Крупнейший выигрыш за сегодня: {biggestWin}',
+        'rps.feed.biggestWin': '{amount} ({player})',
+
+        // Profit & loss
+        'rps.pnl.title': 'Прибыль и убытки',
+        'rps.pnl.export': 'Экспорт CSV',
+        'rps.pnl.session': 'Эта сессия',
+        'rps.pnl.allTime': 'За всё время',
+        'rps.pnl.loaded': 'Загруженные раунды',
+        'rps.pnl.sinceBlock': 'С блока {block}',
+        'rps.pnl.rounds': 'Раунды',
+        'rps.pnl.wagered': 'Поставлено',
+        'rps.pnl.paidOut': 'Выплачено',
+        'rps.pnl.gasSpent': 'Потрачено на газ',
+        'rps.pnl.net': 'Итог',
+        'rps.pnl.rockWinRate': 'Доля побед камнем',
+        'rps.pnl.paperWinRate': 'Доля побед бумагой',
+        'rps.pnl.scissorsWinRate': 'Доля побед ножницами',
+        'rps.pnl.longestWinStreak': 'Самая длинная серия побед',
+        'rps.pnl.longestLossStreak': 'Самая длинная серия поражений',
+        'rps.pnl.winRate': '{rate} ({wins}/{played})',
+
+        // House administration
+        'rps.admin.title': 'Управление казино',
+        'rps.admin.refresh': 'Обновить',
+        'rps.admin.deposit': 'Пополнить',
+        'rps.admin.withdraw': 'Вывести',
+        'rps.admin.bankroll': 'Банк',
+        'rps.admin.lockedFunds': 'Заблокировано под открытые ставки',
+        'rps.admin.freeBankroll': 'Свободный банк',
+        'rps.admin.maxBet': 'Макс. ставка (в контракте)',
+        'rps.admin.coveredWins': 'Покрыто выигрышей по макс. ставке',
+        'rps.admin.exposure': 'Риск',
+        'rps.admin.roundsPlayed': 'Сыграно раундов',
+        'rps.admin.totalWagered': 'Всего поставлено',
+        'rps.admin.totalPaidOut': 'Всего выплачено',
+        'rps.admin.forfeited': 'Просроченные ставки',
+        'rps.admin.forfeitedValue': { one: '{count} ставка, {amount}', few: '{count} ставки, {amount}', many: '{count} ставок, {amount}', other: '{count} ставки, {amount}' },
+        'rps.admin.housePnl': 'Прибыль казино',
+        'rps.admin.coversMaxBet': 'Покрывает максимальную ставку',
+        'rps.admin.betsRevertAbove': 'Ставки выше {amount} будут отклонены',
+        'rps.admin.statsUpTo': 'Статистика казино до блока {block}.',
+        'rps.admin.statsPartial': 'Статистика казино только за блоки {from} - {to}; «Обновить» сканирует более ранние блоки.',
+        'rps.admin.loadFailed': 'Не удалось загрузить статистику казино: {error}',
+        'rps.admin.invalidAmount': 'Введите корректную сумму.',
+        'rps.admin.depositWaiting': '⏳ Ожидание транзакции пополнения...',
+        'rps.admin.deposited': 'Внесено {amount}.',
+        'rps.admin.depositRejected': 'Пополнение отклонено пользователем.',
+        'rps.admin.depositFailed': 'Не удалось пополнить: {error}',
+        'rps.admin.withdrawTooMuch': 'Нельзя вывести больше банка, не заблокированного под открытые ставки ({amount}).',
+        'rps.admin.withdrawWaiting': '⏳ Ожидание транзакции вывода...',
+        'rps.admin.withdrew': 'Выведено {amount}.',
+        'rps.admin.withdrawRejected': 'Вывод отклонён пользователем.',
+        'rps.admin.withdrawFailed': 'Не удалось вывести: {error}',
+
+        // Player vs player
+        'rps.pvp.title': 'Игрок против игрока',
+        'rps.pvp.createMatch': 'Создать матч',
+        'rps.pvp.openMatches': 'Открытые матчи',
+        'rps.pvp.yourMatches': 'Ваши матчи',
+        'rps.pvp.match': 'Матч',
+        'rps.pvp.creator': 'Создатель',
+        'rps.pvp.opponent': 'Соперник',
+        'rps.pvp.stake': 'Ставка',
+        'rps.pvp.joinWith': 'Войти с ходом',
+        'rps.pvp.status': 'Статус',
+        'rps.pvp.noOpenMatches': 'Открытых матчей нет.',
+        'rps.pvp.noMatches': 'У вас пока нет матчей.',
+        'rps.pvp.waitingOpponent': 'Ожидание соперника',
+        'rps.pvp.cancelled': 'Отменён, ставка возвращена',
+        'rps.pvp.moves': '{mine} против {theirs}',
+        'rps.pvp.draw': '{moves}: ничья, ставка возвращена',
+        'rps.pvp.won': '{moves}: вы выиграли {amount}',
+        'rps.pvp.lost': '{moves}: вы проиграли',
+        'rps.pvp.opponentDidNotReveal': 'Соперник не раскрыл ход: вы выиграли {amount}',
+        'rps.pvp.youDidNotReveal': 'Вы не раскрыли ход вовремя: ставка потеряна',
+        'rps.pvp.nobodyRevealed': 'Никто не раскрыл ход: ставки возвращены',
+        'rps.pvp.deadlinePassed': 'Срок раскрытия ({deadline}) прошёл',
+        'rps.pvp.revealBefore': 'Раскройте ход «{move}» до {deadline}',
+        'rps.pvp.secretMissing': 'Ваш ход не сохранён в этом браузере, раскрыть его здесь нельзя (срок {deadline})',
+        'rps.pvp.waitingReveal': 'Ожидание раскрытия хода соперником до {deadline}',
+        'rps.pvp.action.cancel': 'Отменить',
+        'rps.pvp.action.reveal': 'Раскрыть',
+        'rps.pvp.action.claim': 'Забрать по тайм-ауту',
+        'rps.pvp.tx.create': 'Создание матча',
+        'rps.pvp.tx.join': 'Вход в матч',
+        'rps.pvp.tx.reveal': 'Раскрытие',
+        'rps.pvp.tx.cancel': 'Отмена матча',
+        'rps.pvp.tx.claim': 'Тайм-аут',
+        'rps.pvp.tx.withdraw': 'Вывод',
+        'rps.pvp.txWaiting': '⏳ Ожидание транзакции: {label}...',
+        'rps.pvp.txSent': '⏳ {label}: транзакция отправлена! Ожидание подтверждения...',
+        'rps.pvp.txConfirmed': '{label}: подтверждено.',
+        'rps.pvp.txFailed': '{label}: ошибка: {error}',
+        'rps.pvp.invalidStake': 'Введите корректную ставку.',
+        'rps.pvp.loadFailed': 'Не удалось загрузить матчи: {error}',
+        'rps.pvp.loadOlder': 'Загрузить более ранние матчи',
+        'rps.pvp.scannedSince': 'Показаны матчи, созданные с блока {block}.',
+        'rps.pvp.balance': 'Выигрыши и возвраты к выводу: {amount}',
+        'rps.pvp.withdraw': 'Вывести',
+
+        // Certificate gallery page
+        'nft.pageTitle': 'Галерея NFT-сертификатов выпускников',
+        'nft.header.title': '🎓 Галерея NFT-сертификатов выпускников',
+        'nft.header.subtitle': 'Образовательные документы, подтверждённые блокчейном',
+        'nft.wallet.connect': 'Подключить кошелёк',
+        'nft.wallet.connected': 'Подключено:',
+        'nft.wallet.yourCertificates': 'Ваши сертификаты:',
+        'nft.wallet.viewMine': 'Мои сертификаты',
+        'nft.search.placeholder': 'Поиск по имени, программе или оценке...',
+        'nft.search.button': 'Найти',
+        'nft.filter.program': 'Программа:',
+        'nft.filter.allPrograms': 'Все программы',
+        'nft.filter.grade': 'Оценка:',
+        'nft.filter.allGrades': 'Все оценки',
+        'nft.filter.type': 'Тип сертификата:',
+        'nft.filter.allTypes': 'Все типы',
+        'nft.filter.owner': 'Владелец:',
+        'nft.filter.allOwners': 'Все владельцы',
+        'nft.filter.mine': 'Мои сертификаты',
+        'nft.filter.byAddress': 'По адресу',
+        'nft.filter.ownerAddress': 'Адрес владельца',
+        'nft.filter.reset': 'Сбросить фильтры',
+        'nft.stats.total': 'Всего сертификатов',
+        'nft.stats.matching': 'Найдено',
+        'nft.stats.max': 'Максимальный выпуск',
+        'nft.debug.check': '🔍 Проверить консоль',
+        'nft.debug.reload': '🔄 Перезагрузить NFT',
+        'nft.debug.printed': '✅ Отладочная информация выведена в консоль!\n\nВсего NFT: {all}\nОтфильтровано: {filtered}\nКарточек в галерее: {cards}\n\nНажмите F12, чтобы увидеть подробные логи.',
+        'nft.loading': 'Загрузка сертификатов...',
+        'nft.loadingProgress': 'Загружено {loaded} из {total} сертификатов...',
+        'nft.gallery.showMore': 'Показать ещё',
+        'nft.gallery.showing': 'Показано {shown} из {total}',
+        'nft.noResults': 'Сертификаты по вашим условиям не найдены.',
+        'nft.mint.title': 'Выпустите свой сертификат',
+        'nft.mint.cost': 'Стоимость: {amount}',
+        'nft.mint.button': 'Выпустить сертификат',
+        'nft.mint.minting': 'Выпуск...',
+        'nft.mint.success': 'Сертификат успешно выпущен!',
+        'nft.error.installMetaMask': 'Установите MetaMask, чтобы пользоваться приложением!',
+        'nft.error.connectFirst': 'Сначала подключите кошелёк!',
+        'nft.error.connectFailed': 'Не удалось подключить кошелёк: {error}',
+        'nft.error.loadFailed': 'Ошибка загрузки NFT. Подробности в консоли.',
+        'nft.error.rejected': 'Транзакция отклонена пользователем.',
+        'nft.tx.mint': 'Выпуск сертификата',
+        'nft.tx.ownerMint': 'Выдача сертификата',
+        'nft.tx.bulk': 'Пакет {index} из {count}',
+        'nft.tx.baseURI': 'Обновление базового URI',
+        'nft.tx.withdraw': 'Вывод сборов',
+        'nft.card.name': 'Сертификат №{id}',
+        'nft.card.metadataFailed': 'Не удалось загрузить метаданные',
+        'nft.card.metadataTampered': 'Метаданные изменены и не показаны',
+        'nft.card.graduate': 'Выпускник:',
+        'nft.card.program': 'Программа:',
+        'nft.card.grade': 'Оценка:',
+        'nft.card.type': 'Тип:',
+        'nft.card.owner': 'Владелец:',
+        'nft.card.you': '{address} (вы)',
+        'nft.card.tokenId': 'ID токена: {id}',
+        'nft.modal.details': 'Данные сертификата',
+        'nft.modal.tokenId': 'ID токена:',
+        'nft.modal.owner': 'Владелец:',
+        'nft.trait.Graduate Name': 'Имя выпускника',
+        'nft.trait.Program': 'Программа',
+        'nft.trait.Grade': 'Оценка',
+        'nft.trait.Year': 'Год',
+        'nft.trait.Certificate Type': 'Тип сертификата',
+        'nft.profile.back': '← Назад к галерее',
+        'nft.profile.title': 'Владелец сертификатов',
+        'nft.profile.mine': 'Мои сертификаты',
+        'nft.profile.count': {
+            one: '{count} сертификат',
+            few: '{count} сертификата',
+            many: '{count} сертификатов',
+            other: '{count} сертификата'
+        },
+        'nft.profile.empty': 'На этом адресе нет сертификатов.',
+        'nft.profile.invalid': 'Некорректный адрес.',
+        'nft.profile.connect': 'Подключите кошелёк, чтобы увидеть сертификаты этого адреса.',
+        'nft.profile.loadFailed': 'Не удалось загрузить сертификаты этого адреса.',
+        'nft.profile.explorer': 'Открыть в обозревателе блоков',
+        'nft.verify.nav': '🔍 Проверить сертификат',
+        'nft.verify.title': 'Проверка сертификата',
+        'nft.verify.intro': 'Введите ID токена сертификата или откройте ссылку либо QR-код проверки от его владельца. Кошелёк не нужен.',
+        'nft.verify.placeholder': 'ID токена',
+        'nft.verify.button': 'Проверить',
+        'nft.verify.checking': 'Проверка в блокчейне...',
+        'nft.verify.invalidId': 'ID токена — целое число, например 42.',
+        'nft.verify.failed': 'Не удалось подключиться к сети: {error}',
+        'nft.verify.verdict.valid': '✅ Сертификат действителен',
+        'nft.verify.verdict.notFound': '❌ Сертификат не найден',
+        'nft.verify.verdict.mismatch': '⚠️ Метаданные не совпадают',
+        'nft.verify.validDetail': 'Сертификат выпущен в блокчейне, его метаданные прошли проверку.',
+        'nft.verify.notFoundDetail': 'Сертификат с ID токена {id} не выпускался.',
+        'nft.verify.mismatchDetail': 'Сертификат выпущен в блокчейне, но его метаданные не удалось подтвердить:',
+        'nft.verify.reason.fingerprint': 'Метаданные отличаются от версии, для которой выдана эта ссылка проверки.',
+        'nft.verify.mintTx': 'Транзакция выпуска:',
+        'nft.verify.issuedAt': 'Выпущен:',
+        'nft.verify.metadataUri': 'URI метаданных:',
+        'nft.verify.unavailable': 'Недоступно',
+        'nft.verify.share': '🔗 Ссылка для проверки',
+        'nft.verify.creatingLink': 'Создание ссылки для проверки...',
+        'nft.verify.shareHint': 'Поделитесь этой ссылкой или QR-кодом, чтобы любой мог проверить сертификат без кошелька.',
+        'nft.verify.shareFailed': 'Не удалось создать ссылку для проверки: {error}',
+        'nft.verify.copy': 'Копировать',
+        'nft.verify.copied': 'Ссылка для проверки скопирована.',
+        'nft.verify.qrAlt': 'QR-код ссылки для проверки',
+        'nft.integrity.title': 'Целостность',
+        'nft.integrity.badge.verified': '✔ Проверено',
+        'nft.integrity.badge.tampered': '⚠ Изменено',
+        'nft.integrity.badge.malformed': '⚠ Неверный формат',
+        'nft.integrity.badge.missing': '✖ Нет данных',
+        'nft.integrity.status.verified': 'Метаданные совпадают с хешем содержимого (CID) в URI токена.',
+        'nft.integrity.status.unverified': 'Метаданные в правильном формате, но их хеш проверить не удалось.',
+        'nft.integrity.status.tampered': 'Метаданные не совпадают с хешем содержимого (CID) в URI токена: они были изменены.',
+        'nft.integrity.status.malformed': 'Метаданные не соответствуют формату сертификата.',
+        'nft.integrity.status.missing': 'Не удалось получить метаданные из IPFS.',
+        'nft.integrity.cid': 'Ожидаемый хеш содержимого (CID): {cid}',
+        'nft.integrity.problem.notJson': 'Файл не является корректным JSON.',
+        'nft.integrity.problem.notObject': 'Файл не является JSON-объектом.',
+        'nft.integrity.problem.name': 'Отсутствует название.',
+        'nft.integrity.problem.description': 'Описание не является текстом.',
+        'nft.integrity.problem.image': 'Неверная ссылка на изображение.',
+        'nft.integrity.problem.attributes': 'Список атрибутов отсутствует или неверен.',
+        'nft.integrity.problem.missingTrait': 'Отсутствует атрибут «{trait}».',
+        'nft.integrity.problem.duplicateTrait': 'Атрибут «{trait}» встречается несколько раз.',
+        'nft.integrity.problem.emptyTrait': 'Атрибут «{trait}» пуст.',
+        'nft.integrity.problem.year': 'Год не является четырёхзначным числом.',
+        'nft.integrity.problem.grade': 'Оценка не является буквенной.',
+        'nft.admin.title': 'Консоль выдачи',
+        'nft.admin.intro': 'Вы владелец контракта. Сертификаты, выданные здесь, бесплатны и не ограничены одним на адрес.',
+        'nft.admin.mintTitle': 'Выдать выпускнику',
+        'nft.admin.addressPlaceholder': 'Адрес кошелька выпускника (0x...)',
+        'nft.admin.mintButton': 'Выдать сертификат',
+        'nft.admin.invalidAddress': 'Некорректный адрес: {address}',
+        'nft.admin.minted': 'Сертификат выдан на адрес {address}.',
+        'nft.admin.baseURITitle': 'Базовый URI метаданных',
+        'nft.admin.currentBaseURI': 'Текущий:',
+        'nft.admin.baseURIPlaceholder': 'ipfs://<CID папки>/',
+        'nft.admin.baseURIButton': 'Обновить базовый URI',
+        'nft.admin.baseURISlash': 'Базовый URI должен заканчиваться на «/»: URI токена — это базовый URI и «<id>.json».',
+        'nft.admin.baseURIChanged': 'Базовый URI обновлён. Сертификаты перезагружаются...',
+        'nft.admin.feesTitle': 'Сборы за выпуск',
+        'nft.admin.balance': 'Баланс контракта: {amount}',
+        'nft.admin.withdrawButton': 'Вывести',
+        'nft.admin.withdrawn': 'Сборы за выпуск выведены.',
+        'nft.admin.bulkTitle': 'Массовая выдача',
+        'nft.admin.bulkHint': 'Вставьте или загрузите CSV, по одному выпускнику в строке. Берётся первый адрес в каждой строке; строка заголовка и другие столбцы игнорируются, повторяющиеся адреса пропускаются. Чтобы повторить неудачные строки, запустите выдачу ещё раз.',
+        'nft.admin.bulkPlaceholder': 'address,name\n0x...,Имя выпускника',
+        'nft.admin.bulkFile': 'Загрузить CSV',
+        'nft.admin.bulkButton': { one: 'Выдать {count} сертификат', few: 'Выдать {count} сертификата', many: 'Выдать {count} сертификатов', other: 'Выдать {count} сертификата' },
+        'nft.admin.bulkIssuing': 'Выдача...',
+        'nft.admin.bulkSummary': 'Готово к выдаче: {ready} · выдано: {issued} · ошибок: {failed} · пропущено: {skipped}',
+        'nft.admin.batchIssued': { one: 'Выдан {count} сертификат.', few: 'Выдано {count} сертификата.', many: 'Выдано {count} сертификатов.', other: 'Выдано {count} сертификата.' },
+        'nft.admin.bulkDone': 'Массовая выдача завершена: выдано {issued}, ошибок {failed}.',
+        'nft.admin.bulkFailed': 'Массовая выдача остановлена: {error}',
+        'nft.admin.supplyReached': 'Достигнут максимальный выпуск',
+        'nft.admin.row.line': 'Строка',
+        'nft.admin.row.address': 'Адрес',
+        'nft.admin.row.status': 'Статус',
+        'nft.admin.status.ready': 'Готово',
+        'nft.admin.status.issuing': 'Выдача...',
+        'nft.admin.status.issued': 'Выдан',
+        'nft.admin.status.failed': 'Ошибка: {reason}',
+        'nft.admin.status.invalid': 'Некорректный адрес',
+        'nft.admin.status.duplicate': 'Повторный адрес, пропущен'
+    };
+
+    if (typeof module === 'object' && module.exports) module.exports = messages;
+    else root.I18n.addMessages('ru', messages);
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,151 @@
+// Toast notifications shared by the Rock Paper Scissors game (4rps/p10) and the certificate
+// gallery (5nft), in place of blocking alert() calls. Styles are in shared/notify.css.
+//
+// Notify.show() / info() / success() / error() pop a dismissable toast. Notify.transaction()
+// returns a tracker that walks one toast through a transaction's life:
+// signature requested -> submitted (with an explorer link) -> confirmed | failed.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n'));
+    } else {
+        root.Notify = factory(root.I18n);
+    }
+})(typeof self !== 'undefined' ? self : this, function (I18n) {
+    'use strict';
+
+    // Milliseconds before a toast hides itself; 0 keeps it until dismissed
+    const DURATIONS = {
+        info: 5000,
+        success: 5000,
+        pending: 0,
+        error: 0
+    };
+    const MAX_TOASTS = 5;
+
+    let container = null;
+
+    // The live region holding the toasts, created on first use
+    function getContainer() {
+        if (!container || !container.isConnected) {
+            container = document.createElement('div');
+            container.className = 'toast-container';
+            container.setAttribute('role', 'region');
+            container.setAttribute('aria-live', 'polite');
+            container.setAttribute('aria-label', I18n.t('common.notifications'));
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+    // Pop a toast. options: type (info | success | pending | error), link ({ href, text }) and
+    // duration (ms, 0 to keep it). Returns a handle to update or dismiss it.
+    function show(message, options = {}) {
+        const element = document.createElement('div');
+        const text = document.createElement('span');
+        const link = document.createElement('a');
+        const close = document.createElement('button');
+        let timer = null;
+
+        text.className = 'toast-message';
+        link.className = 'toast-link';
+        link.target = '_blank';
+        link.rel = 'noopener';
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.textContent = '×';
+        close.setAttribute('aria-label', I18n.t('common.dismiss'));
+        element.append(text, link, close);
+
+        const toast = {
+            element,
+            update(newMessage, newOptions = {}) {
+                const type = newOptions.type || 'info';
+                const duration = newOptions.duration ?? DURATIONS[type];
+
+                element.className = `toast toast-${type}`;
+                element.setAttribute('role', type === 'error' ? 'alert' : 'status');
+                text.textContent = newMessage;
+
+                link.hidden = !newOptions.link;
+                if (newOptions.link) {
+                    link.href = newOptions.link.href;
+                    link.textContent = newOptions.link.text;
+                }
+
+                clearTimeout(timer);
+                if (duration > 0) timer = setTimeout(() => toast.dismiss(), duration);
+                return toast;
+            },
+            dismiss() {
+                clearTimeout(timer);
+                element.remove();
+            }
+        };
+
+        close.addEventListener('click', () => toast.dismiss());
+        toast.update(message, options);
+
+        const parent = getContainer();
+        parent.appendChild(element);
+        // Drop the oldest toasts so a burst of errors cannot cover the page
+        while (parent.children.length > MAX_TOASTS) parent.firstElementChild.remove();
+
+        return toast;
+    }
+
+    function info(message) {
+        return show(message, { type: 'info' });
+    }
+
+    function success(message) {
+        return show(message, { type: 'success' });
+    }
+
+    function error(message) {
+        return show(message, { type: 'error' });
+    }
+
+    // Follow one transaction in a single toast. label names it ("Bet", "Mint", ...);
+    // txUrl(hash) links the submitted transaction to a block explorer (null for no link).
+    function transaction(label, { txUrl = () => null } = {}) {
+        let toast = null;
+        let hash = null;
+
+        const set = (message, type) => {
+            const href = hash && txUrl(hash);
+            const options = { type, link: href ? { href, text: I18n.t('common.tx.view') } : null };
+            toast = toast ? toast.update(message, options) : show(message, options);
+        };
+
+        return {
+            // Waiting for the user to sign in the wallet
+            signing() {
+                set(I18n.t('common.tx.signing', { label }), 'pending');
+            },
+            // Broadcast; waiting to be mined
+            submitted(txHash) {
+                hash = txHash;
+                set(I18n.t('common.tx.submitted', { label }), 'pending');
+            },
+            confirmed(message) {
+                set(message || I18n.t('common.tx.confirmed', { label }), 'success');
+            },
+            // reason: the decoded revert or error text
+            failed(reason) {
+                set(I18n.t('common.tx.failed', { label, reason }), 'error');
+            },
+            dismiss() {
+                if (toast) toast.dismiss();
+            }
+        };
+    }
+
+    return {
+        show,
+        info,
+        success,
+        error,
+        transaction
+    };
+});